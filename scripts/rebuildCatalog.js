@@ -0,0 +1,19 @@
+// scripts/rebuildCatalog.js
+// Rebuild the catalog index behind GET /api/videos from the videos in storage
+// For videos written where no server or worker saw them (another host, a restored backup)
+
+const catalogService = require('../src/services/catalogService');
+
+if (require.main === module) {
+  console.log(`📚 Rebuilding catalog index: ${catalogService.indexPath}`);
+
+  catalogService.rebuild()
+    .then((count) => {
+      console.log(`\n✅ Indexed ${count} video(s)`);
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error('\n❌ Error:', err.message);
+      process.exit(1);
+    });
+}
\ No newline at end of file
@@ -6,6 +6,15 @@ const fsSync = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../src/config');
+const posterService = require('../src/services/posterService');
+const spriteService = require('../src/services/spriteService');
+const subtitleService = require('../src/services/subtitleService');
+const encodingProfileService = require('../src/services/encodingProfileService');
+const segmentIndexService = require('../src/services/segmentIndexService');
+const ingestService = require('../src/services/ingestService');
+const checksumService = require('../src/services/checksumService');
+const storageService = require('../src/services/storageService');
+const CodecUtils = require('../src/utils/codecUtils');
 
 // Set ffmpeg paths if configured
 if (config.ffmpeg.ffmpegPath) {
@@ -17,12 +26,14 @@ if (config.ffmpeg.ffprobePath) {
 
 const CHUNK_DURATION = config.storage.chunkDuration || 5;
 
-const QUALITIES = {
-  '1080p': { resolution: '1920x1080', videoBitrate: '5000k', audioBitrate: '192k' },
-  '720p': { resolution: '1280x720', videoBitrate: '2500k', audioBitrate: '128k' },
-  '480p': { resolution: '854x480', videoBitrate: '1000k', audioBitrate: '96k' },
-  '360p': { resolution: '640x360', videoBitrate: '500k', audioBitrate: '64k' }
-};
+// RFC 6381 codecs of the fMP4 audio output (AAC-LC)
+const AUDIO_CODECS = CodecUtils.getAudioCodecs();
+
+// Video chunks carry the first audio stream, which is also the default audio track
+const DEFAULT_MAPS = ['-map 0:v:0', '-map 0:a:0?'];
+
+// GOP longer than any scene-aligned chunk: keyframes only come from the planned cuts
+const SCENE_GOP = 100000;
 
 /**
  * Get video metadata using ffprobe
@@ -34,16 +45,32 @@ function getVideoInfo(inputPath) {
         reject(err);
       } else {
         const videoStream = metadata.streams.find(s => s.codec_type === 'video');
-        const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
+        const audioStreams = metadata.streams.filter(s => s.codec_type === 'audio');
+        const subtitleStreams = metadata.streams.filter(s => s.codec_type === 'subtitle');
 
         resolve({
           duration: parseFloat(metadata.format.duration),
           width: videoStream?.width,
           height: videoStream?.height,
           videoCodec: videoStream?.codec_name,
-          audioCodec: audioStream?.codec_name,
+          audioCodec: audioStreams[0]?.codec_name,
           bitrate: parseInt(metadata.format.bit_rate, 10),
-          size: parseInt(metadata.format.size, 10)
+          size: parseInt(metadata.format.size, 10),
+          audioStreams: audioStreams.map(s => ({
+            index: s.index,
+            codec: s.codec_name,
+            language: s.tags?.language,
+            title: s.tags?.title,
+            channels: s.channels,
+            default: s.disposition?.default === 1
+          })),
+          subtitleStreams: subtitleStreams.map(s => ({
+            index: s.index,
+            codec: s.codec_name,
+            language: s.tags?.language,
+            title: s.tags?.title,
+            default: s.disposition?.default === 1
+          }))
         });
       }
     });
@@ -51,37 +78,209 @@ function getVideoInfo(inputPath) {
 }
 
 /**
- * Segment video into chunks for a specific quality
+ * Build output target for the chunk muxer(s) writing the given formats ('ts', 'cmaf')
+ * For both formats a tee muxer writes .ts chunks and fMP4 segments from one encode,
+ * cmafSelect limits the fMP4 output to some of the mapped streams (e.g. "v").
+ * The .ts muxer lists every chunk's real start and end in segments.csv (the segment index source);
+ * with scene cuts the only keyframes are on the cuts, so both muxers cut exactly there
  */
-function segmentQuality(inputPath, outputDir, quality, settings, onProgress) {
-  return new Promise((resolve, reject) => {
-    const qualityDir = path.join(outputDir, 'chunks', quality);
+function buildSegmentOutput(qualityDir, formats, { maps = DEFAULT_MAPS, cmafSelect = null, cuts = null } = {}) {
+  const tsPattern = path.join(qualityDir, 'chunk_%06d.ts');
+  const cmafPlaylist = path.join(qualityDir, 'cmaf.m3u8');
+  const tsSettings = [
+    cuts?.length ? ['segment_times', cuts.join(',')] : ['segment_time', CHUNK_DURATION],
+    ['segment_format', 'mpegts'],
+    ['segment_list', segmentIndexService.getSegmentListPath(qualityDir)],
+    ['segment_list_type', 'csv']
+  ];
+  const cmafSettings = [
+    ['hls_time', cuts ? segmentIndexService.getMinChunkDuration(CHUNK_DURATION) : CHUNK_DURATION],
+    ['hls_playlist_type', 'vod'],
+    ['hls_segment_type', 'fmp4'],
+    ['hls_fmp4_init_filename', 'init.mp4'],
+    ['hls_segment_filename', path.join(qualityDir, 'chunk_%06d.m4s')]
+  ];
+
+  if (!formats.includes('cmaf')) {
+    return {
+      options: [...maps, '-f segment', ...tsSettings.map(([key, value]) => `-${key} ${value}`)],
+      target: tsPattern
+    };
+  }
+
+  if (!formats.includes('ts')) {
+    return {
+      options: [...maps, '-f hls', ...cmafSettings.map(([key, value]) => `-${key} ${value}`)],
+      target: cmafPlaylist
+    };
+  }
+
+  const tsOutput = [
+    'f=segment',
+    ...tsSettings.map(([key, value]) => `${key}=${value}`)
+  ].join(':');
+
+  const cmafOutput = [
+    ...(cmafSelect ? [`select=${cmafSelect}`] : []),
+    'f=hls',
+    ...cmafSettings.map(([key, value]) => `${key}=${value}`)
+  ].join(':');
+
+  // fMP4 needs global headers, which the tee muxer cannot detect on its own
+  return {
+    options: [...maps, '-flags +global_header', '-f tee'],
+    target: `[${tsOutput}]${tsPattern}|[${cmafOutput}]${cmafPlaylist}`
+  };
+}
+
+/**
+ * Encoder-specific options (preset or speed level, HEVC sample entry for MP4)
+ */
+function encoderOptions(rendition, cuts = null) {
+  switch (rendition.encoder) {
+    case 'libx265':
+      return [`-preset ${rendition.preset}`, '-tag:v hvc1', `-x265-params log-level=error${cuts ? ':scenecut=0' : ''}`];
+    case 'libaom-av1':
+      return [`-cpu-used ${rendition.preset}`, '-row-mt 1'];
+    case 'libvpx-vp9':
+      return ['-deadline good', `-cpu-used ${rendition.preset}`, '-row-mt 1'];
+    default: // libx264, libsvtav1
+      return [`-preset ${rendition.preset}`];
+  }
+}
+
+/**
+ * Keyframes every keyframeInterval seconds, or only on the scene cuts
+ */
+function keyframeOptions(rendition, cuts = null) {
+  if (!cuts) {
+    return [`-g ${rendition.gop}`, '-force_key_frames', `expr:gte(t,n_forced*${rendition.keyframeInterval})`];
+  }
 
-    // Create directory
-    fsSync.mkdirSync(qualityDir, { recursive: true });
+  return [
+    `-g ${SCENE_GOP}`,
+    '-sc_threshold 0',
+    ...(cuts.length > 0 ? ['-force_key_frames', cuts.join(',')] : [])
+  ];
+}
+
+/**
+ * Build the ffmpeg output writing the chunks of a rendition of the encoding profile
+ * The video comes from the source (scaled here) or from a scaled filter_complex output (input label);
+ * with separateAudio the fMP4 segments are video-only (audio comes from the audio tracks);
+ * codec variants are fMP4-only and never carry audio
+ */
+function qualityOutput(outputDir, rendition, options = {}) {
+  const qualityDir = path.join(outputDir, 'chunks', rendition.name);
+
+  // Create directory
+  fsSync.mkdirSync(qualityDir, { recursive: true });
+
+  const variant = Boolean(rendition.variantOf);
+  const formats = options.cmaf ? rendition.formats : rendition.formats.filter(format => format !== 'cmaf');
+  const output = buildSegmentOutput(qualityDir, formats, {
+    maps: [
+      options.input ? `-map [${options.input}]` : '-map 0:v:0',
+      ...(variant ? [] : ['-map 0:a:0?'])
+    ],
+    cmafSelect: options.separateAudio ? 'v' : null,
+    cuts: options.cuts
+  });
+
+  // Bitrate-constrained VBR: the ladder is bandwidth-driven, so no CRF on top of -b:v
+  return {
+    options: [
+      ...(options.input ? [] : [`-vf scale=${rendition.resolution}`]),
+      '-pix_fmt yuv420p',
+      `-c:v ${rendition.encoder}`,
+      ...encoderOptions(rendition, options.cuts),
+      ...(options.threads ? [`-threads ${options.threads}`] : []),
+      `-b:v ${rendition.videoBitrate}`,
+      `-maxrate ${rendition.maxrate}`,
+      `-bufsize ${rendition.bufsize}`,
+      ...keyframeOptions(rendition, options.cuts),
+      ...(variant ? [] : ['-c:a aac', `-b:a ${rendition.audioBitrate}`]),
+      ...output.options
+    ],
+    target: output.target
+  };
+}
+
+/**
+ * Build the ffmpeg output writing one source audio stream as audio-only chunks
+ * (an audio track or the audio quality)
+ */
+function audioOutput(outputDir, rendition, options = {}) {
+  const renditionDir = path.join(outputDir, 'chunks', rendition.id);
 
-    const outputPattern = path.join(qualityDir, 'chunk_%06d.ts');
+  fsSync.mkdirSync(renditionDir, { recursive: true });
 
+  const output = buildSegmentOutput(renditionDir, options.cmaf ? ['ts', 'cmaf'] : ['ts'], {
+    maps: [`-map 0:${rendition.streamIndex}`]
+  });
+
+  return {
+    options: [
+      '-c:a aac',
+      `-b:a ${rendition.bitrate}`,
+      `-ac ${rendition.channels}`,
+      ...output.options
+    ],
+    target: output.target
+  };
+}
+
+/**
+ * Segment video into chunks for a rendition of the encoding profile
+ */
+function segmentQuality(inputPath, outputDir, rendition, onProgress, options = {}) {
+  const output = qualityOutput(outputDir, rendition, options);
+  return runEncode(inputPath, rendition.name, [output], onProgress, { signal: options.signal });
+}
+
+/**
+ * Segment one source audio stream into audio-only chunks
+ */
+function segmentAudio(inputPath, outputDir, rendition, onProgress, options = {}) {
+  const output = audioOutput(outputDir, rendition, options);
+  return runEncode(inputPath, rendition.id, [output], onProgress, { signal: options.signal });
+}
+
+/**
+ * Segment the whole H.264 ladder and the audio renditions with one ffmpeg process:
+ * the source is decoded once and split into one scaled stream per rendition
+ */
+function segmentSinglePass(inputPath, outputDir, renditions, audioRenditions, onProgress, options = {}) {
+  const filter = [
+    `[0:v]split=${renditions.length}${renditions.map((_, i) => `[s${i}]`).join('')}`,
+    ...renditions.map((rendition, i) => `[s${i}]scale=${rendition.resolution}[v${i}]`)
+  ].join(';');
+
+  const outputs = [
+    ...renditions.map((rendition, i) => qualityOutput(outputDir, rendition, { ...options, input: `v${i}` })),
+    ...audioRenditions.map(rendition => audioOutput(outputDir, rendition, options))
+  ];
+
+  const name = [...renditions.map(rendition => rendition.name), ...audioRenditions.map(rendition => rendition.id)].join(', ');
+  return runEncode(inputPath, name, outputs, onProgress, { signal: options.signal, filter });
+}
+
+/**
+ * Run one ffmpeg process (one or more outputs), reporting progress and killing it when the job is cancelled
+ */
+function runEncode(inputPath, name, outputs, onProgress, { signal = null, filter = null } = {}) {
+  return new Promise((resolve, reject) => {
     let lastProgress = 0;
 
-    ffmpeg(inputPath)
-      .outputOptions([
-        `-vf scale=${settings.resolution}`,
-        '-c:v libx264',
-        '-preset fast',
-        '-crf 22',
-        `-b:v ${settings.videoBitrate}`,
-        `-maxrate ${settings.videoBitrate}`,
-        `-bufsize ${parseInt(settings.videoBitrate) * 2}k`,
-        '-c:a aac',
-        `-b:a ${settings.audioBitrate}`,
-        '-f segment',
-        `-segment_time ${CHUNK_DURATION}`,
-        '-segment_format mpegts',
-        '-reset_timestamps 1',
-        '-force_key_frames', `expr:gte(t,n_forced*${CHUNK_DURATION})`
-      ])
-      .output(outputPattern)
+    const command = ffmpeg(inputPath);
+    if (filter) {
+      command.complexFilter(filter);
+    }
+    for (const output of outputs) {
+      command.output(output.target).outputOptions(output.options);
+    }
+
+    command
       .on('progress', (progress) => {
         if (progress.percent && onProgress) {
           const currentProgress = Math.round(progress.percent);
@@ -89,45 +288,179 @@ function segmentQuality(inputPath, outputDir, quality, settings, onProgress) {
             lastProgress = currentProgress;
             onProgress({
               stage: 'encoding',
-              quality,
+              quality: name,
               progress: currentProgress
             });
           }
         }
       })
       .on('end', () => {
-        console.log(`✅ ${quality} encoding completed`);
+        signal?.removeEventListener('abort', onAbort);
+        console.log(`✅ ${name} encoding completed`);
         resolve();
       })
       .on('error', (err) => {
-        console.error(`❌ ${quality} encoding failed:`, err.message);
+        signal?.removeEventListener('abort', onAbort);
+        if (signal?.aborted) {
+          console.log(`🛑 ${name} encoding cancelled`);
+          reject(cancelledError());
+          return;
+        }
+        console.error(`❌ ${name} encoding failed:`, err.message);
         reject(err);
-      })
-      .run();
+      });
+
+    // Kill ffmpeg when the job is cancelled
+    const onAbort = () => command.kill('SIGKILL');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    command.run();
   });
 }
 
 /**
- * Generate thumbnail from video
+ * Run the encodes one after another, or side by side while their threads fit in the CPU budget
+ * Overall progress weighs every encode by the number of renditions it writes; the first
+ * failure kills the encodes still running
  */
-function generateThumbnail(inputPath, outputPath) {
-  return new Promise((resolve, reject) => {
-    ffmpeg(inputPath)
-      .screenshots({
-        timestamps: ['10%'],
-        filename: 'thumbnail.jpg',
-        folder: path.dirname(outputPath),
-        size: '320x180'
-      })
-      .on('end', () => {
-        console.log('📷 Thumbnail generated');
-        resolve(outputPath);
-      })
-      .on('error', (err) => {
-        console.warn('⚠️ Thumbnail generation failed:', err.message);
-        resolve(null); // Don't fail the whole process
-      });
+async function runEncodes(encodes, { parallel = false, cpuBudget = 1, signal = null, onProgress = null } = {}) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal?.aborted) abort();
+  signal?.addEventListener('abort', abort, { once: true });
+
+  const totalWeight = encodes.reduce((sum, encode) => sum + encode.weight, 0);
+  const progress = new Map(encodes.map(encode => [encode, 0]));
+  const running = new Set();
+  const tasks = new Set();
+  let started = 0;
+  let usedThreads = 0;
+
+  const report = (encode, encodeProgress) => {
+    progress.set(encode, encodeProgress);
+    if (!onProgress) return;
+
+    const done = encodes.reduce((sum, item) => sum + item.weight * progress.get(item), 0);
+    const active = [...running].map(item => item.name);
+    onProgress({
+      stage: 'encoding',
+      quality: active.join(', ') || encode.name,
+      activeQualities: active,
+      qualityProgress: encodeProgress,
+      overallProgress: Math.round(done / totalWeight),
+      currentQuality: started,
+      totalQualities: encodes.length
+    });
+  };
+
+  const launch = async (encode) => {
+    started += 1;
+    running.add(encode);
+    usedThreads += encode.threads;
+    console.log(`\n[${started}/${encodes.length}] Processing ${encode.name}...`);
+
+    try {
+      await encode.run(update => report(encode, update.progress), controller.signal);
+      progress.set(encode, 100);
+    } finally {
+      running.delete(encode);
+      usedThreads -= encode.threads;
+    }
+  };
+
+  try {
+    for (const encode of encodes) {
+      // Wait for a free slot (an encode over budget still runs, on its own)
+      while (running.size > 0 && (!parallel || usedThreads + encode.threads > cpuBudget)) {
+        await Promise.race(tasks);
+      }
+
+      if (controller.signal.aborted) {
+        throw cancelledError();
+      }
+
+      const task = launch(encode);
+      tasks.add(task);
+      task.finally(() => tasks.delete(task)).catch(() => {});
+    }
+
+    await Promise.all(tasks);
+  } catch (error) {
+    abort();
+    await Promise.allSettled(tasks);
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * One audio track per source audio stream (the first one is the default, muxed into .ts chunks)
+ */
+function planAudioTracks(audioStreams) {
+  const tracks = [];
+
+  audioStreams.forEach((stream, i) => {
+    const language = subtitleService.isValidLanguage(stream.language) ? stream.language : 'und';
+    const id = tracks.some(track => track.language === language)
+      ? `audio_${language}-${stream.index}`
+      : `audio_${language}`;
+
+    tracks.push({
+      id,
+      streamIndex: stream.index,
+      language,
+      label: stream.title || language,
+      default: i === 0,
+      channels: 2,
+      bitrate: config.storage.audioTrackBitrate,
+      codecs: AUDIO_CODECS
+    });
   });
+
+  return tracks;
+}
+
+/**
+ * Error thrown when segmentation is cancelled
+ */
+function cancelledError() {
+  const error = new Error('Segmentation cancelled');
+  error.code = 'ECANCELLED';
+  return error;
+}
+
+/**
+ * Generate poster images (every size, JPEG + WebP) from the source video
+ */
+async function generatePosters(inputPath, videoDir, posterTime) {
+  try {
+    const posters = await posterService.generatePosters(inputPath, videoDir, posterTime);
+    console.log(`📷 Posters generated (${posters.formats.join(', ')})`);
+    return posters;
+  } catch (err) {
+    console.warn('⚠️ Poster generation failed:', err.message);
+    return null; // Don't fail the whole process
+  }
+}
+
+/**
+ * Generate seek-preview sprite sheets from the source video
+ */
+async function generateSprites(inputPath, videoDir, duration, signal) {
+  try {
+    const sprites = await spriteService.generateSprites(
+      inputPath, videoDir, duration, config.storage.spriteInterval, signal
+    );
+    console.log(`🖼️  Sprite sheets generated (${sprites.count} previews, ${sprites.sheets} sheets)`);
+    return sprites;
+  } catch (err) {
+    if (signal?.aborted) {
+      throw cancelledError();
+    }
+    console.warn('⚠️ Sprite generation failed:', err.message);
+    return null; // Don't fail the whole process
+  }
 }
 
 /**
@@ -137,10 +470,28 @@ async function segmentVideo(inputPath, outputDir, videoId = null, options = {})
   const {
     title = null,
     description = '',
-    qualities = ['720p', '480p', '360p'], // Default qualities to generate
+    profile = null, // Encoding profile name (default profile when not set)
+    qualities = null, // Renditions of the profile to generate (profile defaults when not set)
+    cmaf = config.storage.enableCmaf, // Also write fMP4 segments for DASH
+    segmentation = config.storage.segmentation, // 'fixed' or 'scene' (chunks cut on scene changes)
+    singlePass = config.encoding.singlePass, // Decode once and write the whole ladder from one ffmpeg process
+    parallel = config.encoding.parallel, // Run separate encodes side by side up to cpuBudget threads
+    cpuBudget = config.encoding.cpuBudget,
+    audioOnly = true, // Low-bitrate audio-only quality for bad connections
+    sprites = config.storage.enableSprites, // Seek-preview sprite sheets + WebVTT track
+    posterTime = null, // Seconds into the video to take posters from (default 10%)
+    ingest = null, // Ingest report of the source when it was already validated
+    signal = null, // AbortSignal that kills the running ffmpeg process
     onProgress = null
   } = options;
 
+  // Fails early on an unknown profile or quality
+  const encoding = encodingProfileService.resolve(profile, qualities);
+
+  if (!segmentIndexService.isValidMode(segmentation)) {
+    throw new Error(`Unknown segmentation mode: ${segmentation}`);
+  }
+
   const id = videoId || uuidv4();
   const videoDir = path.join(outputDir, id);
 
@@ -148,6 +499,9 @@ async function segmentVideo(inputPath, outputDir, videoId = null, options = {})
   console.log(`📁 Output directory: ${videoDir}`);
   console.log(`🎬 Video ID: ${id}`);
 
+  // Reject sources ffmpeg cannot make sense of before creating anything
+  const ingestReport = ingest || await ingestService.inspect(inputPath);
+
   // Create output directory
   await fs.mkdir(videoDir, { recursive: true });
 
@@ -158,50 +512,160 @@ async function segmentVideo(inputPath, outputDir, videoId = null, options = {})
   console.log(`   Resolution: ${videoInfo.width}x${videoInfo.height}`);
   console.log(`   Size: ${(videoInfo.size / 1024 / 1024).toFixed(2)} MB`);
 
-  const totalChunks = Math.ceil(videoInfo.duration / CHUNK_DURATION);
-  console.log(`   Chunks: ${totalChunks} (${CHUNK_DURATION}s each)`);
+  // Scene mode moves chunk boundaries to scene changes near the target duration
+  let cuts = null;
+  if (segmentation === 'scene') {
+    console.log('\n🎬 Detecting scene changes...');
+    try {
+      const sceneChanges = await segmentIndexService.detectSceneChanges(inputPath, config.storage.sceneThreshold, signal);
+      cuts = segmentIndexService.planSceneCuts(sceneChanges, videoInfo.duration, CHUNK_DURATION);
+      console.log(`   ${sceneChanges.length} scene changes, ${cuts.length + 1} chunks (~${CHUNK_DURATION}s each)`);
+    } catch (err) {
+      if (signal?.aborted) {
+        throw cancelledError();
+      }
+      console.warn('⚠️ Scene detection failed, using fixed-length chunks:', err.message);
+    }
+  }
+  if (!cuts) {
+    console.log(`   Chunks: ~${Math.ceil(videoInfo.duration / CHUNK_DURATION)} (${CHUNK_DURATION}s each)`);
+  }
 
-  // Determine which qualities to generate based on source resolution
+  // Determine which renditions to generate based on source resolution (never upscale)
   const sourceHeight = videoInfo.height || 720;
-  const qualitiesToGenerate = qualities.filter(q => {
-    const targetHeight = parseInt(QUALITIES[q].resolution.split('x')[1], 10);
-    return targetHeight <= sourceHeight;
-  });
+  const ladder = encoding.renditions.filter(rendition => !rendition.variantOf);
+  const kept = ladder.filter(rendition => rendition.height <= sourceHeight).map(rendition => rendition.name);
 
-  if (qualitiesToGenerate.length === 0) {
-    qualitiesToGenerate.push('360p'); // Always generate at least 360p
+  if (kept.length === 0) {
+    // Always generate at least the smallest rendition
+    kept.push([...ladder].sort((a, b) => a.height - b.height)[0].name);
   }
 
-  console.log(`\n🎞️  Generating qualities: ${qualitiesToGenerate.join(', ')}`);
-
-  // Process each quality
-  for (let i = 0; i < qualitiesToGenerate.length; i++) {
-    const quality = qualitiesToGenerate[i];
-    const settings = QUALITIES[quality];
-
-    console.log(`\n[${i + 1}/${qualitiesToGenerate.length}] Processing ${quality}...`);
-
-    await segmentQuality(inputPath, videoDir, quality, settings, (progress) => {
-      if (onProgress) {
-        const overallProgress = Math.round(
-          ((i / qualitiesToGenerate.length) + (progress.progress / 100 / qualitiesToGenerate.length)) * 100
-        );
-        onProgress({
-          stage: 'encoding',
-          quality,
-          qualityProgress: progress.progress,
-          overallProgress,
-          currentQuality: i + 1,
-          totalQualities: qualitiesToGenerate.length
-        });
-      }
+  // Codec variants (HEVC, AV1, VP9) are fMP4-only, so they need CMAF
+  let renditions = encoding.renditions.filter(rendition => kept.includes(rendition.variantOf || rendition.name));
+  if (!cmaf && renditions.some(rendition => rendition.variantOf)) {
+    console.warn('⚠️ Codec variants need CMAF output, skipping them');
+    renditions = renditions.filter(rendition => !rendition.variantOf);
+  }
+
+  const audioTracks = planAudioTracks(videoInfo.audioStreams);
+  const audioQuality = audioOnly && audioTracks.length > 0 ? config.storage.audioQuality : null;
+
+  // fMP4 video segments leave audio to the tracks so players can switch language.
+  // Audio-only fMP4 can only be cut on fixed durations, so scene-cut video keeps its audio
+  const separateAudio = cmaf && audioTracks.length > 0 && !cuts;
+
+  console.log(`\n🎞️  Encoding profile: ${encoding.profile}`);
+  console.log(`   Generating qualities: ${[...renditions.map(r => r.name), audioQuality].filter(Boolean).join(', ')}`);
+  if (audioTracks.length > 0) {
+    console.log(`   Audio tracks: ${audioTracks.map(track => track.id).join(', ')}`);
+  }
+  if (cmaf) {
+    console.log('   Writing fMP4 (CMAF) segments alongside .ts chunks');
+  }
+  if (singlePass || parallel) {
+    console.log(`   Encoding ${[singlePass && 'single-pass', parallel && `in parallel (${cpuBudget} threads)`].filter(Boolean).join(', ')}`);
+  }
+
+  const audioRenditions = [...audioTracks];
+  if (audioQuality) {
+    audioRenditions.push({
+      id: audioQuality,
+      streamIndex: audioTracks[0].streamIndex,
+      channels: 2,
+      bitrate: config.storage.audioOnlyBitrate
     });
   }
 
-  // Generate thumbnail
-  console.log('\n📷 Generating thumbnail...');
-  const thumbnailPath = path.join(videoDir, 'thumbnail.jpg');
-  await generateThumbnail(inputPath, thumbnailPath);
+  // Threads each video encode may use when encodes share the CPU budget
+  const threads = parallel ? Math.min(config.encoding.threadsPerEncode, cpuBudget) : null;
+
+  // A variant whose encoder is missing from this ffmpeg build is dropped instead of failing the video
+  const failedVariants = [];
+  const encodeVariant = (rendition, report, encodeSignal) =>
+    segmentQuality(inputPath, videoDir, rendition, report, { cmaf, threads, cuts, signal: encodeSignal }).catch(async (err) => {
+      if (encodeSignal.aborted) throw err;
+      console.warn(`⚠️ Skipping ${rendition.name} (${rendition.encoder}):`, err.message);
+      failedVariants.push(rendition.name);
+      await fs.rm(path.join(videoDir, 'chunks', rendition.name), { recursive: true, force: true });
+    });
+
+  const ladderRenditions = renditions.filter(rendition => !rendition.variantOf);
+  const variantRenditions = renditions.filter(rendition => rendition.variantOf);
+
+  // Single-pass writes the ladder and the audio from one process; codec variants keep their own
+  // encodes so a missing encoder only drops the variant
+  const encodes = singlePass
+    ? [{
+      name: 'single-pass',
+      weight: ladderRenditions.length + audioRenditions.length,
+      threads: cpuBudget,
+      run: (report, encodeSignal) => segmentSinglePass(
+        inputPath, videoDir, ladderRenditions, audioRenditions, report, { cmaf, separateAudio, cuts, signal: encodeSignal }
+      )
+    }]
+    : [
+      ...ladderRenditions.map(rendition => ({
+        name: rendition.name,
+        weight: 1,
+        threads: threads || 1,
+        run: (report, encodeSignal) => segmentQuality(
+          inputPath, videoDir, rendition, report, { cmaf, separateAudio, threads, cuts, signal: encodeSignal }
+        )
+      })),
+      ...audioRenditions.map(rendition => ({
+        name: rendition.id,
+        weight: 1,
+        threads: 1, // AAC encoding is single-threaded
+        run: (report, encodeSignal) => segmentAudio(inputPath, videoDir, rendition, report, { cmaf, signal: encodeSignal })
+      }))
+    ];
+
+  encodes.push(...variantRenditions.map(rendition => ({
+    name: rendition.name,
+    weight: 1,
+    threads: threads || 1,
+    run: (report, encodeSignal) => encodeVariant(rendition, report, encodeSignal)
+  })));
+
+  await runEncodes(encodes, { parallel, cpuBudget, signal, onProgress });
+
+  if (signal?.aborted) {
+    throw cancelledError();
+  }
+
+  // Real start and duration of every chunk, as cut by the muxer
+  const segmentIndex = await segmentIndexService.writeIndex(videoDir, {
+    segmentation: cuts ? 'scene' : 'fixed',
+    videoQuality: ladderRenditions[0].name,
+    audioQuality: audioRenditions[0]?.id
+  });
+  console.log(`\n📑 Segment index written (${segmentIndex.chunks.length} chunks)`);
+
+  // Size and SHA-256 of every chunk (ETags, Digest headers and scripts/verifyStorage.js)
+  const checksums = await checksumService.writeManifest(videoDir);
+  console.log(`🔐 Checksums written (${Object.keys(checksums.renditions).length} renditions)`);
+
+  const encoded = renditions.filter(rendition => !failedVariants.includes(rendition.name));
+  const qualitiesGenerated = encoded.map(rendition => rendition.name);
+
+  // Generate posters
+  console.log('\n📷 Generating posters...');
+  const posterAt = posterTime ?? posterService.getDefaultPosterTime(videoInfo.duration);
+  const posters = await generatePosters(inputPath, videoDir, posterAt);
+
+  let spriteInfo = null;
+  if (sprites) {
+    console.log('\n🖼️  Generating seek-preview sprites...');
+    spriteInfo = await generateSprites(inputPath, videoDir, videoInfo.duration, signal);
+  }
+
+  let subtitles = [];
+  if (videoInfo.subtitleStreams.length > 0) {
+    console.log(`\n💬 Extracting ${videoInfo.subtitleStreams.length} embedded subtitle stream(s)...`);
+    subtitles = await subtitleService.extractEmbedded(inputPath, videoDir, videoInfo.subtitleStreams);
+    console.log(`   Extracted: ${subtitles.map(track => track.id).join(', ') || 'none'}`);
+  }
 
   // Create metadata
   const metadata = {
@@ -209,21 +673,69 @@ async function segmentVideo(inputPath, outputDir, videoId = null, options = {})
     title: title || path.basename(inputPath, path.extname(inputPath)),
     description,
     duration: videoInfo.duration,
-    chunkDuration: CHUNK_DURATION,
-    totalChunks,
-    qualities: qualitiesToGenerate,
+    chunkDuration: CHUNK_DURATION, // Target duration; segments.json has the real ones
+    totalChunks: segmentIndex.chunks.length,
+    segmentation: segmentIndex.segmentation,
+    qualities: audioQuality ? [...qualitiesGenerated, audioQuality] : qualitiesGenerated,
     resolutions: Object.fromEntries(
-      qualitiesToGenerate.map(q => [q, QUALITIES[q].resolution])
+      encoded.map(rendition => [rendition.name, rendition.resolution])
     ),
+    // Peak video bitrates (BANDWIDTH in the manifests)
     bitrates: Object.fromEntries(
-      qualitiesToGenerate.map(q => [q, QUALITIES[q].videoBitrate])
+      encoded.map(rendition => [rendition.name, rendition.maxrate])
+    ),
+    // Variants play with the audio tracks, so they are counted at the track bitrate
+    audioBitrates: Object.fromEntries([
+      ...encoded
+        .filter(rendition => !rendition.variantOf || audioTracks.length > 0)
+        .map(rendition => [
+          rendition.name,
+          rendition.variantOf ? config.storage.audioTrackBitrate : rendition.audioBitrate
+        ]),
+      ...(audioQuality ? [[audioQuality, config.storage.audioOnlyBitrate]] : [])
+    ]),
+    // Codecs of the fMP4 segments (video-only when audio is in separate tracks)
+    codecs: Object.fromEntries([
+      ...encoded.map(rendition => [
+        rendition.name,
+        CodecUtils.withAudio(rendition.codecs, !rendition.variantOf && audioTracks.length > 0 && !separateAudio)
+      ]),
+      ...(audioQuality ? [[audioQuality, AUDIO_CODECS]] : [])
+    ]),
+    // fMP4-only codec variants of the H.264 ladder
+    variants: Object.fromEntries(
+      encoded
+        .filter(rendition => rendition.variantOf)
+        .map(rendition => [rendition.name, { codec: rendition.codec, variantOf: rendition.variantOf }])
     ),
+    audioTracks,
+    separateAudio,
+    // Everything needed to reproduce the encode
+    encoding: {
+      profile: encoding.profile,
+      renditions: encoded,
+      audio: {
+        codec: 'aac',
+        trackBitrate: config.storage.audioTrackBitrate,
+        audioOnlyBitrate: audioQuality ? config.storage.audioOnlyBitrate : null
+      },
+      chunkDuration: CHUNK_DURATION
+    },
+    // Chunks keep source timestamps so they can be played back-to-back (HLS)
+    continuousTimestamps: true,
+    formats: cmaf ? ['ts', 'cmaf'] : ['ts'],
+    ingest: ingestReport,
     sourceInfo: {
       width: videoInfo.width,
       height: videoInfo.height,
       codec: videoInfo.videoCodec
     },
-    thumbnail: 'thumbnail.jpg',
+    thumbnail: posters ? 'posters/poster_small.jpg' : null,
+    posters,
+    posterTime: posterAt,
+    posterVersion: Date.now(),
+    sprites: spriteInfo,
+    subtitles,
     createdAt: new Date().toISOString()
   };
 
@@ -231,6 +743,15 @@ async function segmentVideo(inputPath, outputDir, videoId = null, options = {})
   const metadataPath = path.join(videoDir, 'metadata.json');
   await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
 
+  // Object storage: upload the finished video (the local copy is only a working directory)
+  if (storageService.driver.remote) {
+    console.log('\n☁️  Uploading to storage...');
+    await storageService.publishVideo(id, videoDir);
+  }
+
+  // A re-processed video must not be served from stale cached metadata (and gets re-indexed)
+  storageService.videoChanged(id);
+
   console.log('\n✅ Video processing completed!');
   console.log(`📋 Video ID: ${id}`);
   console.log(`🎬 Stream URL: /api/videos/${id}`);
@@ -242,13 +763,8 @@ async function segmentVideo(inputPath, outputDir, videoId = null, options = {})
  * Update existing video metadata
  */
 async function updateMetadata(videoId, updates) {
-  const metadataPath = path.join(config.storage.basePath, videoId, 'metadata.json');
-
   try {
-    const existing = JSON.parse(await fs.readFile(metadataPath, 'utf-8'));
-    const updated = { ...existing, ...updates, updatedAt: new Date().toISOString() };
-    await fs.writeFile(metadataPath, JSON.stringify(updated, null, 2));
-    return updated;
+    return await storageService.updateMetadata(videoId, updates);
   } catch (error) {
     throw new Error(`Failed to update metadata: ${error.message}`);
   }
@@ -259,19 +775,36 @@ if (require.main === module) {
   const args = process.argv.slice(2);
 
   if (args.length < 1) {
-    console.log('Usage: node segmentVideo.js <input-video> [output-dir] [video-id]');
+    console.log('Usage: node segmentVideo.js <input-video> [output-dir] [video-id] [--cmaf|--no-cmaf] [--profile=<name>] [--single-pass] [--parallel] [--scene]');
     console.log('\nExample:');
     console.log('  node segmentVideo.js ./my-video.mp4');
     console.log('  node segmentVideo.js ./my-video.mp4 ./storage/videos');
     console.log('  node segmentVideo.js ./my-video.mp4 ./storage/videos my-custom-id');
+    console.log('  node segmentVideo.js ./my-video.mp4 ./storage/videos my-custom-id --no-cmaf');
+    console.log('  node segmentVideo.js ./my-video.mp4 ./storage/videos my-custom-id --profile=mobile');
+    console.log('  node segmentVideo.js ./my-video.mp4 ./storage/videos my-custom-id --single-pass --parallel');
     process.exit(1);
   }
 
-  const inputPath = args[0];
-  const outputDir = args[1] || './storage/videos';
-  const videoId = args[2];
+  const flags = args.filter(arg => arg.startsWith('--'));
+  const positional = args.filter(arg => !arg.startsWith('--'));
+
+  const inputPath = positional[0];
+  const outputDir = positional[1] || './storage/videos';
+  const videoId = positional[2];
+
+  const cliOptions = {};
+  if (flags.includes('--cmaf')) cliOptions.cmaf = true;
+  if (flags.includes('--no-cmaf')) cliOptions.cmaf = false;
+  if (flags.includes('--single-pass')) cliOptions.singlePass = true;
+  if (flags.includes('--parallel')) cliOptions.parallel = true;
+  if (flags.includes('--scene')) cliOptions.segmentation = 'scene';
+
+  const profileFlag = flags.find(flag => flag.startsWith('--profile='));
+  if (profileFlag) cliOptions.profile = profileFlag.slice('--profile='.length);
 
   segmentVideo(inputPath, outputDir, videoId, {
+    ...cliOptions,
     onProgress: (progress) => {
       process.stdout.write(`\r   Progress: ${progress.overallProgress || progress.progress}%`);
     }
@@ -286,4 +819,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { segmentVideo, updateMetadata, getVideoInfo };
\ No newline at end of file
+module.exports = { segmentVideo, updateMetadata, getVideoInfo, runEncodes, segmentQuality, segmentAudio };
\ No newline at end of file
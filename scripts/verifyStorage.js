@@ -0,0 +1,267 @@
+// scripts/verifyStorage.js
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../src/config');
+const checksumService = require('../src/services/checksumService');
+const segmentIndexService = require('../src/services/segmentIndexService');
+const downloadService = require('../src/services/downloadService');
+const { segmentQuality, segmentAudio } = require('./segmentVideo');
+
+// Scratch directory (inside the video directory) renditions are re-encoded into
+const REPAIR_DIR = '.repair';
+
+/**
+ * IDs of the videos stored under basePath (directories with a metadata.json)
+ */
+async function listVideoIds(basePath) {
+  const entries = await fs.readdir(basePath, { withFileTypes: true }).catch(() => []);
+  const videoIds = [];
+
+  for (const entry of entries.filter(item => item.isDirectory())) {
+    try {
+      await fs.access(path.join(basePath, entry.name, 'metadata.json'));
+      videoIds.push(entry.name);
+    } catch {
+      // Not a video directory
+    }
+  }
+
+  return videoIds.sort();
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Check the chunks of one video against its checksum manifest
+ */
+async function verifyVideo(videoDir) {
+  const metadata = await readJson(path.join(videoDir, 'metadata.json'));
+  const manifest = await readJson(checksumService.getManifestPath(videoDir));
+
+  if (!manifest) {
+    return { metadata, manifest, report: null };
+  }
+
+  return { metadata, manifest, report: await checksumService.verify(videoDir, manifest) };
+}
+
+/**
+ * Renditions with at least one missing or corrupt chunk
+ */
+function getDamagedRenditions(report) {
+  return [...new Set([...report.missing, ...report.corrupt].map(problem => problem.rendition))];
+}
+
+/**
+ * Encode one rendition of a video again, the way segmentVideo encoded it
+ */
+function encodeRendition(sourcePath, outputDir, metadata, name, cuts) {
+  const cmaf = (metadata.formats || []).includes('cmaf');
+  const audioTracks = metadata.audioTracks || [];
+
+  const rendition = (metadata.encoding?.renditions || []).find(item => item.name === name);
+  if (rendition) {
+    return segmentQuality(sourcePath, outputDir, rendition, null, {
+      cmaf, separateAudio: metadata.separateAudio, cuts
+    });
+  }
+
+  const track = audioTracks.find(item => item.id === name);
+  if (track) {
+    return segmentAudio(sourcePath, outputDir, track, null, { cmaf });
+  }
+
+  if (name === config.storage.audioQuality && audioTracks.length > 0) {
+    return segmentAudio(sourcePath, outputDir, {
+      id: name,
+      streamIndex: audioTracks[0].streamIndex,
+      channels: 2,
+      bitrate: metadata.encoding?.audio?.audioOnlyBitrate || config.storage.audioOnlyBitrate
+    }, null, { cmaf });
+  }
+
+  throw new Error(`no encoding settings recorded for ${name}`);
+}
+
+/**
+ * Re-encode damaged renditions from the source and swap them in
+ * A rendition is only replaced when the new encode has the same chunks
+ */
+async function repairVideo(videoDir, metadata, manifest, renditions, sourcePath) {
+  const repairDir = path.join(videoDir, REPAIR_DIR);
+  const segmentIndex = await readJson(segmentIndexService.getIndexPath(videoDir));
+
+  // Scene-cut videos are cut again on the same boundaries
+  const cuts = segmentIndex?.segmentation === 'scene'
+    ? segmentIndex.chunks.slice(1).map(chunk => chunk.startTime)
+    : null;
+
+  const repaired = [];
+
+  for (const name of renditions) {
+    console.log(`\n🔧 Re-encoding ${name}...`);
+    await fs.rm(repairDir, { recursive: true, force: true });
+
+    try {
+      await encodeRendition(sourcePath, repairDir, metadata, name, cuts);
+
+      const encodedDir = path.join(repairDir, 'chunks', name);
+      await fs.rm(segmentIndexService.getSegmentListPath(encodedDir), { force: true });
+
+      const entries = await checksumService.hashRendition(encodedDir);
+      const expected = Object.keys(manifest.renditions[name]).sort();
+      if (JSON.stringify(Object.keys(entries).sort()) !== JSON.stringify(expected)) {
+        throw new Error(`re-encode produced ${Object.keys(entries).length} files, expected ${expected.length}`);
+      }
+
+      const renditionDir = path.join(videoDir, 'chunks', name);
+      await fs.rm(renditionDir, { recursive: true, force: true });
+      await fs.rename(encodedDir, renditionDir);
+
+      manifest.renditions[name] = entries;
+      await checksumService.saveManifest(videoDir, manifest);
+
+      repaired.push(name);
+      console.log(`✅ ${name} repaired`);
+    } catch (err) {
+      console.error(`❌ Could not repair ${name}:`, err.message);
+    }
+  }
+
+  await fs.rm(repairDir, { recursive: true, force: true });
+  return repaired;
+}
+
+function printReport(videoId, report) {
+  const problems = report.missing.length + report.corrupt.length + report.orphaned.length;
+
+  if (problems === 0) {
+    console.log(`✅ ${videoId}: ${report.checked} chunks OK`);
+    return;
+  }
+
+  console.log(`⚠️ ${videoId}: ${report.checked} chunks checked`);
+  for (const { rendition, file } of report.missing) {
+    console.log(`   missing   ${rendition}/${file}`);
+  }
+  for (const { rendition, file, reason } of report.corrupt) {
+    console.log(`   corrupt   ${rendition}/${file} (${reason})`);
+  }
+  for (const { rendition, file } of report.orphaned) {
+    console.log(`   orphaned  ${rendition}/${file}`);
+  }
+}
+
+/**
+ * Verify every video (or the given ones), optionally repairing damaged renditions
+ * Returns true when no missing or corrupt chunk is left
+ */
+async function verifyStorage({ videoIds = null, repair = false, source = null, basePath = config.storage.basePath } = {}) {
+  // Chunks are hashed (and re-encoded) on disk
+  if (config.storage.driver !== 'local') {
+    throw new Error(`verification needs local storage, STORAGE_DRIVER is "${config.storage.driver}"`);
+  }
+
+  const ids = videoIds && videoIds.length > 0 ? videoIds : await listVideoIds(basePath);
+  let healthy = true;
+
+  console.log(`\n🔍 Verifying ${ids.length} video(s) in ${basePath}\n`);
+
+  for (const videoId of ids) {
+    const videoDir = path.join(basePath, videoId);
+    const { metadata, manifest, report } = await verifyVideo(videoDir);
+
+    if (!metadata) {
+      console.log(`❌ ${videoId}: not found`);
+      healthy = false;
+      continue;
+    }
+
+    if (!report) {
+      console.log(`⚠️ ${videoId}: no checksums.json (segmented before checksums were recorded), skipped`);
+      continue;
+    }
+
+    printReport(videoId, report);
+
+    const damaged = getDamagedRenditions(report);
+    if (damaged.length === 0) continue;
+
+    if (!repair) {
+      healthy = false;
+      continue;
+    }
+
+    // Re-encoding needs the original: a local file or the URL the video came from
+    let sourcePath = source;
+    if (!sourcePath && metadata.sourceUrl) {
+      console.log(`\n⬇️  Downloading source of ${videoId}...`);
+      sourcePath = await downloadService.downloadFromUrl(metadata.sourceUrl, `repair-${videoId}`).catch((err) => {
+        console.error('❌ Download failed:', err.message);
+        return null;
+      });
+    }
+
+    if (!sourcePath) {
+      console.log(`❌ ${videoId}: no source to re-encode from (pass --source=<file>)`);
+      healthy = false;
+      continue;
+    }
+
+    try {
+      const repaired = await repairVideo(videoDir, metadata, manifest, damaged, sourcePath);
+      if (repaired.length < damaged.length) healthy = false;
+    } finally {
+      if (sourcePath !== source) {
+        await downloadService.cleanup(sourcePath);
+      }
+    }
+  }
+
+  return healthy;
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    console.log('Usage: node verifyStorage.js [video-id...] [--repair] [--source=<file>]');
+    console.log('\nExample:');
+    console.log('  node verifyStorage.js');
+    console.log('  node verifyStorage.js my-video-id --repair');
+    console.log('  node verifyStorage.js my-video-id --repair --source=./my-video.mp4');
+    process.exit(0);
+  }
+
+  const flags = args.filter(arg => arg.startsWith('--'));
+  const videoIds = args.filter(arg => !arg.startsWith('--'));
+
+  const sourceFlag = flags.find(flag => flag.startsWith('--source='));
+  const source = sourceFlag ? sourceFlag.slice('--source='.length) : null;
+
+  if (source && videoIds.length !== 1) {
+    console.error('❌ --source needs exactly one video ID');
+    process.exit(1);
+  }
+
+  verifyStorage({ videoIds, repair: flags.includes('--repair'), source })
+    .then((healthy) => {
+      console.log(healthy ? '\n✅ Storage verified' : '\n❌ Storage has damaged chunks');
+      process.exit(healthy ? 0 : 1);
+    })
+    .catch((err) => {
+      console.error('\n❌ Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { verifyStorage, verifyVideo, repairVideo };
\ No newline at end of file
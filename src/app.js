@@ -8,6 +8,10 @@ const path = require('path');
 const config = require('./config');
 const routes = require('./routes');
 const logger = require('./utils/logger');
+const jobQueue = require('./services/jobQueue');
+const processingService = require('./services/processingService');
+const storageService = require('./services/storageService');
+const resumableUploadController = require('./controllers/resumableUploadController');
 const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
@@ -21,27 +25,55 @@ app.use(helmet({
   contentSecurityPolicy: false
 }));
 
+// tus capability discovery (OPTIONS is answered by the CORS middleware below)
+app.options('/api/videos/uploads', resumableUploadController.setCapabilities);
+
 // CORS configuration
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST', 'DELETE', 'HEAD', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Range'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    'Range',
+    'If-None-Match',
+    'If-Modified-Since',
+    'If-Range',
+    'Tus-Resumable',
+    'Upload-Length',
+    'Upload-Offset',
+    'Upload-Metadata',
+    'Upload-Defer-Length'
+  ],
   exposedHeaders: [
     'Content-Length',
     'Content-Range',
     'Accept-Ranges',
+    'ETag',
+    'Last-Modified',
+    'Digest',
     'X-Chunk-Index',
     'X-Video-Id',
-    'X-Quality'
+    'X-Quality',
+    'X-Job-Id',
+    'Location',
+    'Tus-Resumable',
+    'Tus-Version',
+    'Tus-Extension',
+    'Tus-Max-Size',
+    'Upload-Offset',
+    'Upload-Length',
+    'Upload-Metadata',
+    'Upload-Expires'
   ],
   credentials: true,
   maxAge: 86400
 }));
 
-// Compression (skip for video chunks)
+// Compression (skip for video chunks and event streams, which must not be buffered)
 app.use(compression({
   filter: (req, res) => {
-    if (req.path.includes('/chunks/')) {
+    if (req.path.includes('/chunks/') || req.path.endsWith('/events')) {
       return false;
     }
     return compression.filter(req, res);
@@ -98,14 +130,37 @@ const server = app.listen(config.server.port, config.server.host, () => {
   });
 });
 
+// Jobs left running by a crashed instance come back as interrupted
+jobQueue.watchStaleJobs();
+
+// Drop cached metadata when workers (also in other processes) complete videos
+if (config.storage.metadataCache.watch) {
+  storageService.watch();
+}
+
+// Run transcoding workers in this process unless `npm run worker` handles them
+if (config.queue.mode === 'inline') {
+  jobQueue.start(config.queue.concurrency);
+}
+
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received, shutting down gracefully`);
 
-  server.close(() => {
-    logger.info('Server closed');
-    process.exit(0);
-  });
+  jobQueue.stop();
+
+  processingService.interruptActiveJobs()
+    .then((jobIds) => {
+      if (jobIds.length) {
+        logger.warn('Marked running jobs as interrupted', { jobIds });
+      }
+    })
+    .finally(() => {
+      server.close(() => {
+        logger.info('Server closed');
+        process.exit(0);
+      });
+    });
 
   setTimeout(() => {
     logger.error('Forced shutdown after timeout');
@@ -2,6 +2,9 @@
 
 require('dotenv').config();
 
+const os = require('os');
+const path = require('path');
+
 module.exports = {
   // Server configuration
   server: {
@@ -12,11 +15,49 @@ module.exports = {
 
   // Storage configuration
   storage: {
+    // 'local' keeps videos under basePath, 's3' in an S3-compatible bucket (basePath is then only where encodes are written)
+    driver: process.env.STORAGE_DRIVER || 'local',
     basePath: process.env.STORAGE_PATH || './storage/videos',
+    // Answer chunk requests with redirects to pre-signed object URLs instead of streaming them (s3 only)
+    redirectChunks: process.env.STORAGE_REDIRECT_CHUNKS === 'true',
+    s3: {
+      endpoint: process.env.S3_ENDPOINT || '', // e.g. http://localhost:9000 for MinIO, empty for AWS
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET || '',
+      prefix: process.env.S3_PREFIX || '',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+      presignExpiry: parseInt(process.env.S3_PRESIGN_EXPIRY, 10) || 300
+    },
+    // In-memory cache of metadata, segment indexes and checksums (LRU, entries expire after ttl ms)
+    metadataCache: {
+      maxEntries: parseInt(process.env.METADATA_CACHE_MAX_ENTRIES, 10) || 1000,
+      ttl: parseInt(process.env.METADATA_CACHE_TTL, 10) || 300000, // 5 minutes
+      // Drop entries as soon as a worker (in any process) completes their video
+      watch: process.env.METADATA_CACHE_WATCH !== 'false'
+    },
+    // Local disk cache (LRU) of chunks read from a remote driver
+    cache: {
+      enabled: process.env.STORAGE_CACHE !== 'false',
+      path: process.env.STORAGE_CACHE_PATH || './storage/cache',
+      maxSize: parseInt(process.env.STORAGE_CACHE_MAX_SIZE, 10) || 10737418240, // 10GB
+      // First chunks of every rendition fetched when playback of a video starts (0 = off)
+      prewarmChunks: parseInt(process.env.STORAGE_CACHE_PREWARM_CHUNKS, 10) || 0
+    },
     tempPath: process.env.TEMP_PATH || './temp',
     chunkDuration: parseInt(process.env.CHUNK_DURATION, 10) || 5,
-    supportedQualities: ['360p', '480p', '720p', '1080p'],
-    defaultQuality: '720p'
+    // 'fixed' cuts chunks every chunkDuration seconds, 'scene' moves the cuts to nearby scene changes
+    segmentation: process.env.SEGMENTATION_MODE || 'fixed',
+    sceneThreshold: parseFloat(process.env.SCENE_THRESHOLD) || 0.4,
+    defaultQuality: '720p',
+    enableCmaf: process.env.ENABLE_CMAF !== 'false',
+    // Seek-preview sprite sheets (one tile every spriteInterval seconds)
+    enableSprites: process.env.ENABLE_SPRITES !== 'false',
+    spriteInterval: parseInt(process.env.SPRITE_INTERVAL, 10) || 5,
+    // Every source audio stream becomes its own rendition; "audio" is the audio-only quality
+    audioQuality: 'audio',
+    audioTrackBitrate: process.env.AUDIO_TRACK_BITRATE || '128k',
+    audioOnlyBitrate: process.env.AUDIO_ONLY_BITRATE || '64k'
   },
 
   // Caching configuration
@@ -51,7 +92,56 @@ module.exports = {
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 1073741824, // 1GB
     allowedTypes: (process.env.ALLOWED_VIDEO_TYPES || 'video/mp4,video/webm,video/quicktime').split(','),
-    tempDir: process.env.TEMP_PATH || './temp'
+    tempDir: process.env.TEMP_PATH || './temp',
+    // Resumable (tus) uploads are not limited to one request, so they get their own cap
+    maxResumableFileSize: parseInt(process.env.MAX_RESUMABLE_FILE_SIZE, 10) || 10737418240, // 10GB
+    resumableExpiry: parseInt(process.env.RESUMABLE_UPLOAD_EXPIRY, 10) || 86400000 // 24 hours
+  },
+
+  // Source media checks (ffprobe) before a video is queued
+  ingest: {
+    maxDuration: parseInt(process.env.INGEST_MAX_DURATION, 10) || 14400, // 4 hours
+    maxWidth: parseInt(process.env.INGEST_MAX_WIDTH, 10) || 3840,
+    maxHeight: parseInt(process.env.INGEST_MAX_HEIGHT, 10) || 2160,
+    // ffprobe format and codec names
+    containers: (process.env.INGEST_CONTAINERS || 'mov,mp4,matroska,webm,avi,mpegts,flv').split(','),
+    videoCodecs: (process.env.INGEST_VIDEO_CODECS || 'h264,hevc,vp8,vp9,av1,mpeg4,mpeg2video,prores').split(','),
+    audioCodecs: (process.env.INGEST_AUDIO_CODECS || 'aac,mp3,opus,vorbis,ac3,eac3,flac,alac,pcm_s16le,pcm_s24le').split(',')
+  },
+
+  // Index of videos behind GET /api/videos (rebuilt from storage when missing)
+  catalog: {
+    path: process.env.CATALOG_PATH || null, // Defaults to <basePath>/.catalog.json
+    playlistsPath: process.env.PLAYLISTS_PATH || null // Defaults to .playlists.json next to the catalog index
+  },
+
+  // Processing job store
+  jobs: {
+    store: process.env.JOB_STORE || 'file', // 'file' or 'memory'
+    storePath: process.env.JOB_STORE_PATH || './storage/jobs',
+    staleAfter: parseInt(process.env.JOB_STALE_AFTER, 10) || 300000, // 5 minutes without updates
+    // Running jobs are touched this often, so stages that report no progress never look stale
+    heartbeatInterval: parseInt(process.env.JOB_HEARTBEAT_INTERVAL, 10) || 60000
+  },
+
+  // Transcoding queue
+  queue: {
+    // 'inline' runs workers inside the API process, 'external' leaves them to `npm run worker`
+    mode: process.env.QUEUE_MODE || 'inline',
+    concurrency: parseInt(process.env.WORKER_CONCURRENCY, 10) || 1,
+    pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL, 10) || 2000,
+    defaultJobDuration: parseInt(process.env.QUEUE_DEFAULT_JOB_DURATION, 10) || 120000 // Used for estimates until jobs complete
+  },
+
+  // Encoding ladders (see src/config/encodingProfiles.json)
+  encoding: {
+    profilesPath: process.env.ENCODING_PROFILES_PATH || path.join(__dirname, 'encodingProfiles.json'),
+    // Decode the source once and write the whole ladder from one ffmpeg process (-filter_complex split)
+    singlePass: process.env.ENCODING_SINGLE_PASS === 'true',
+    // Run separate encodes side by side while their threads fit in cpuBudget
+    parallel: process.env.ENCODING_PARALLEL === 'true',
+    cpuBudget: parseInt(process.env.ENCODING_CPU_BUDGET, 10) || os.cpus().length,
+    threadsPerEncode: parseInt(process.env.ENCODING_THREADS_PER_ENCODE, 10) || 2
   },
 
   // FFmpeg configuration (NEW)
@@ -1,12 +1,15 @@
 // src/controllers/chunkController.js
 const chunkService = require('../services/chunkService');
+const checksumService = require('../services/checksumService');
 const ResponseHelper = require('../utils/responseHelper');
 const TimeUtils = require('../utils/timeUtils');
+const ConditionalUtils = require('../utils/conditionalUtils');
 const logger = require('../utils/logger');
 
 class ChunkController {
   /**
    * GET /api/chunks/:videoId/:quality/:chunkIndex
+   * GET /api/chunks/:videoId/:quality/:chunkIndex.m4s
    * Get video chunk by index
    */
   async getChunk(req, res, next) {
@@ -18,46 +21,40 @@ class ChunkController {
         return ResponseHelper.error(res, 'Invalid chunk index', 400);
       }
 
-      const chunk = await chunkService.getChunkByIndex(videoId, quality, index);
-      
-      // Parse range header for partial content
-      const range = chunkService.parseRange(req.headers.range, chunk.size);
+      const format = this.getChunkFormat(req);
+      const chunk = await chunkService.getChunkByIndex(videoId, quality, index, format);
 
-      // Set common headers
-      res.setHeader('Accept-Ranges', 'bytes');
-      res.setHeader('Content-Type', 'video/mp2t');
       res.setHeader('X-Chunk-Index', index);
       res.setHeader('X-Video-Id', videoId);
       res.setHeader('X-Quality', chunk.quality);
 
-      if (range) {
-        // Partial content response
-        res.status(206);
-        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${chunk.size}`);
-        res.setHeader('Content-Length', range.length);
-        
-        const stream = chunk.getStream(range);
-        stream.on('error', (err) => {
-          logger.error('Stream error', { error: err.message, videoId, chunkIndex: index });
-          if (!res.headersSent) {
-            ResponseHelper.error(res, 'Stream error', 500);
-          }
-        });
-        stream.pipe(res);
-      } else {
-        // Full content response
-        res.status(200);
-        res.setHeader('Content-Length', chunk.size);
-        
-        const stream = chunk.getStream();
-        stream.on('error', (err) => {
-          logger.error('Stream error', { error: err.message, videoId, chunkIndex: index });
-          if (!res.headersSent) {
-            ResponseHelper.error(res, 'Stream error', 500);
-          }
-        });
-        stream.pipe(res);
+      if (this.sendNotModified(req, res, chunk)) return;
+
+      this.sendChunk(req, res, chunk, { videoId, chunkIndex: index });
+    } catch (error) {
+      if (error.status) {
+        return ResponseHelper.error(res, error.message, error.status, error.details);
       }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/chunks/:videoId/:quality/init.mp4
+   * Get CMAF init segment
+   */
+  async getInitSegment(req, res, next) {
+    try {
+      const { videoId, quality } = req.params;
+
+      const segment = await chunkService.getInitSegment(videoId, quality);
+
+      res.setHeader('X-Video-Id', videoId);
+      res.setHeader('X-Quality', quality);
+
+      if (this.sendNotModified(req, res, segment)) return;
+
+      this.sendChunk(req, res, segment, { videoId, quality, segment: 'init' });
     } catch (error) {
       if (error.status) {
         return ResponseHelper.error(res, error.message, error.status, error.details);
@@ -68,11 +65,16 @@ class ChunkController {
 
   /**
    * GET /api/chunks/:videoId/:quality/by-time/:timestamp
-   * Get video chunk by timestamp
+   * Get video chunk by timestamp (?format=ts|cmaf, codec variants default to cmaf)
    */
   async getChunkByTime(req, res, next) {
     try {
       const { videoId, quality, timestamp } = req.params;
+      const { format } = req.query;
+
+      if (format !== undefined && !['ts', 'cmaf'].includes(format)) {
+        return ResponseHelper.error(res, 'Invalid format', 400);
+      }
       
       let seconds;
       if (timestamp.includes(':')) {
@@ -85,10 +87,11 @@ class ChunkController {
         return ResponseHelper.error(res, 'Invalid timestamp', 400);
       }
 
-      const chunk = await chunkService.getChunkByTimestamp(videoId, quality, seconds);
+      const chunk = await chunkService.getChunkByTimestamp(videoId, quality, seconds, format);
       
       // Redirect to chunk by index endpoint
-      const redirectUrl = `/api/chunks/${videoId}/${chunk.quality}/${chunk.chunkIndex}`;
+      const extension = chunk.format === 'cmaf' ? '.m4s' : '';
+      const redirectUrl = `/api/chunks/${videoId}/${chunk.quality}/${chunk.chunkIndex}${extension}`;
       
       // Include original range header if present
       if (req.headers.range) {
@@ -111,7 +114,7 @@ class ChunkController {
   async getChunkRange(req, res, next) {
     try {
       const { videoId, quality } = req.params;
-      const { start = 0, count = 5 } = req.query;
+      const { start = 0, count = 5, format = 'ts' } = req.query;
 
       const startIndex = parseInt(start, 10);
       const chunkCount = Math.min(parseInt(count, 10), 20); // Max 20 chunks
@@ -120,14 +123,22 @@ class ChunkController {
         return ResponseHelper.error(res, 'Invalid start index', 400);
       }
 
-      const chunks = await chunkService.getChunkRange(videoId, quality, startIndex, chunkCount);
+      if (!['ts', 'cmaf'].includes(format)) {
+        return ResponseHelper.error(res, 'Invalid format', 400);
+      }
+
+      const chunks = await chunkService.getChunkRange(videoId, quality, startIndex, chunkCount, format);
 
       ResponseHelper.success(res, {
         videoId,
         quality,
+        format,
         chunks
       });
     } catch (error) {
+      if (error.status) {
+        return ResponseHelper.error(res, error.message, error.status, error.details);
+      }
       next(error);
     }
   }
@@ -145,20 +156,85 @@ class ChunkController {
         return res.status(400).end();
       }
 
-      const chunk = await chunkService.getChunkByIndex(videoId, quality, index);
+      const chunk = await chunkService.getChunkByIndex(videoId, quality, index, this.getChunkFormat(req));
 
-      res.setHeader('Accept-Ranges', 'bytes');
-      res.setHeader('Content-Type', 'video/mp2t');
-      res.setHeader('Content-Length', chunk.size);
       res.setHeader('X-Chunk-Index', index);
       res.setHeader('X-Video-Id', videoId);
       res.setHeader('X-Quality', chunk.quality);
-      
+
+      if (this.sendNotModified(req, res, chunk)) return;
+
+      res.setHeader('Accept-Ranges', 'bytes');
+      res.setHeader('Content-Type', chunk.contentType);
+      res.setHeader('Content-Length', chunk.size);
+
       res.status(200).end();
     } catch (error) {
       res.status(error.status || 500).end();
     }
   }
+
+  /**
+   * Get chunk format from the requested file extension
+   */
+  getChunkFormat(req) {
+    return req.path.endsWith('.m4s') ? 'cmaf' : 'ts';
+  }
+
+  /**
+   * Set ETag, Last-Modified and Digest (of the whole chunk, also on ranges)
+   * and answer 304 when the client's copy is current
+   */
+  sendNotModified(req, res, chunk) {
+    if (chunk.checksum) {
+      res.setHeader('Digest', checksumService.getDigest(chunk.checksum));
+    }
+
+    return ConditionalUtils.sendNotModified(req, res, chunk);
+  }
+
+  /**
+   * Stream a chunk (or a byte range of it) to the response
+   * or redirect to its pre-signed object store URL
+   */
+  sendChunk(req, res, chunk, logContext) {
+    if (chunk.redirectUrl) {
+      // The URL expires, so the redirect itself must not be cached like the chunk
+      res.setHeader('Cache-Control', 'no-store');
+      return res.redirect(302, chunk.redirectUrl);
+    }
+
+    // Parse range header for partial content (the whole chunk when If-Range no longer matches)
+    const range = ConditionalUtils.ifRangeMatches(req, chunk)
+      ? chunkService.parseRange(req.headers.range, chunk.size)
+      : null;
+
+    // Set common headers
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Type', chunk.contentType);
+
+    if (range) {
+      // Partial content response
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${chunk.size}`);
+      res.setHeader('Content-Length', range.length);
+    } else {
+      // Full content response
+      res.status(200);
+      res.setHeader('Content-Length', chunk.size);
+    }
+
+    const stream = chunk.getStream(range);
+    // Close the file (or backend request) when the client goes away mid-chunk
+    res.on('close', () => stream.destroy());
+    stream.on('error', (err) => {
+      logger.error('Stream error', { error: err.message, ...logContext });
+      if (!res.headersSent) {
+        ResponseHelper.error(res, 'Stream error', 500);
+      }
+    });
+    stream.pipe(res);
+  }
 }
 
 module.exports = new ChunkController();
\ No newline at end of file
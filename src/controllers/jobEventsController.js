@@ -0,0 +1,210 @@
+// src/controllers/jobEventsController.js
+
+const logger = require('../utils/logger');
+const ResponseHelper = require('../utils/responseHelper');
+const jobStore = require('../services/jobStore');
+const { JOB_STATUSES, FINAL_STATUSES } = require('../services/jobStore/constants');
+
+// Comment line sent periodically so proxies keep idle streams open
+const HEARTBEAT_INTERVAL = 15000;
+
+// Client reconnect delay (ms) sent with the first event
+const RETRY_INTERVAL = 3000;
+
+class JobEventsController {
+  constructor() {
+    // Handlers of open streams by the job they follow (null: all jobs)
+    // One store listener per event dispatches to them, however many streams are open
+    this.subscribers = new Map();
+    this.listening = false;
+  }
+
+  /**
+   * GET /api/videos/jobs/:jobId/events
+   * Stream status, stage and progress changes of a job (Server-Sent Events)
+   * Ends with a completed/failed/interrupted/cancelled event
+   */
+  async streamJob(req, res, next) {
+    try {
+      const { jobId } = req.params;
+
+      const job = await jobStore.get(jobId);
+      if (!job) {
+        return ResponseHelper.error(res, 'Job not found', 404);
+      }
+
+      const stream = this.openStream(req, res);
+      let last = job;
+
+      stream.send('status', this.toPayload(job));
+
+      if (FINAL_STATUSES.includes(job.status)) {
+        stream.send(job.status, this.toPayload(job));
+        return stream.close();
+      }
+
+      stream.subscribe(jobId, {
+        change: (updated) => {
+          const payload = this.toPayload(updated);
+
+          if (updated.status !== last.status) {
+            stream.send('status', payload);
+          }
+          if (updated.stage !== last.stage) {
+            stream.send('stage', payload);
+          }
+          if (updated.progress !== last.progress) {
+            stream.send('progress', payload);
+          }
+          last = updated;
+
+          if (FINAL_STATUSES.includes(updated.status)) {
+            stream.send(updated.status, payload);
+            stream.close();
+          }
+        },
+        delete: () => {
+          stream.send('deleted', { jobId });
+          stream.close();
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/videos/jobs/events
+   * Stream changes of all jobs (optionally filtered by ?status=)
+   */
+  async streamAll(req, res, next) {
+    try {
+      const { status } = req.query;
+
+      if (status && !JOB_STATUSES.includes(status)) {
+        return ResponseHelper.error(res, 'Invalid status', 400, { allowed: JOB_STATUSES });
+      }
+
+      const stream = this.openStream(req, res);
+
+      stream.subscribe(null, {
+        change: (job) => {
+          if (status && job.status !== status) return;
+          stream.send('job', this.toPayload(job));
+        },
+        delete: (jobId) => {
+          stream.send('deleted', { jobId });
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start an event stream and return helpers to write to it
+   * Listeners and the heartbeat are removed when either side closes
+   */
+  openStream(req, res) {
+    const subscriptions = [];
+    let closed = false;
+
+    // Pick up changes made by workers in other processes
+    jobStore.watch();
+    this.listen();
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_INTERVAL}\n\n`);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    const cleanup = () => {
+      if (closed) return;
+      closed = true;
+
+      clearInterval(heartbeat);
+      subscriptions.forEach(([key, handlers]) => {
+        const handlerSet = this.subscribers.get(key);
+        handlerSet.delete(handlers);
+        if (handlerSet.size === 0) {
+          this.subscribers.delete(key);
+        }
+      });
+    };
+
+    req.on('close', cleanup);
+
+    return {
+      send(event, data) {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      },
+
+      /**
+       * Call handlers.change(job) and handlers.delete(jobId) for one job, or every job when jobId is null
+       */
+      subscribe: (jobId, handlers) => {
+        if (!this.subscribers.has(jobId)) {
+          this.subscribers.set(jobId, new Set());
+        }
+        this.subscribers.get(jobId).add(handlers);
+        subscriptions.push([jobId, handlers]);
+      },
+
+      close() {
+        cleanup();
+        res.end();
+      }
+    };
+  }
+
+  /**
+   * Listen to the job store once for all streams
+   */
+  listen() {
+    if (this.listening) return;
+    this.listening = true;
+
+    jobStore.on('change', job => this.dispatch(job.jobId, 'change', job));
+    jobStore.on('delete', jobId => this.dispatch(jobId, 'delete', jobId));
+  }
+
+  /**
+   * Run the handlers of the streams following a job, then those following all jobs
+   */
+  dispatch(jobId, event, value) {
+    for (const key of [jobId, null]) {
+      for (const handlers of [...(this.subscribers.get(key) || [])]) {
+        try {
+          handlers[event](value);
+        } catch (error) {
+          logger.warn('Job event listener failed', { error: error.message });
+        }
+      }
+    }
+  }
+
+  /**
+   * Job fields sent to clients
+   */
+  toPayload(job) {
+    return {
+      jobId: job.jobId,
+      videoId: job.videoId,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      error: job.error || null,
+      updatedAt: job.updatedAt
+    };
+  }
+}
+
+module.exports = new JobEventsController();
\ No newline at end of file
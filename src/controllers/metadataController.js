@@ -1,34 +1,100 @@
 // src/controllers/metadataController.js
 const storageService = require('../services/storageService');
+const catalogService = require('../services/catalogService');
+const chunkService = require('../services/chunkService');
+const manifestService = require('../services/manifestService');
+const posterService = require('../services/posterService');
+const spriteService = require('../services/spriteService');
 const tokenService = require('../services/tokenService');
+const jobStore = require('../services/jobStore');
+const { ACTIVE_STATUSES } = require('../services/jobStore/constants');
 const ResponseHelper = require('../utils/responseHelper');
+const ConditionalUtils = require('../utils/conditionalUtils');
 const TimeUtils = require('../utils/timeUtils');
+const CodecUtils = require('../utils/codecUtils');
 const config = require('../config');
 const logger = require('../utils/logger');
 
+// public: listed, unlisted: reachable by ID only, private: also needs an access token (ENABLE_AUTH)
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// Limits for editable metadata fields
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 50;
+
+// Longest search query accepted by the listing
+const MAX_QUERY_LENGTH = 200;
+
 class MetadataController {
   /**
    * GET /api/videos
-   * List all available videos
+   * List public videos from the catalog index, a page at a time
+   * ?limit=1-100&cursor=, ?sort=createdAt|duration|title&order=asc|desc,
+   * ?quality=, ?tag=, ?minDuration=&maxDuration= (seconds), ?q= (title and description search)
    */
   async listVideos(req, res, next) {
     try {
-      const videos = await storageService.listVideos();
-      
-      const formattedVideos = videos.map(video => ({
-        id: video.videoId,
-        title: video.title,
-        duration: video.duration,
-        formattedDuration: TimeUtils.formatDuration(video.duration),
-        thumbnail: video.thumbnail,
-        qualities: video.qualities
-      }));
+      const { limit = 20, cursor, sort = 'createdAt', quality, tag, q } = req.query;
+      const { order = catalogService.getDefaultOrder(sort) } = req.query;
+
+      const pageSize = parseInt(limit, 10);
+      if (isNaN(pageSize) || pageSize < 1 || pageSize > 100) {
+        return ResponseHelper.error(res, 'Invalid limit (1-100)', 400);
+      }
+
+      if (!catalogService.sorts.includes(sort)) {
+        return ResponseHelper.error(res, 'Invalid sort', 400, { allowed: catalogService.sorts });
+      }
+
+      if (!['asc', 'desc'].includes(order)) {
+        return ResponseHelper.error(res, 'Invalid order', 400, { allowed: ['asc', 'desc'] });
+      }
+
+      // Repeated parameters come in as arrays
+      for (const field of ['cursor', 'quality', 'tag', 'q']) {
+        if (req.query[field] !== undefined && typeof req.query[field] !== 'string') {
+          return ResponseHelper.error(res, `Invalid ${field}`, 400);
+        }
+      }
+
+      if (q && q.length > MAX_QUERY_LENGTH) {
+        return ResponseHelper.error(res, `Invalid q (at most ${MAX_QUERY_LENGTH} characters)`, 400);
+      }
+
+      const durations = {};
+      for (const field of ['minDuration', 'maxDuration']) {
+        if (req.query[field] === undefined) continue;
 
-      ResponseHelper.success(res, { 
-        videos: formattedVideos,
-        total: formattedVideos.length 
+        const value = Number(req.query[field]);
+        if (req.query[field] === '' || !Number.isFinite(value) || value < 0) {
+          return ResponseHelper.error(res, `Invalid ${field}`, 400);
+        }
+        durations[field] = value;
+      }
+
+      const { videos, total, nextCursor } = await catalogService.query({
+        limit: pageSize,
+        cursor,
+        sort,
+        order,
+        quality,
+        tag,
+        q,
+        ...durations
+      });
+
+      ResponseHelper.success(res, {
+        videos: videos.map(video => catalogService.toListItem(video)),
+        total,
+        limit: pageSize,
+        nextCursor
       });
     } catch (error) {
+      if (error.status) {
+        return ResponseHelper.error(res, error.message, error.status);
+      }
       next(error);
     }
   }
@@ -46,6 +112,8 @@ class MetadataController {
         return ResponseHelper.error(res, 'Video not found', 404);
       }
 
+      if (await this.sendNotModified(req, res, videoId)) return;
+
       const metadata = await storageService.getMetadata(videoId);
       const qualities = await storageService.getAvailableQualities(videoId);
 
@@ -57,16 +125,43 @@ class MetadataController {
         formattedDuration: TimeUtils.formatDuration(metadata.duration),
         chunkDuration: metadata.chunkDuration,
         totalChunks: metadata.totalChunks,
-        qualities: qualities.map(q => ({
-          name: q,
-          resolution: metadata.resolutions?.[q] || q,
-          bitrate: metadata.bitrates?.[q]
+        segmentation: metadata.segmentation || 'fixed',
+        qualities: qualities.map(q => this.formatQuality(metadata, q)),
+        audioTracks: (metadata.audioTracks || []).map(track => ({
+          id: track.id,
+          language: track.language,
+          label: track.label,
+          default: track.default,
+          channels: track.channels,
+          bitrate: track.bitrate,
+          codecs: track.codecs
         })),
+        separateAudio: Boolean(metadata.separateAudio),
+        encodingProfile: metadata.encoding?.profile || null,
+        formats: metadata.formats || ['ts'],
         defaultQuality: qualities.includes(config.storage.defaultQuality) 
           ? config.storage.defaultQuality 
-          : qualities[0],
+          : qualities.find(q => q !== config.storage.audioQuality) || qualities[0],
         thumbnail: metadata.thumbnail,
-        createdAt: metadata.createdAt
+        thumbnailUrl: posterService.getThumbnailUrl(videoId, metadata),
+        posterUrls: Object.fromEntries(
+          posterService.sizes.map(size => [size, posterService.getThumbnailUrl(videoId, metadata, size)])
+        ),
+        posterTime: metadata.posterTime,
+        thumbnailTrackUrl: metadata.sprites ? `/api/videos/${videoId}/thumbnails.vtt` : null,
+        subtitles: (metadata.subtitles || []).map(track => ({
+          id: track.id,
+          language: track.language,
+          label: track.label,
+          default: track.default,
+          url: manifestService.buildSubtitleUrl(videoId, track.id)
+        })),
+        tags: metadata.tags || [],
+        visibility: metadata.visibility || 'public',
+        hlsUrl: `/api/videos/${videoId}/master.m3u8`,
+        dashUrl: metadata.formats?.includes('cmaf') ? `/api/videos/${videoId}/manifest.mpd` : null,
+        createdAt: metadata.createdAt,
+        updatedAt: metadata.updatedAt
       };
 
       // Add CDN base URL if enabled
@@ -80,6 +175,250 @@ class MetadataController {
     }
   }
 
+  /**
+   * Set validators of a video's metadata.json and answer 304 when the client's copy is current
+   * Metadata, manifests and playlists are built from it, so they change when it is rewritten
+   * Bodies with signed chunk URLs (signed: true, auth enabled) also expire with their signatures:
+   * they get no validators and must not be kept
+   */
+  async sendNotModified(req, res, videoId, { signed = false } = {}) {
+    if (signed && config.security.enableAuth) {
+      res.setHeader('Cache-Control', 'no-store');
+      return false;
+    }
+
+    const stats = await storageService.getMetadataStats(videoId);
+
+    return ConditionalUtils.sendNotModified(req, res, {
+      etag: ConditionalUtils.weakETag(stats),
+      lastModified: stats.mtime
+    });
+  }
+
+  /**
+   * Describe a quality: codecs and formats let clients pick the best codec they support
+   */
+  formatQuality(metadata, quality) {
+    const codecs = manifestService.getCodecs(metadata, quality);
+
+    return {
+      name: quality,
+      type: quality === config.storage.audioQuality ? 'audio' : 'video',
+      resolution: metadata.resolutions?.[quality] || quality,
+      bitrate: metadata.bitrates?.[quality] || metadata.audioBitrates?.[quality],
+      bandwidth: manifestService.getBandwidth(metadata, quality),
+      codec: CodecUtils.getVideoCodec(codecs),
+      codecs,
+      variantOf: metadata.variants?.[quality]?.variantOf || null,
+      formats: manifestService.isCodecVariant(metadata, quality) ? ['cmaf'] : (metadata.formats || ['ts'])
+    };
+  }
+
+  /**
+   * PATCH /api/videos/:videoId
+   * Update title, description, tags or visibility
+   */
+  async updateVideo(req, res, next) {
+    try {
+      const { videoId } = req.params;
+
+      const exists = await storageService.videoExists(videoId);
+      if (!exists) {
+        return ResponseHelper.error(res, 'Video not found', 404);
+      }
+
+      const { updates, errors } = this.validateMetadataUpdates(req.body);
+      if (errors.length > 0) {
+        return ResponseHelper.error(res, 'Invalid metadata', 400, errors);
+      }
+
+      if (updates.posterTime !== undefined) {
+        const current = await storageService.getMetadata(videoId);
+
+        if (updates.posterTime > current.duration) {
+          return ResponseHelper.error(res, 'Invalid metadata', 400, [
+            { field: 'posterTime', message: `Must be at most the video duration (${current.duration}s)` }
+          ]);
+        }
+
+        updates.posters = await posterService.generateFromChunks(videoId, current, updates.posterTime);
+        updates.thumbnail = 'posters/poster_small.jpg';
+        updates.posterVersion = Date.now();
+      }
+
+      const metadata = await storageService.updateMetadata(videoId, updates);
+
+      logger.info('Video metadata updated', { videoId, fields: Object.keys(updates) });
+
+      ResponseHelper.success(res, {
+        id: videoId,
+        title: metadata.title,
+        description: metadata.description,
+        tags: metadata.tags || [],
+        visibility: metadata.visibility || 'public',
+        posterTime: metadata.posterTime,
+        thumbnailUrl: posterService.getThumbnailUrl(videoId, metadata),
+        updatedAt: metadata.updatedAt
+      });
+    } catch (error) {
+      if (error.status) {
+        return ResponseHelper.error(res, error.message, error.status);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/videos/:videoId/thumbnail
+   * Get poster image (?size=small|medium|large, ?format=jpg|webp)
+   * Without a format, WebP is served to clients that accept it
+   */
+  async getThumbnail(req, res, next) {
+    try {
+      const { videoId } = req.params;
+      const { size = 'small', format } = req.query;
+
+      if (!posterService.sizes.includes(size)) {
+        return ResponseHelper.error(res, 'Invalid size', 400, { allowed: posterService.sizes });
+      }
+
+      if (format && !posterService.formats.includes(format)) {
+        return ResponseHelper.error(res, 'Invalid format', 400, { allowed: posterService.formats });
+      }
+
+      const exists = await storageService.videoExists(videoId);
+      if (!exists) {
+        return ResponseHelper.error(res, 'Video not found', 404);
+      }
+
+      const metadata = await storageService.getMetadata(videoId);
+
+      let candidates = [format];
+      if (!format) {
+        res.vary('Accept');
+        candidates = (req.get('Accept') || '').includes('image/webp') ? ['webp', 'jpg'] : ['jpg'];
+      }
+
+      for (const candidate of candidates) {
+        const file = posterService.getPosterFile(metadata, size, candidate);
+        if (!file) continue;
+
+        // Cache-Control is set by the route
+        if (await this.sendVideoFile(req, res, videoId, file, candidate === 'webp' ? 'image/webp' : 'image/jpeg')) {
+          return;
+        }
+      }
+
+      ResponseHelper.error(res, 'Thumbnail not found', 404);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/videos/:videoId
+   * Delete a video (chunks, thumbnails and metadata)
+   */
+  async deleteVideo(req, res, next) {
+    try {
+      const { videoId } = req.params;
+
+      const exists = await storageService.videoExists(videoId);
+      if (!exists) {
+        return ResponseHelper.error(res, 'Video not found', 404);
+      }
+
+      // A running job would keep writing into the removed directory
+      const { jobs } = await jobStore.list({ limit: Infinity });
+      const activeJob = jobs.find(job =>
+        job.videoId === videoId && (job.status === 'queued' || ACTIVE_STATUSES.includes(job.status))
+      );
+
+      if (activeJob) {
+        return ResponseHelper.error(res, 'Video is still being processed', 409, { jobId: activeJob.jobId });
+      }
+
+      await storageService.deleteVideo(videoId);
+
+      logger.info('Video deleted', { videoId });
+
+      ResponseHelper.success(res, { id: videoId, deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Validate a metadata update body, returns normalized updates and field errors
+   */
+  validateMetadataUpdates(body) {
+    const updates = {};
+    const errors = [];
+    const editable = ['title', 'description', 'tags', 'visibility', 'posterTime'];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return { updates, errors: [{ field: 'body', message: 'Expected a JSON object' }] };
+    }
+
+    Object.keys(body)
+      .filter(field => !editable.includes(field))
+      .forEach(field => errors.push({ field, message: 'Field cannot be updated' }));
+
+    if (body.title !== undefined) {
+      const title = typeof body.title === 'string' ? body.title.trim() : '';
+      if (!title || title.length > MAX_TITLE_LENGTH) {
+        errors.push({ field: 'title', message: `Must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters` });
+      } else {
+        updates.title = title;
+      }
+    }
+
+    if (body.description !== undefined) {
+      if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH) {
+        errors.push({ field: 'description', message: `Must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` });
+      } else {
+        updates.description = body.description.trim();
+      }
+    }
+
+    if (body.tags !== undefined) {
+      const valid = Array.isArray(body.tags) &&
+        body.tags.length <= MAX_TAGS &&
+        body.tags.every(tag => typeof tag === 'string' && tag.trim() && tag.trim().length <= MAX_TAG_LENGTH);
+
+      if (!valid) {
+        errors.push({ field: 'tags', message: `Must be at most ${MAX_TAGS} non-empty strings of at most ${MAX_TAG_LENGTH} characters` });
+      } else {
+        updates.tags = [...new Set(body.tags.map(tag => tag.trim().toLowerCase()))];
+      }
+    }
+
+    if (body.posterTime !== undefined) {
+      if (typeof body.posterTime !== 'number' || !Number.isFinite(body.posterTime) || body.posterTime < 0) {
+        errors.push({ field: 'posterTime', message: 'Must be a non-negative number of seconds' });
+      } else {
+        updates.posterTime = body.posterTime;
+      }
+    }
+
+    if (body.visibility !== undefined) {
+      if (!VISIBILITIES.includes(body.visibility)) {
+        errors.push({ field: 'visibility', message: `Must be one of: ${VISIBILITIES.join(', ')}` });
+      } else if (body.visibility === 'private' && !config.security.enableAuth) {
+        // Without auth there is nobody to restrict private videos to
+        errors.push({ field: 'visibility', message: 'private requires authentication to be enabled (ENABLE_AUTH)' });
+      } else {
+        updates.visibility = body.visibility;
+      }
+    }
+
+    if (errors.length === 0 && Object.keys(updates).length === 0) {
+      errors.push({ field: 'body', message: `Provide at least one of: ${editable.join(', ')}` });
+    }
+
+    return { updates, errors };
+  }
+
   /**
    * GET /api/videos/:videoId/manifest
    * Get video manifest (chunk list)
@@ -94,6 +433,8 @@ class MetadataController {
         return ResponseHelper.error(res, 'Video not found', 404);
       }
 
+      if (await this.sendNotModified(req, res, videoId, { signed: true })) return;
+
       const metadata = await storageService.getMetadata(videoId);
       const qualities = await storageService.getAvailableQualities(videoId);
       
@@ -101,42 +442,247 @@ class MetadataController {
         ? quality 
         : config.storage.defaultQuality;
 
-      // Generate chunk list
-      const chunks = [];
-      for (let i = 0; i < metadata.totalChunks; i++) {
-        const chunk = {
-          index: i,
-          startTime: TimeUtils.chunkIndexToTimestamp(i, metadata.chunkDuration),
-          duration: i === metadata.totalChunks - 1 
-            ? metadata.duration - (i * metadata.chunkDuration)
-            : metadata.chunkDuration
-        };
-
-        // Add signed URL if auth is enabled
-        if (config.security.enableAuth) {
-          const signed = tokenService.generateSignedUrl(videoId, selectedQuality, i);
-          chunk.url = `/api/chunks/${videoId}/${selectedQuality}/${i}?expires=${signed.expires}&signature=${signed.signature}`;
-        } else {
-          chunk.url = `/api/chunks/${videoId}/${selectedQuality}/${i}`;
-        }
+      // Codec variants only have fMP4 segments
+      const format = manifestService.isCodecVariant(metadata, selectedQuality) ? 'cmaf' : 'ts';
 
-        chunks.push(chunk);
-      }
+      // Generate chunk list
+      const chunks = (await chunkService.getTimeline(videoId, metadata, selectedQuality)).map(chunk => ({
+        ...chunk,
+        url: manifestService.buildChunkUrl(videoId, selectedQuality, chunk.index, format)
+      }));
 
       ResponseHelper.success(res, {
         videoId,
         quality: selectedQuality,
+        format,
+        initUrl: format === 'cmaf' ? manifestService.buildInitUrl(videoId, selectedQuality) : null,
         availableQualities: qualities,
+        qualities: qualities.map(q => this.formatQuality(metadata, q)),
         totalDuration: metadata.duration,
         chunkDuration: metadata.chunkDuration,
-        totalChunks: metadata.totalChunks,
-        chunks
+        totalChunks: chunks.length,
+        segmentation: metadata.segmentation || 'fixed',
+        chunks,
+        thumbnails: metadata.sprites ? {
+          vttUrl: `/api/videos/${videoId}/thumbnails.vtt`,
+          interval: metadata.sprites.interval,
+          width: metadata.sprites.width,
+          height: metadata.sprites.height,
+          columns: metadata.sprites.columns,
+          rows: metadata.sprites.rows,
+          sprites: Array.from({ length: metadata.sprites.sheets }, (_, sheet) =>
+            manifestService.buildSpriteUrl(videoId, sheet)
+          )
+        } : null
       });
     } catch (error) {
       next(error);
     }
   }
 
+  /**
+   * GET /api/videos/:videoId/master.m3u8
+   * Get HLS master playlist
+   */
+  async getMasterPlaylist(req, res, next) {
+    try {
+      const { videoId } = req.params;
+
+      const exists = await storageService.videoExists(videoId);
+      if (!exists) {
+        return ResponseHelper.error(res, 'Video not found', 404);
+      }
+
+      // Playback is starting: fetch the first chunks into the storage cache
+      storageService.prewarmVideo(videoId);
+
+      if (await this.sendNotModified(req, res, videoId)) return;
+
+      const metadata = await storageService.getMetadata(videoId);
+      const qualities = await storageService.getAvailableQualities(videoId);
+
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.send(manifestService.buildMasterPlaylist(videoId, metadata, qualities));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/videos/:videoId/hls/:quality.m3u8
+   * Get HLS media playlist for a quality or audio track
+   */
+  async getMediaPlaylist(req, res, next) {
+    try {
+      const { videoId, quality } = req.params;
+
+      const exists = await storageService.videoExists(videoId);
+      if (!exists) {
+        return ResponseHelper.error(res, 'Video not found', 404);
+      }
+
+      const metadata = await storageService.getMetadata(videoId);
+
+      // Audio tracks have media playlists of their own
+      const qualities = [
+        ...await storageService.getAvailableQualities(videoId),
+        ...(metadata.audioTracks || []).map(track => track.id)
+      ];
+      if (!qualities.includes(quality)) {
+        return ResponseHelper.error(res, 'Quality not available', 404, {
+          requested: quality,
+          available: qualities
+        });
+      }
+
+      // fMP4 playlists for codec variants, and for audio tracks played next to them
+      const format = req.query.format === 'cmaf' || manifestService.isCodecVariant(metadata, quality) ? 'cmaf' : 'ts';
+      if (format === 'cmaf' && !metadata.formats?.includes('cmaf')) {
+        return ResponseHelper.error(res, 'fMP4 segments not available for this video', 404);
+      }
+
+      if (await this.sendNotModified(req, res, videoId, { signed: true })) return;
+
+      const timeline = await chunkService.getTimeline(videoId, metadata, quality);
+
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.send(manifestService.buildMediaPlaylist(videoId, metadata, quality, timeline, format));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/videos/:videoId/hls/thumbnails.m3u8
+   * Get HLS image media playlist (seek previews)
+   */
+  async getImagePlaylist(req, res, next) {
+    try {
+      const metadata = await this.getSpriteMetadata(req, res);
+      if (!metadata) return;
+
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.send(manifestService.buildImagePlaylist(req.params.videoId, metadata));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/videos/:videoId/thumbnails.vtt
+   * Get WebVTT seek-preview track (time ranges -> sprite sheet regions)
+   */
+  async getThumbnailTrack(req, res, next) {
+    try {
+      const metadata = await this.getSpriteMetadata(req, res);
+      if (!metadata) return;
+
+      res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+      res.send(manifestService.buildThumbnailVtt(req.params.videoId, metadata));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/videos/:videoId/sprites/:sheet.jpg
+   * Get seek-preview sprite sheet
+   */
+  async getSprite(req, res, next) {
+    try {
+      const metadata = await this.getSpriteMetadata(req, res);
+      if (!metadata) return;
+
+      const sheet = parseInt(req.params.sheet, 10);
+      if (isNaN(sheet) || sheet < 0 || sheet >= metadata.sprites.sheets) {
+        return ResponseHelper.error(res, 'Sprite sheet not found', 404);
+      }
+
+      // Cache-Control is set by the route
+      const sent = await this.sendVideoFile(req, res, req.params.videoId, spriteService.getSheetFile(sheet), 'image/jpeg');
+      if (!sent) {
+        ResponseHelper.error(res, 'Sprite sheet not found', 404);
+      }
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Stream a file of a video from storage, answering 304 when the client's copy is current
+   * Returns false (nothing sent) when the file does not exist
+   */
+  async sendVideoFile(req, res, videoId, file, contentType) {
+    let stats;
+    try {
+      stats = await storageService.getVideoFileStats(videoId, file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+
+    const validators = { etag: ConditionalUtils.weakETag(stats), lastModified: stats.mtime };
+    if (!ConditionalUtils.sendNotModified(req, res, validators)) {
+      ResponseHelper.stream(res, storageService.getVideoFileStream(videoId, file), contentType, stats.size);
+    }
+    return true;
+  }
+
+  /**
+   * Get metadata of a video with sprite sheets, responding 404 otherwise
+   */
+  async getSpriteMetadata(req, res) {
+    const { videoId } = req.params;
+
+    const exists = await storageService.videoExists(videoId);
+    if (!exists) {
+      ResponseHelper.error(res, 'Video not found', 404);
+      return null;
+    }
+
+    const metadata = await storageService.getMetadata(videoId);
+    if (!metadata.sprites) {
+      ResponseHelper.error(res, 'Seek previews not available for this video', 404);
+      return null;
+    }
+
+    return metadata;
+  }
+
+  /**
+   * GET /api/videos/:videoId/manifest.mpd
+   * Get MPEG-DASH manifest
+   */
+  async getDashManifest(req, res, next) {
+    try {
+      const { videoId } = req.params;
+
+      const exists = await storageService.videoExists(videoId);
+      if (!exists) {
+        return ResponseHelper.error(res, 'Video not found', 404);
+      }
+
+      const metadata = await storageService.getMetadata(videoId);
+      if (!metadata.formats?.includes('cmaf')) {
+        return ResponseHelper.error(res, 'DASH segments not available for this video', 404);
+      }
+
+      storageService.prewarmVideo(videoId);
+
+      if (await this.sendNotModified(req, res, videoId, { signed: true })) return;
+
+      const qualities = await storageService.getAvailableQualities(videoId);
+      const segmentIndex = await storageService.getSegmentIndex(videoId);
+      const timeline = chunkService.getChunkTimeline(metadata, segmentIndex);
+      const audioTimeline = chunkService.getChunkTimeline(metadata, segmentIndex, config.storage.audioQuality);
+
+      res.setHeader('Content-Type', 'application/dash+xml');
+      res.send(manifestService.buildMpd(videoId, metadata, qualities, timeline, audioTimeline));
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * GET /api/videos/:videoId/signed-urls
    * Get batch signed URLs for chunks
@@ -0,0 +1,239 @@
+// src/controllers/playlistController.js
+const playlistService = require('../services/playlistService');
+const catalogService = require('../services/catalogService');
+const ResponseHelper = require('../utils/responseHelper');
+const logger = require('../utils/logger');
+
+// Limits for playlist fields
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_ITEMS = 500;
+
+class PlaylistController {
+  /**
+   * GET /api/playlists
+   * List playlists (without their items)
+   */
+  async listPlaylists(req, res, next) {
+    try {
+      const playlists = await playlistService.list();
+
+      ResponseHelper.success(res, {
+        playlists: playlists.map(playlist => this.formatSummary(playlist)),
+        total: playlists.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/playlists
+   * Create a playlist: { title, description?, videoIds?, autoplay? }
+   */
+  async createPlaylist(req, res, next) {
+    try {
+      const { updates, errors } = await this.validatePlaylist(req.body, { create: true });
+      if (errors.length > 0) {
+        return ResponseHelper.error(res, 'Invalid playlist', 400, errors);
+      }
+
+      const playlist = await playlistService.create(updates);
+
+      logger.info('Playlist created', { playlistId: playlist.id, items: playlist.videoIds.length });
+
+      ResponseHelper.success(res, await this.formatPlaylist(playlist), 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/playlists/:playlistId
+   * Playlist with its videos in order, listed like GET /api/videos
+   * Each item names the video to autoplay after it (nextVideoId, null for the last one)
+   */
+  async getPlaylist(req, res, next) {
+    try {
+      const playlist = await playlistService.get(req.params.playlistId);
+      if (!playlist) {
+        return ResponseHelper.error(res, 'Playlist not found', 404);
+      }
+
+      ResponseHelper.success(res, await this.formatPlaylist(playlist));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/playlists/:playlistId
+   * Update title, description, videoIds (replaces the items) or autoplay
+   */
+  async updatePlaylist(req, res, next) {
+    try {
+      const { playlistId } = req.params;
+
+      const { updates, errors } = await this.validatePlaylist(req.body);
+      if (errors.length > 0) {
+        return ResponseHelper.error(res, 'Invalid playlist', 400, errors);
+      }
+
+      const playlist = await playlistService.update(playlistId, updates);
+      if (!playlist) {
+        return ResponseHelper.error(res, 'Playlist not found', 404);
+      }
+
+      logger.info('Playlist updated', { playlistId, fields: Object.keys(updates) });
+
+      ResponseHelper.success(res, await this.formatPlaylist(playlist));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/playlists/:playlistId/order
+   * Reorder the videos: { videoIds } lists every video of the playlist once, in the new order
+   */
+  async reorderPlaylist(req, res, next) {
+    try {
+      const { playlistId } = req.params;
+      const { videoIds } = req.body || {};
+
+      if (!Array.isArray(videoIds) || !videoIds.every(videoId => typeof videoId === 'string')) {
+        return ResponseHelper.error(res, 'videoIds must be an array of video IDs', 400);
+      }
+
+      const playlist = await playlistService.reorder(playlistId, videoIds);
+      if (!playlist) {
+        return ResponseHelper.error(res, 'Playlist not found', 404);
+      }
+
+      ResponseHelper.success(res, await this.formatPlaylist(playlist));
+    } catch (error) {
+      if (error.status) {
+        return ResponseHelper.error(res, error.message, error.status, error.details);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/playlists/:playlistId
+   * Delete a playlist (its videos stay)
+   */
+  async deletePlaylist(req, res, next) {
+    try {
+      const { playlistId } = req.params;
+
+      const deleted = await playlistService.delete(playlistId);
+      if (!deleted) {
+        return ResponseHelper.error(res, 'Playlist not found', 404);
+      }
+
+      logger.info('Playlist deleted', { playlistId });
+
+      ResponseHelper.success(res, { id: playlistId, deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  formatSummary(playlist) {
+    return {
+      id: playlist.id,
+      title: playlist.title,
+      description: playlist.description,
+      itemCount: playlist.videoIds.length,
+      autoplay: playlist.autoplay,
+      createdAt: playlist.createdAt,
+      updatedAt: playlist.updatedAt
+    };
+  }
+
+  async formatPlaylist(playlist) {
+    const entries = await playlistService.getItems(playlist);
+
+    return {
+      ...this.formatSummary(playlist),
+      itemCount: entries.length,
+      items: entries.map((entry, index) => ({
+        ...catalogService.toListItem(entry),
+        position: index,
+        nextVideoId: entries[index + 1]?.id || null
+      }))
+    };
+  }
+
+  /**
+   * Validate a playlist body (all fields optional on updates, title required on create)
+   * Videos must exist in the catalog
+   */
+  async validatePlaylist(body, { create = false } = {}) {
+    const updates = {};
+    const errors = [];
+    const editable = ['title', 'description', 'videoIds', 'autoplay'];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return { updates, errors: [{ field: 'body', message: 'Expected a JSON object' }] };
+    }
+
+    Object.keys(body)
+      .filter(field => !editable.includes(field))
+      .forEach(field => errors.push({ field, message: 'Field cannot be set' }));
+
+    if (body.title !== undefined || create) {
+      const title = typeof body.title === 'string' ? body.title.trim() : '';
+      if (!title || title.length > MAX_TITLE_LENGTH) {
+        errors.push({ field: 'title', message: `Must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters` });
+      } else {
+        updates.title = title;
+      }
+    }
+
+    if (body.description !== undefined) {
+      if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH) {
+        errors.push({ field: 'description', message: `Must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` });
+      } else {
+        updates.description = body.description.trim();
+      }
+    }
+
+    if (body.autoplay !== undefined) {
+      if (typeof body.autoplay !== 'boolean') {
+        errors.push({ field: 'autoplay', message: 'Must be a boolean' });
+      } else {
+        updates.autoplay = body.autoplay;
+      }
+    }
+
+    if (body.videoIds !== undefined) {
+      const valid = Array.isArray(body.videoIds) &&
+        body.videoIds.length <= MAX_ITEMS &&
+        body.videoIds.every(videoId => typeof videoId === 'string') &&
+        new Set(body.videoIds).size === body.videoIds.length;
+
+      if (!valid) {
+        errors.push({ field: 'videoIds', message: `Must be at most ${MAX_ITEMS} distinct video IDs` });
+      } else {
+        const known = new Set((await catalogService.getEntries(body.videoIds)).map(entry => entry.id));
+        const unknown = body.videoIds.filter(videoId => !known.has(videoId));
+
+        if (unknown.length > 0) {
+          errors.push({ field: 'videoIds', message: `Unknown videos: ${unknown.join(', ')}` });
+        } else {
+          updates.videoIds = body.videoIds;
+        }
+      }
+    }
+
+    if (errors.length === 0 && Object.keys(updates).length === 0) {
+      errors.push({ field: 'body', message: `Provide at least one of: ${editable.join(', ')}` });
+    }
+
+    return { updates, errors };
+  }
+}
+
+module.exports = new PlaylistController();
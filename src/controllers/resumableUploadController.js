@@ -0,0 +1,197 @@
+// src/controllers/resumableUploadController.js
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+const ResponseHelper = require('../utils/responseHelper');
+const resumableUploadService = require('../services/resumableUploadService');
+const encodingProfileService = require('../services/encodingProfileService');
+const ingestService = require('../services/ingestService');
+const uploadController = require('./uploadController');
+const { TUS_VERSION } = require('../middleware/tus');
+const { PRIORITIES } = require('../services/jobStore/constants');
+
+const TUS_EXTENSIONS = ['creation', 'termination', 'expiration'];
+
+class ResumableUploadController {
+  /**
+   * OPTIONS /api/videos/uploads
+   * Add tus server capabilities (the CORS middleware answers OPTIONS requests)
+   */
+  setCapabilities(req, res, next) {
+    res.setHeader('Tus-Resumable', TUS_VERSION);
+    res.setHeader('Tus-Version', TUS_VERSION);
+    res.setHeader('Tus-Extension', TUS_EXTENSIONS.join(','));
+    res.setHeader('Tus-Max-Size', config.upload.maxResumableFileSize);
+    next();
+  }
+
+  /**
+   * POST /api/videos/uploads
+   * Create a resumable upload (Upload-Length and Upload-Metadata headers)
+   */
+  async createUpload(req, res, next) {
+    try {
+      if (req.get('Upload-Defer-Length')) {
+        return ResponseHelper.error(res, 'Deferred upload length is not supported', 400);
+      }
+
+      const lengthHeader = req.get('Upload-Length');
+      if (!/^\d+$/.test(lengthHeader || '')) {
+        return ResponseHelper.error(res, 'Upload-Length header is required', 400);
+      }
+
+      const metadata = resumableUploadService.parseMetadata(req.get('Upload-Metadata'));
+
+      if (metadata.filetype && !config.upload.allowedTypes.includes(metadata.filetype)) {
+        return ResponseHelper.error(res, `Invalid file type: ${metadata.filetype}`, 415, {
+          allowed: config.upload.allowedTypes
+        });
+      }
+
+      if (metadata.priority && !PRIORITIES[metadata.priority]) {
+        return ResponseHelper.error(res, 'Invalid priority', 400, { allowed: Object.keys(PRIORITIES) });
+      }
+
+      encodingProfileService.resolve(metadata.profile, metadata.qualities);
+
+      const upload = await resumableUploadService.create(parseInt(lengthHeader, 10), metadata);
+
+      res.setHeader('Location', `${req.baseUrl}/videos/uploads/${upload.uploadId}`);
+      res.setHeader('Upload-Expires', new Date(upload.expiresAt).toUTCString());
+      res.status(201).end();
+
+    } catch (error) {
+      if (error.status) {
+        return ResponseHelper.error(res, error.message, error.status, error.details);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * HEAD /api/videos/uploads/:uploadId
+   * Get the current offset of an upload
+   */
+  async getUploadOffset(req, res, next) {
+    try {
+      const upload = await resumableUploadService.get(req.params.uploadId);
+
+      res.setHeader('Cache-Control', 'no-store');
+
+      if (!upload) {
+        return res.status(404).end();
+      }
+
+      this.setUploadHeaders(res, upload);
+      res.setHeader('Upload-Length', upload.length);
+      if (Object.keys(upload.metadata).length > 0) {
+        res.setHeader('Upload-Metadata', resumableUploadService.formatMetadata(upload.metadata));
+      }
+
+      res.status(200).end();
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/videos/uploads/:uploadId
+   * Append data at Upload-Offset, queues processing once the upload is complete
+   */
+  async appendUpload(req, res, next) {
+    try {
+      if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+        return ResponseHelper.error(res, 'Content-Type must be application/offset+octet-stream', 415);
+      }
+
+      const offsetHeader = req.get('Upload-Offset');
+      if (!/^\d+$/.test(offsetHeader || '')) {
+        return ResponseHelper.error(res, 'Upload-Offset header is required', 400);
+      }
+
+      const upload = await resumableUploadService.append(
+        req.params.uploadId,
+        parseInt(offsetHeader, 10),
+        req,
+        complete => this.finishUpload(complete)
+      );
+
+      this.setUploadHeaders(res, upload);
+      res.status(204).end();
+
+    } catch (error) {
+      if (error.status) {
+        if (error.details?.offset !== undefined) {
+          res.setHeader('Upload-Offset', error.details.offset);
+        }
+        return ResponseHelper.error(res, error.message, error.status, error.details);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/videos/uploads/:uploadId
+   * Terminate an upload and discard its data
+   */
+  async terminateUpload(req, res, next) {
+    try {
+      const terminated = await resumableUploadService.terminate(req.params.uploadId);
+
+      if (!terminated) {
+        return ResponseHelper.error(res, 'Upload not found', 404);
+      }
+
+      res.status(204).end();
+
+    } catch (error) {
+      if (error.status) {
+        return ResponseHelper.error(res, error.message, error.status);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * Hand a complete upload to the same processing pipeline as direct uploads
+   * Runs under the upload's lock (see resumableUploadService.append)
+   */
+  async finishUpload(upload) {
+    const jobId = uuidv4();
+    const videoId = uuidv4();
+    const filename = upload.metadata.filename || 'upload';
+    const filePath = path.join(config.upload.tempDir, `${videoId}_upload${path.extname(filename)}`);
+
+    // Media we cannot encode is discarded instead of being queued
+    let ingest;
+    try {
+      ingest = await ingestService.inspect(resumableUploadService.getDataPath(upload.uploadId));
+    } catch (error) {
+      await resumableUploadService.discard(upload.uploadId).catch(() => {});
+      throw error;
+    }
+
+    const completed = await resumableUploadService.complete(upload.uploadId, filePath, { jobId, videoId });
+
+    logger.info('Resumable upload complete', { uploadId: upload.uploadId, jobId, videoId });
+
+    await uploadController.queueUpload(jobId, videoId, filePath, filename, upload.metadata, ingest);
+
+    return completed;
+  }
+
+  setUploadHeaders(res, upload) {
+    res.setHeader('Upload-Offset', upload.offset);
+    res.setHeader('Upload-Expires', new Date(upload.expiresAt).toUTCString());
+
+    if (upload.jobId) {
+      res.setHeader('X-Job-Id', upload.jobId);
+      res.setHeader('X-Video-Id', upload.videoId);
+    }
+  }
+}
+
+module.exports = new ResumableUploadController();
\ No newline at end of file
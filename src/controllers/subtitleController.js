@@ -0,0 +1,226 @@
+// src/controllers/subtitleController.js
+
+const path = require('path');
+const multer = require('multer');
+const storageService = require('../services/storageService');
+const subtitleService = require('../services/subtitleService');
+const chunkService = require('../services/chunkService');
+const manifestService = require('../services/manifestService');
+const ResponseHelper = require('../utils/responseHelper');
+const metadataController = require('./metadataController');
+const SubtitleUtils = require('../utils/subtitleUtils');
+
+// Subtitle files are small; keep them in memory for conversion
+const MAX_SUBTITLE_SIZE = 2 * 1024 * 1024;
+const MAX_LABEL_LENGTH = 100;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_SUBTITLE_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (['.srt', '.vtt'].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb({ status: 400, message: `Invalid subtitle file: ${file.originalname}. Allowed: .srt, .vtt` }, false);
+    }
+  }
+});
+
+class SubtitleController {
+  /**
+   * POST /api/videos/:videoId/subtitles
+   * Upload an SRT or WebVTT file for a language (SRT is converted to WebVTT)
+   */
+  getUploadMiddleware() {
+    return upload.single('subtitle');
+  }
+
+  async uploadSubtitle(req, res, next) {
+    try {
+      const { videoId } = req.params;
+      const { language, label, default: isDefault } = req.body;
+
+      if (!req.file) {
+        return ResponseHelper.error(res, 'No subtitle file uploaded', 400);
+      }
+
+      if (!subtitleService.isValidLanguage(language)) {
+        return ResponseHelper.error(res, 'Invalid language (expected a tag like "en" or "pt-BR")', 400);
+      }
+
+      if (label !== undefined && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+        return ResponseHelper.error(res, `Label must be at most ${MAX_LABEL_LENGTH} characters`, 400);
+      }
+
+      const exists = await storageService.videoExists(videoId);
+      if (!exists) {
+        return ResponseHelper.error(res, 'Video not found', 404);
+      }
+
+      const track = await subtitleService.addTrack(videoId, {
+        language,
+        label: label?.trim(),
+        isDefault: isDefault === 'true' || isDefault === true,
+        content: req.file.buffer.toString('utf-8')
+      });
+
+      ResponseHelper.success(res, this.formatTrack(videoId, track), 201);
+    } catch (error) {
+      if (error.status) {
+        return ResponseHelper.error(res, error.message, error.status);
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/videos/:videoId/subtitles
+   * List subtitle tracks
+   */
+  async listSubtitles(req, res, next) {
+    try {
+      const { videoId } = req.params;
+
+      const exists = await storageService.videoExists(videoId);
+      if (!exists) {
+        return ResponseHelper.error(res, 'Video not found', 404);
+      }
+
+      const tracks = await subtitleService.listTracks(videoId);
+
+      ResponseHelper.success(res, {
+        videoId,
+        subtitles: tracks.map(track => this.formatTrack(videoId, track))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/videos/:videoId/subtitles/:trackId.vtt
+   * Get a whole subtitle track
+   */
+  async getSubtitle(req, res, next) {
+    try {
+      const { videoId, trackId } = req.params;
+
+      const track = await this.findTrack(req, res);
+      if (!track) return;
+
+      const sent = await metadataController.sendVideoFile(
+        req, res, videoId, subtitleService.getTrackFile(trackId), 'text/vtt; charset=utf-8'
+      );
+      if (!sent) {
+        ResponseHelper.error(res, 'Subtitle track not found', 404);
+      }
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/videos/:videoId/subtitles/:trackId/:chunkIndex.vtt
+   * Get the WebVTT segment aligned with a chunk (HLS subtitle rendition)
+   */
+  async getSubtitleSegment(req, res, next) {
+    try {
+      const { videoId, trackId } = req.params;
+      const chunkIndex = parseInt(req.params.chunkIndex, 10);
+
+      const track = await this.findTrack(req, res);
+      if (!track) return;
+
+      const metadata = await storageService.getMetadata(videoId);
+      const chunk = (await chunkService.getTimeline(videoId, metadata))[chunkIndex];
+
+      if (!chunk) {
+        return ResponseHelper.error(res, 'Segment not found', 404);
+      }
+
+      const cues = await subtitleService.getCues(videoId, trackId);
+
+      res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+      res.send(SubtitleUtils.buildVttSegment(cues, chunk, metadata.continuousTimestamps));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/videos/:videoId/hls/subtitles/:trackId.m3u8
+   * Get HLS subtitle playlist
+   */
+  async getSubtitlePlaylist(req, res, next) {
+    try {
+      const { videoId, trackId } = req.params;
+
+      const track = await this.findTrack(req, res);
+      if (!track) return;
+
+      const metadata = await storageService.getMetadata(videoId);
+      const timeline = await chunkService.getTimeline(videoId, metadata);
+
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.send(manifestService.buildSubtitlePlaylist(videoId, metadata, trackId, timeline));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/videos/:videoId/subtitles/:trackId
+   * Delete a subtitle track
+   */
+  async deleteSubtitle(req, res, next) {
+    try {
+      const { videoId, trackId } = req.params;
+
+      const track = await this.findTrack(req, res);
+      if (!track) return;
+
+      await subtitleService.deleteTrack(videoId, trackId);
+
+      ResponseHelper.success(res, { videoId, id: trackId, deleted: true });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Find the requested track, responding 404 if the video or track does not exist
+   */
+  async findTrack(req, res) {
+    const { videoId, trackId } = req.params;
+
+    const exists = await storageService.videoExists(videoId);
+    if (!exists) {
+      ResponseHelper.error(res, 'Video not found', 404);
+      return null;
+    }
+
+    const track = await subtitleService.getTrack(videoId, trackId);
+    if (!track) {
+      ResponseHelper.error(res, 'Subtitle track not found', 404);
+      return null;
+    }
+
+    return track;
+  }
+
+  formatTrack(videoId, track) {
+    return {
+      id: track.id,
+      language: track.language,
+      label: track.label,
+      default: track.default,
+      source: track.source,
+      url: manifestService.buildSubtitleUrl(videoId, track.id)
+    };
+  }
+}
+
+module.exports = new SubtitleController();
\ No newline at end of file
@@ -8,10 +8,16 @@ const config = require('../config');
 const logger = require('../utils/logger');
 const ResponseHelper = require('../utils/responseHelper');
 const downloadService = require('../services/downloadService');
-const { segmentVideo, updateMetadata } = require('../../scripts/segmentVideo');
+const jobStore = require('../services/jobStore');
+const jobQueue = require('../services/jobQueue');
+const processingService = require('../services/processingService');
+const encodingProfileService = require('../services/encodingProfileService');
+const ingestService = require('../services/ingestService');
+const { JOB_STATUSES, ACTIVE_STATUSES, PRIORITIES } = require('../services/jobStore/constants');
+const { segmentVideo } = require('../../scripts/segmentVideo');
 
-// Store processing jobs status
-const processingJobs = new Map();
+// Statuses a job can be retried from
+const RETRYABLE_STATUSES = ['failed', 'interrupted', 'cancelled'];
 
 /**
  * Configure multer for file uploads
@@ -57,7 +63,7 @@ class UploadController {
     const videoId = uuidv4();
 
     try {
-      const { url, title, description, qualities } = req.body;
+      const { url, title, description, qualities, profile, priority = 'normal' } = req.body;
 
       // Validate URL
       if (!url) {
@@ -70,18 +76,30 @@ class UploadController {
         return ResponseHelper.error(res, 'Invalid URL format', 400);
       }
 
-      logger.info('Processing video from URL', { jobId, videoId, url });
+      if (!PRIORITIES[priority]) {
+        return ResponseHelper.error(res, 'Invalid priority', 400, { allowed: Object.keys(PRIORITIES) });
+      }
+
+      // Reject unknown profiles/qualities now rather than when a worker picks the job up
+      encodingProfileService.resolve(profile, qualities);
 
-      // Initialize job status
-      processingJobs.set(jobId, {
+      logger.info('Processing video from URL', { jobId, videoId, url, profile });
+
+      // Queue job
+      await jobQueue.enqueue({
         jobId,
         videoId,
-        status: 'initializing',
-        progress: 0,
-        stage: 'starting',
         url,
-        startedAt: new Date().toISOString()
-      });
+        source: { type: 'url', url },
+        options: {
+          title,
+          description,
+          profile: profile || encodingProfileService.defaultProfile,
+          qualities: encodingProfileService.parseQualities(qualities)
+        }
+      }, priority);
+
+      const queueInfo = await jobQueue.getQueueInfo(jobId);
 
       // Return immediately with job ID
       res.status(202).json({
@@ -89,162 +107,130 @@ class UploadController {
         data: {
           jobId,
           videoId,
-          status: 'processing',
-          message: 'Video processing started',
+          status: 'queued',
+          message: 'Video queued for processing',
           statusUrl: `/api/videos/jobs/${jobId}`,
-          estimatedTime: 'Depends on video length and quality'
+          ...queueInfo
         }
       });
 
-      // Process asynchronously
-      this.processVideoAsync(jobId, videoId, url, { title, description, qualities });
-
     } catch (error) {
-      processingJobs.set(jobId, {
-        ...processingJobs.get(jobId),
-        status: 'failed',
-        error: error.message
-      });
-      logger.error('Failed to start video processing', { jobId, error: error.message });
+      logger.error('Failed to queue video processing', { jobId, error: error.message });
+      next(error);
     }
   }
 
   /**
-   * Async video processing
+   * GET /api/videos/jobs/:jobId
+   * Get processing job status
    */
-  async processVideoAsync(jobId, videoId, url, options) {
-    let tempFilePath = null;
-
+  async getJobStatus(req, res, next) {
     try {
-      // Update status: Downloading
-      this.updateJobStatus(jobId, {
-        status: 'downloading',
-        stage: 'Downloading video from URL',
-        progress: 0
-      });
+      const { jobId } = req.params;
 
-      // Get video info first
-      const videoInfo = await downloadService.getVideoInfo(url);
-      this.updateJobStatus(jobId, {
-        title: options.title || videoInfo.title,
-        sourceInfo: videoInfo
-      });
+      const job = await jobStore.get(jobId);
 
-      // Download video
-      tempFilePath = await downloadService.downloadFromUrl(url, videoId, (progress) => {
-        this.updateJobStatus(jobId, {
-          status: 'downloading',
-          stage: 'Downloading video',
-          progress: progress.progress,
-          downloaded: progress.downloaded,
-          total: progress.total
-        });
-      });
+      if (!job) {
+        return ResponseHelper.error(res, 'Job not found', 404);
+      }
 
-      logger.info('Download completed', { jobId, videoId, tempFilePath });
+      if (job.status === 'queued') {
+        Object.assign(job, await jobQueue.getQueueInfo(jobId));
+      }
 
-      // Update status: Processing
-      this.updateJobStatus(jobId, {
-        status: 'processing',
-        stage: 'Encoding video chunks',
-        progress: 0
-      });
+      ResponseHelper.success(res, job);
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Segment video
-      const result = await segmentVideo(
-        tempFilePath,
-        config.storage.basePath,
-        videoId,
-        {
-          title: options.title || videoInfo.title,
-          description: options.description || videoInfo.description || '',
-          qualities: options.qualities || ['720p', '480p', '360p'],
-          onProgress: (progress) => {
-            this.updateJobStatus(jobId, {
-              status: 'processing',
-              stage: `Encoding ${progress.quality} (${progress.currentQuality}/${progress.totalQualities})`,
-              progress: progress.overallProgress,
-              currentQuality: progress.quality,
-              qualityProgress: progress.qualityProgress
-            });
-          }
-        }
-      );
+  /**
+   * GET /api/videos/jobs
+   * List processing jobs (paged, optionally filtered by status)
+   */
+  async listJobs(req, res, next) {
+    try {
+      const { status, limit = 50, offset = 0 } = req.query;
 
-      // Update metadata with source URL
-      await updateMetadata(videoId, {
-        sourceUrl: url,
-        sourceTitle: videoInfo.title
-      });
+      const pageSize = parseInt(limit, 10);
+      const pageOffset = parseInt(offset, 10);
 
-      // Update status: Completed
-      this.updateJobStatus(jobId, {
-        status: 'completed',
-        stage: 'Processing complete',
-        progress: 100,
-        completedAt: new Date().toISOString(),
-        result: {
-          videoId,
-          streamUrl: `/api/videos/${videoId}`,
-          manifestUrl: `/api/videos/${videoId}/manifest`,
-          ...result.metadata
-        }
-      });
+      if (isNaN(pageSize) || pageSize < 1 || pageSize > 100) {
+        return ResponseHelper.error(res, 'Invalid limit (1-100)', 400);
+      }
 
-      logger.info('Video processing completed', { jobId, videoId });
+      if (isNaN(pageOffset) || pageOffset < 0) {
+        return ResponseHelper.error(res, 'Invalid offset', 400);
+      }
 
-    } catch (error) {
-      logger.error('Video processing failed', { jobId, videoId, error: error.message });
+      if (status && !JOB_STATUSES.includes(status)) {
+        return ResponseHelper.error(res, 'Invalid status', 400, { allowed: JOB_STATUSES });
+      }
 
-      this.updateJobStatus(jobId, {
-        status: 'failed',
-        stage: 'Error',
-        error: error.message,
-        failedAt: new Date().toISOString()
+      const { jobs, total } = await jobStore.list({
+        status,
+        limit: pageSize,
+        offset: pageOffset
       });
 
-    } finally {
-      // Cleanup temp file
-      if (tempFilePath) {
-        await downloadService.cleanup(tempFilePath);
-      }
+      ResponseHelper.success(res, {
+        jobs,
+        total,
+        limit: pageSize,
+        offset: pageOffset
+      });
+    } catch (error) {
+      next(error);
     }
   }
 
   /**
-   * Update job status
+   * POST /api/videos/jobs/:jobId/retry
+   * Retry a failed or interrupted job from its original source
    */
-  updateJobStatus(jobId, updates) {
-    const current = processingJobs.get(jobId) || {};
-    processingJobs.set(jobId, { ...current, ...updates, updatedAt: new Date().toISOString() });
-  }
+  async retryJob(req, res, next) {
+    try {
+      const { jobId } = req.params;
 
-  /**
-   * GET /api/videos/jobs/:jobId
-   * Get processing job status
-   */
-  async getJobStatus(req, res) {
-    const { jobId } = req.params;
+      const job = await jobStore.get(jobId);
+      if (!job) {
+        return ResponseHelper.error(res, 'Job not found', 404);
+      }
 
-    const job = processingJobs.get(jobId);
+      if (!RETRYABLE_STATUSES.includes(job.status)) {
+        return ResponseHelper.error(res, `Job cannot be retried while ${job.status}`, 409);
+      }
 
-    if (!job) {
-      return ResponseHelper.error(res, 'Job not found', 404);
-    }
+      if (!job.source) {
+        return ResponseHelper.error(res, 'Job has no recorded source', 409);
+      }
 
-    ResponseHelper.success(res, job);
-  }
+      if (job.source.type === 'upload') {
+        try {
+          await fs.access(job.source.filePath);
+        } catch {
+          return ResponseHelper.error(res, 'Uploaded source file is no longer available', 409);
+        }
+      }
 
-  /**
-   * GET /api/videos/jobs
-   * List all processing jobs
-   */
-  async listJobs(req, res) {
-    const jobs = Array.from(processingJobs.values())
-      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
-      .slice(0, 50); // Last 50 jobs
+      await jobQueue.requeue(jobId, {
+        error: null,
+        cancelRequested: false,
+        retries: (job.retries || 0) + 1,
+        retriedAt: new Date().toISOString()
+      });
 
-    ResponseHelper.success(res, { jobs, total: jobs.length });
+      ResponseHelper.success(res, {
+        jobId,
+        videoId: job.videoId,
+        status: 'queued',
+        message: 'Job queued for retry',
+        statusUrl: `/api/videos/jobs/${jobId}`,
+        ...await jobQueue.getQueueInfo(jobId)
+      }, 202);
+    } catch (error) {
+      next(error);
+    }
   }
 
   /**
@@ -264,20 +250,32 @@ class UploadController {
       }
 
       const videoId = req.videoId;
-      const { title, description, qualities } = req.body;
+      const { title, description, qualities, profile, priority = 'normal' } = req.body;
+
+      if (!PRIORITIES[priority]) {
+        await fs.unlink(req.file.path).catch(() => {});
+        return ResponseHelper.error(res, 'Invalid priority', 400, { allowed: Object.keys(PRIORITIES) });
+      }
+
+      // Unknown profile/qualities or media we cannot encode never reach the queue
+      let ingest;
+      try {
+        encodingProfileService.resolve(profile, qualities);
+        ingest = await ingestService.inspect(req.file.path);
+      } catch (error) {
+        await fs.unlink(req.file.path).catch(() => {});
+        throw error;
+      }
 
       logger.info('Processing uploaded video', { jobId, videoId, filename: req.file.originalname });
 
-      // Initialize job status
-      processingJobs.set(jobId, {
-        jobId,
-        videoId,
-        status: 'processing',
-        progress: 0,
-        stage: 'Starting',
-        filename: req.file.originalname,
-        startedAt: new Date().toISOString()
-      });
+      const queueInfo = await this.queueUpload(jobId, videoId, req.file.path, req.file.originalname, {
+        title,
+        description,
+        qualities,
+        profile,
+        priority
+      }, ingest);
 
       // Return immediately
       res.status(202).json({
@@ -285,68 +283,40 @@ class UploadController {
         data: {
           jobId,
           videoId,
-          status: 'processing',
-          message: 'Video upload processing started',
-          statusUrl: `/api/videos/jobs/${jobId}`
+          status: 'queued',
+          message: 'Video upload queued for processing',
+          statusUrl: `/api/videos/jobs/${jobId}`,
+          ...queueInfo
         }
       });
 
-      // Process asynchronously
-      this.processUploadAsync(jobId, videoId, req.file.path, {
-        title: title || req.file.originalname,
-        description,
-        qualities: qualities ? qualities.split(',') : ['720p', '480p', '360p']
-      });
-
     } catch (error) {
       next(error);
     }
   }
 
   /**
-   * Async upload processing
+   * Queue an uploaded source file for processing (also used by resumable uploads)
+   * ingest is the report of the source, already validated by ingestService.inspect
    */
-  async processUploadAsync(jobId, videoId, filePath, options) {
-    try {
-      const result = await segmentVideo(
-        filePath,
-        config.storage.basePath,
-        videoId,
-        {
-          ...options,
-          onProgress: (progress) => {
-            this.updateJobStatus(jobId, {
-              status: 'processing',
-              stage: `Encoding ${progress.quality}`,
-              progress: progress.overallProgress,
-              currentQuality: progress.quality
-            });
-          }
-        }
-      );
-
-      this.updateJobStatus(jobId, {
-        status: 'completed',
-        progress: 100,
-        completedAt: new Date().toISOString(),
-        result: {
-          videoId,
-          streamUrl: `/api/videos/${videoId}`,
-          manifestUrl: `/api/videos/${videoId}/manifest`,
-          ...result.metadata
-        }
-      });
-
-    } catch (error) {
-      this.updateJobStatus(jobId, {
-        status: 'failed',
-        error: error.message,
-        failedAt: new Date().toISOString()
-      });
-    } finally {
-      // Cleanup uploaded file
-      await fs.unlink(filePath).catch(() => {});
-    }
+  async queueUpload(jobId, videoId, filePath, filename, { title, description, qualities, profile, priority = 'normal' }, ingest) {
+    const options = {
+      title: title || filename,
+      description,
+      profile: profile || encodingProfileService.defaultProfile,
+      qualities: encodingProfileService.parseQualities(qualities)
+    };
+
+    await jobQueue.enqueue({
+      jobId,
+      videoId,
+      filename,
+      source: { type: 'upload', filePath, filename },
+      ingest,
+      options
+    }, priority);
+
+    return jobQueue.getQueueInfo(jobId);
   }
 
   /**
@@ -358,13 +328,15 @@ class UploadController {
     let tempFilePath = null;
 
     try {
-      const { url, title, description, qualities } = req.body;
+      const { url, title, description, qualities, profile } = req.body;
       const videoId = uuidv4();
 
       if (!url) {
         return ResponseHelper.error(res, 'Video URL is required', 400);
       }
 
+      encodingProfileService.resolve(profile, qualities);
+
       logger.info('Processing video synchronously', { videoId, url });
 
       // Download
@@ -379,7 +351,8 @@ class UploadController {
         {
           title: title || videoInfo.title,
           description: description || '',
-          qualities: qualities || ['720p', '480p']
+          profile,
+          qualities
         }
       );
 
@@ -401,17 +374,63 @@ class UploadController {
 
   /**
    * DELETE /api/videos/jobs/:jobId
-   * Cancel/delete processing job
+   * Cancel a queued/running job, or delete a finished one
    */
-  async deleteJob(req, res) {
-    const { jobId } = req.params;
+  async deleteJob(req, res, next) {
+    try {
+      const { jobId } = req.params;
 
-    if (!processingJobs.has(jobId)) {
-      return ResponseHelper.error(res, 'Job not found', 404);
-    }
+      let job = await jobStore.get(jobId);
+      if (!job) {
+        return ResponseHelper.error(res, 'Job not found', 404);
+      }
+
+      // Queued jobs never started: cancel unless a worker claims it first
+      if (job.status === 'queued') {
+        const cancelled = await jobStore.claim(jobId, {
+          status: 'cancelled',
+          stage: 'Cancelled',
+          cancelledAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        });
 
-    processingJobs.delete(jobId);
-    ResponseHelper.success(res, { message: 'Job deleted' });
+        if (cancelled) {
+          if (cancelled.source?.type === 'upload') {
+            await fs.unlink(cancelled.source.filePath).catch(() => {});
+          }
+          return ResponseHelper.success(res, { jobId, status: 'cancelled', message: 'Job cancelled' });
+        }
+
+        job = await jobStore.get(jobId);
+      }
+
+      if (ACTIVE_STATUSES.includes(job.status)) {
+        // The worker running the job (possibly another process) aborts it
+        await jobStore.update(jobId, {
+          cancelRequested: true,
+          stage: 'Cancelling',
+          updatedAt: new Date().toISOString()
+        });
+        processingService.cancel(jobId);
+
+        return ResponseHelper.success(res, {
+          jobId,
+          status: 'cancelling',
+          message: 'Job cancellation requested',
+          statusUrl: `/api/videos/jobs/${jobId}`
+        }, 202);
+      }
+
+      // Failed and interrupted upload jobs keep their source for retries
+      if (job.source?.type === 'upload') {
+        await fs.unlink(job.source.filePath).catch(() => {});
+      }
+
+      await jobStore.delete(jobId);
+      ResponseHelper.success(res, { message: 'Job deleted' });
+    } catch (error) {
+      next(error);
+    }
   }
 }
 
@@ -1,6 +1,7 @@
 // src/controllers/videoController.js
 const storageService = require('../services/storageService');
 const tokenService = require('../services/tokenService');
+const encodingProfileService = require('../services/encodingProfileService');
 const ResponseHelper = require('../utils/responseHelper');
 const config = require('../config');
 
@@ -38,7 +39,9 @@ class VideoController {
       status: 'healthy',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
-      memory: process.memoryUsage()
+      memory: process.memoryUsage(),
+      metadataCache: storageService.getMetadataCacheStats(),
+      storageCache: storageService.getCacheStats()
     });
   }
 
@@ -49,8 +52,9 @@ class VideoController {
   async getConfig(req, res) {
     ResponseHelper.success(res, {
       chunkDuration: config.storage.chunkDuration,
-      supportedQualities: config.storage.supportedQualities,
+      supportedQualities: encodingProfileService.getSupportedQualities(),
       defaultQuality: config.storage.defaultQuality,
+      encodingProfiles: encodingProfileService.listProfiles(),
       authEnabled: config.security.enableAuth,
       cdnEnabled: config.cdn.enabled,
       cdnBaseUrl: config.cdn.enabled ? config.cdn.baseUrl : null
@@ -1,5 +1,6 @@
 // src/middleware/auth.js
 const tokenService = require('../services/tokenService');
+const storageService = require('../services/storageService');
 const ResponseHelper = require('../utils/responseHelper');
 const config = require('../config');
 
@@ -42,10 +43,13 @@ const verifySignedUrl = (req, res, next) => {
     return ResponseHelper.error(res, 'Signed URL parameters required', 401);
   }
 
+  // Init segments have no chunk index
+  const index = chunkIndex === undefined ? 'init' : parseInt(chunkIndex, 10);
+
   const result = tokenService.verifySignedUrl(
     videoId,
     quality,
-    parseInt(chunkIndex, 10),
+    index,
     parseInt(expires, 10),
     signature
   );
@@ -74,8 +78,33 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
+/**
+ * Private videos: reads of /videos/:videoId/... need a valid access token
+ * Their responses are kept out of shared caches (this runs after the route's cache middleware)
+ * Unknown videos pass through so the route answers 404
+ */
+const privateVideo = async (req, res, next) => {
+  try {
+    const { videoId } = req.params;
+    if (!(await storageService.videoExists(videoId))) {
+      return next();
+    }
+
+    const metadata = await storageService.getMetadata(videoId);
+    if (metadata.visibility !== 'private') {
+      return next();
+    }
+
+    res.setHeader('Cache-Control', 'private, no-cache');
+    authenticateToken(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   authenticateToken,
   verifySignedUrl,
-  optionalAuth
+  optionalAuth,
+  privateVideo
 };
\ No newline at end of file
@@ -73,9 +73,17 @@ const metadataCache = setCacheHeaders({
   staleWhileRevalidate: 86400
 });
 
+/**
+ * Thumbnail cache headers (immutable when the URL carries a poster version)
+ */
+const thumbnailCache = (req, res, next) => {
+  return req.query.v ? chunkCache(req, res, next) : metadataCache(req, res, next);
+};
+
 module.exports = {
   setCacheHeaders,
   noCache,
   chunkCache,
-  metadataCache
+  metadataCache,
+  thumbnailCache
 };
\ No newline at end of file
@@ -0,0 +1,24 @@
+// src/middleware/tus.js
+const ResponseHelper = require('../utils/responseHelper');
+
+const TUS_VERSION = '1.0.0';
+
+/**
+ * Set the tus protocol version on every response and reject
+ * requests made for another protocol version (OPTIONS excepted)
+ */
+const tusResumable = (req, res, next) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+
+  if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return ResponseHelper.error(res, `Unsupported tus version, expected ${TUS_VERSION}`, 412);
+  }
+
+  next();
+};
+
+module.exports = {
+  TUS_VERSION,
+  tusResumable
+};
\ No newline at end of file
@@ -2,10 +2,44 @@
 const express = require('express');
 const router = express.Router();
 const chunkController = require('../controllers/chunkController');
-const { verifySignedUrl } = require('../middleware/auth');
+const { verifySignedUrl, privateVideo } = require('../middleware/auth');
 const { chunkCache } = require('../middleware/cache');
 const { chunkLimiter } = require('../middleware/rateLimit');
 
+// Chunk range info (for prefetching)
+// Registered first so "range" is not taken for a chunk index
+// Not a chunk, so there is no signed URL to check; private videos need a token like their metadata
+router.get(
+  '/:videoId/:quality/range',
+  chunkLimiter,
+  privateVideo,
+  chunkController.getChunkRange.bind(chunkController)
+);
+
+// CMAF (fragmented MP4) segment routes
+router.get(
+  '/:videoId/:quality/init.mp4',
+  chunkLimiter,
+  verifySignedUrl,
+  chunkCache,
+  chunkController.getInitSegment.bind(chunkController)
+);
+
+router.get(
+  '/:videoId/:quality/:chunkIndex.m4s',
+  chunkLimiter,
+  verifySignedUrl,
+  chunkCache,
+  chunkController.getChunk.bind(chunkController)
+);
+
+router.head(
+  '/:videoId/:quality/:chunkIndex.m4s',
+  chunkLimiter,
+  verifySignedUrl,
+  chunkController.headChunk.bind(chunkController)
+);
+
 // Chunk delivery routes
 router.get(
   '/:videoId/:quality/:chunkIndex',
@@ -30,11 +64,4 @@ router.get(
   chunkController.getChunkByTime.bind(chunkController)
 );
 
-// Chunk range info (for prefetching)
-router.get(
-  '/:videoId/:quality/range',
-  chunkLimiter,
-  chunkController.getChunkRange.bind(chunkController)
-);
-
 module.exports = router;
\ No newline at end of file
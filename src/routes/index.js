@@ -3,8 +3,10 @@ const express = require('express');
 const router = express.Router();
 const videoRoutes = require('./videoRoutes');
 const chunkRoutes = require('./chunkRoutes');
+const playlistRoutes = require('./playlistRoutes');
 
 router.use('/', videoRoutes);
 router.use('/chunks', chunkRoutes);
+router.use('/playlists', playlistRoutes);
 
 module.exports = router;
\ No newline at end of file
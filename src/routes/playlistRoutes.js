@@ -0,0 +1,57 @@
+// src/routes/playlistRoutes.js
+const express = require('express');
+const router = express.Router();
+const playlistController = require('../controllers/playlistController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { noCache } = require('../middleware/cache');
+const { apiLimiter } = require('../middleware/rateLimit');
+
+// Playlists change with every edit; shared caches must not keep old orders or autoplay hints
+router.get(
+  '/',
+  apiLimiter,
+  optionalAuth,
+  noCache,
+  playlistController.listPlaylists.bind(playlistController)
+);
+
+router.post(
+  '/',
+  apiLimiter,
+  authenticateToken,
+  playlistController.createPlaylist.bind(playlistController)
+);
+
+// Playlist with its videos in order (and the autoplay-next hint of each)
+router.get(
+  '/:playlistId',
+  apiLimiter,
+  optionalAuth,
+  noCache,
+  playlistController.getPlaylist.bind(playlistController)
+);
+
+// Update title, description, videos or autoplay
+router.patch(
+  '/:playlistId',
+  apiLimiter,
+  authenticateToken,
+  playlistController.updatePlaylist.bind(playlistController)
+);
+
+// Reorder the videos
+router.put(
+  '/:playlistId/order',
+  apiLimiter,
+  authenticateToken,
+  playlistController.reorderPlaylist.bind(playlistController)
+);
+
+router.delete(
+  '/:playlistId',
+  apiLimiter,
+  authenticateToken,
+  playlistController.deletePlaylist.bind(playlistController)
+);
+
+module.exports = router;
\ No newline at end of file
@@ -5,9 +5,13 @@ const router = express.Router();
 const metadataController = require('../controllers/metadataController');
 const videoController = require('../controllers/videoController');
 const uploadController = require('../controllers/uploadController');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
-const { metadataCache, noCache } = require('../middleware/cache');
-const { apiLimiter } = require('../middleware/rateLimit');
+const resumableUploadController = require('../controllers/resumableUploadController');
+const subtitleController = require('../controllers/subtitleController');
+const jobEventsController = require('../controllers/jobEventsController');
+const { authenticateToken, optionalAuth, privateVideo } = require('../middleware/auth');
+const { metadataCache, noCache, chunkCache, thumbnailCache } = require('../middleware/cache');
+const { apiLimiter, chunkLimiter } = require('../middleware/rateLimit');
+const { tusResumable } = require('../middleware/tus');
 
 // ============================================
 // Public routes
@@ -18,6 +22,61 @@ router.get('/config', videoController.getConfig);
 // Auth route
 router.post('/auth/token', apiLimiter, videoController.generateToken);
 
+// ============================================
+// NEW: Job Management
+// Registered before /videos/:videoId so "jobs" is not taken for a video ID
+// ============================================
+
+// Get all processing jobs
+router.get(
+  '/videos/jobs',
+  apiLimiter,
+  optionalAuth,
+  noCache,
+  uploadController.listJobs.bind(uploadController)
+);
+
+// Stream changes of all jobs (Server-Sent Events)
+router.get(
+  '/videos/jobs/events',
+  apiLimiter,
+  optionalAuth,
+  noCache,
+  jobEventsController.streamAll.bind(jobEventsController)
+);
+
+// Get specific job status
+router.get(
+  '/videos/jobs/:jobId',
+  apiLimiter,
+  noCache,
+  uploadController.getJobStatus.bind(uploadController)
+);
+
+// Stream status, stage and progress changes of a job (Server-Sent Events)
+router.get(
+  '/videos/jobs/:jobId/events',
+  apiLimiter,
+  noCache,
+  jobEventsController.streamJob.bind(jobEventsController)
+);
+
+// Retry failed or interrupted job
+router.post(
+  '/videos/jobs/:jobId/retry',
+  apiLimiter,
+  optionalAuth,
+  uploadController.retryJob.bind(uploadController)
+);
+
+// Delete/cancel job
+router.delete(
+  '/videos/jobs/:jobId',
+  apiLimiter,
+  optionalAuth,
+  uploadController.deleteJob.bind(uploadController)
+);
+
 // ============================================
 // Video listing and metadata
 // ============================================
@@ -34,17 +93,161 @@ router.get(
   apiLimiter,
   optionalAuth,
   metadataCache,
+  privateVideo,
   metadataController.getVideoMetadata.bind(metadataController)
 );
 
+// Update title, description, tags or visibility
+router.patch(
+  '/videos/:videoId',
+  apiLimiter,
+  authenticateToken,
+  metadataController.updateVideo.bind(metadataController)
+);
+
+// Delete video (chunks, thumbnails and metadata)
+router.delete(
+  '/videos/:videoId',
+  apiLimiter,
+  authenticateToken,
+  metadataController.deleteVideo.bind(metadataController)
+);
+
 router.get(
   '/videos/:videoId/manifest',
   apiLimiter,
   optionalAuth,
   metadataCache,
+  privateVideo,
   metadataController.getManifest.bind(metadataController)
 );
 
+// HLS playlists
+router.get(
+  '/videos/:videoId/master.m3u8',
+  apiLimiter,
+  optionalAuth,
+  metadataCache,
+  privateVideo,
+  metadataController.getMasterPlaylist.bind(metadataController)
+);
+
+// Subtitle rendition playlist
+router.get(
+  '/videos/:videoId/hls/subtitles/:trackId.m3u8',
+  apiLimiter,
+  optionalAuth,
+  metadataCache,
+  privateVideo,
+  subtitleController.getSubtitlePlaylist.bind(subtitleController)
+);
+
+// Seek-preview image playlist (before :quality.m3u8 so it is not taken for a quality)
+router.get(
+  '/videos/:videoId/hls/thumbnails.m3u8',
+  apiLimiter,
+  optionalAuth,
+  metadataCache,
+  privateVideo,
+  metadataController.getImagePlaylist.bind(metadataController)
+);
+
+router.get(
+  '/videos/:videoId/hls/:quality.m3u8',
+  apiLimiter,
+  optionalAuth,
+  metadataCache,
+  privateVideo,
+  metadataController.getMediaPlaylist.bind(metadataController)
+);
+
+// DASH manifest
+router.get(
+  '/videos/:videoId/manifest.mpd',
+  apiLimiter,
+  optionalAuth,
+  metadataCache,
+  privateVideo,
+  metadataController.getDashManifest.bind(metadataController)
+);
+
+// Poster image (library cards load many at once, so the chunk limit applies)
+router.get(
+  '/videos/:videoId/thumbnail',
+  chunkLimiter,
+  optionalAuth,
+  thumbnailCache,
+  privateVideo,
+  metadataController.getThumbnail.bind(metadataController)
+);
+
+// Seek-preview WebVTT track and sprite sheets
+router.get(
+  '/videos/:videoId/thumbnails.vtt',
+  apiLimiter,
+  optionalAuth,
+  metadataCache,
+  privateVideo,
+  metadataController.getThumbnailTrack.bind(metadataController)
+);
+
+router.get(
+  '/videos/:videoId/sprites/:sheet.jpg',
+  chunkLimiter,
+  optionalAuth,
+  chunkCache,
+  privateVideo,
+  metadataController.getSprite.bind(metadataController)
+);
+
+// ============================================
+// Subtitles
+// ============================================
+
+router.get(
+  '/videos/:videoId/subtitles',
+  apiLimiter,
+  optionalAuth,
+  metadataCache,
+  privateVideo,
+  subtitleController.listSubtitles.bind(subtitleController)
+);
+
+// Upload SRT or WebVTT for a language
+router.post(
+  '/videos/:videoId/subtitles',
+  apiLimiter,
+  authenticateToken,
+  subtitleController.getUploadMiddleware(),
+  subtitleController.uploadSubtitle.bind(subtitleController)
+);
+
+router.get(
+  '/videos/:videoId/subtitles/:trackId.vtt',
+  apiLimiter,
+  optionalAuth,
+  metadataCache,
+  privateVideo,
+  subtitleController.getSubtitle.bind(subtitleController)
+);
+
+// Chunk-aligned WebVTT segment (HLS)
+router.get(
+  '/videos/:videoId/subtitles/:trackId/:chunkIndex.vtt',
+  chunkLimiter,
+  optionalAuth,
+  metadataCache,
+  privateVideo,
+  subtitleController.getSubtitleSegment.bind(subtitleController)
+);
+
+router.delete(
+  '/videos/:videoId/subtitles/:trackId',
+  apiLimiter,
+  authenticateToken,
+  subtitleController.deleteSubtitle.bind(subtitleController)
+);
+
 // Signed URLs (requires auth when enabled)
 router.get(
   '/videos/:videoId/signed-urls',
@@ -84,32 +287,42 @@ router.post(
 );
 
 // ============================================
-// NEW: Job Management
+// Resumable uploads (tus 1.0)
 // ============================================
 
-// Get all processing jobs
-router.get(
-  '/videos/jobs',
+// Create upload
+router.post(
+  '/videos/uploads',
   apiLimiter,
   optionalAuth,
-  noCache,
-  uploadController.listJobs.bind(uploadController)
+  tusResumable,
+  resumableUploadController.createUpload.bind(resumableUploadController)
 );
 
-// Get specific job status
-router.get(
-  '/videos/jobs/:jobId',
+// Get upload offset
+router.head(
+  '/videos/uploads/:uploadId',
   apiLimiter,
-  noCache,
-  uploadController.getJobStatus.bind(uploadController)
+  tusResumable,
+  resumableUploadController.getUploadOffset.bind(resumableUploadController)
 );
 
-// Delete/cancel job
+// Append data (one request per chunk, so the higher chunk limit applies)
+router.patch(
+  '/videos/uploads/:uploadId',
+  chunkLimiter,
+  optionalAuth,
+  tusResumable,
+  resumableUploadController.appendUpload.bind(resumableUploadController)
+);
+
+// Terminate upload
 router.delete(
-  '/videos/jobs/:jobId',
+  '/videos/uploads/:uploadId',
   apiLimiter,
   optionalAuth,
-  uploadController.deleteJob.bind(uploadController)
+  tusResumable,
+  resumableUploadController.terminateUpload.bind(resumableUploadController)
 );
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,402 @@
+// src/services/catalogService.js
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const TimeUtils = require('../utils/timeUtils');
+const storageService = require('./storageService');
+const posterService = require('./posterService');
+
+// Bumped when the entry format changes; older indexes are rebuilt
+const INDEX_VERSION = 1;
+
+// Index locks older than this were left by a crashed process
+const STALE_LOCK_MS = 30000;
+
+// Delay between attempts to take the index lock held by another process
+const LOCK_RETRY_MS = 10;
+
+// Sort keys of the listing and their default order
+const SORT_ORDERS = {
+  createdAt: 'desc',
+  duration: 'asc',
+  title: 'asc'
+};
+
+/**
+ * Lowercased words of a text, accents removed (the search terms of a video)
+ */
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Value a video is sorted by
+ */
+function sortValue(entry, sort) {
+  switch (sort) {
+    case 'duration':
+      return entry.duration || 0;
+    case 'title':
+      return (entry.title || '').toLowerCase();
+    default:
+      return Date.parse(entry.createdAt) || 0;
+  }
+}
+
+/**
+ * Order two positions ({ value, id }) of the listing; the video ID breaks ties
+ */
+function comparePositions(a, b) {
+  if (a.value !== b.value) {
+    return typeof a.value === 'string' ? a.value.localeCompare(b.value) : a.value - b.value;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Persistent index of the video catalog (one JSON file)
+ * Kept up to date from storage events: jobs completing, edits and deletions
+ * Reloaded when another process (a worker) rewrites the file; updates hold its lock file, so the
+ * API and workers never save a copy missing each other's changes
+ */
+class CatalogService {
+  constructor() {
+    this.indexPath = config.catalog.path || path.join(config.storage.basePath, '.catalog.json');
+    // videoId -> entry, and videoId -> search terms
+    this.videos = new Map();
+    this.terms = new Map();
+    this.loading = null;
+    // Modification time of the index file as last read or written by this process
+    this.indexMtimeMs = null;
+    // Index updates run one at a time
+    this.queue = Promise.resolve();
+
+    storageService.on('change', (videoId) => {
+      this.upsert(videoId).catch((error) => {
+        logger.warn('Failed to index video', { videoId, error: error.message });
+      });
+    });
+    storageService.on('delete', (videoId) => {
+      this.remove(videoId).catch((error) => {
+        logger.warn('Failed to remove video from the catalog', { videoId, error: error.message });
+      });
+    });
+  }
+
+  get sorts() {
+    return Object.keys(SORT_ORDERS);
+  }
+
+  /**
+   * Default order of a sort key
+   */
+  getDefaultOrder(sort) {
+    return SORT_ORDERS[sort];
+  }
+
+  /**
+   * Catalog entry of a video: the fields listed, filtered and searched on
+   */
+  toEntry(videoId, metadata) {
+    return {
+      id: videoId,
+      title: metadata.title || '',
+      description: metadata.description || '',
+      duration: metadata.duration || 0,
+      qualities: metadata.qualities || [],
+      tags: metadata.tags || [],
+      visibility: metadata.visibility || 'public',
+      thumbnail: metadata.thumbnail || null,
+      posterVersion: metadata.posterVersion || null,
+      createdAt: metadata.createdAt || null,
+      updatedAt: metadata.updatedAt || null
+    };
+  }
+
+  /**
+   * Fields a video is listed with (GET /api/videos, playlist items)
+   */
+  toListItem(entry) {
+    return {
+      id: entry.id,
+      title: entry.title,
+      duration: entry.duration,
+      formattedDuration: TimeUtils.formatDuration(entry.duration),
+      thumbnail: entry.thumbnail,
+      thumbnailUrl: posterService.getThumbnailUrl(entry.id, entry),
+      qualities: entry.qualities,
+      tags: entry.tags,
+      createdAt: entry.createdAt
+    };
+  }
+
+  setEntry(entry) {
+    this.videos.set(entry.id, entry);
+    this.terms.set(entry.id, [...new Set([...tokenize(entry.title), ...tokenize(entry.description)])]);
+  }
+
+  deleteEntry(videoId) {
+    this.videos.delete(videoId);
+    this.terms.delete(videoId);
+  }
+
+  /**
+   * Run a task on the index once it is loaded and up to date with the file
+   * Tasks run one at a time, so a listing sees every update queued before it
+   * Tasks that save the index set `lock`, and refresh and run while holding the index lock
+   */
+  enqueue(task, { lock = false } = {}) {
+    const run = this.queue.then(async () => {
+      if (!this.loading) {
+        this.loading = this.load().catch((error) => {
+          this.loading = null;
+          throw error;
+        });
+      }
+      await this.loading;
+
+      const refreshed = async () => {
+        await this.refresh();
+        return task();
+      };
+      return lock ? this.withLock(refreshed) : refreshed();
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run a task holding the lock file of the index
+   */
+  async withLock(task) {
+    const lockPath = `${this.indexPath}.lock`;
+    await fs.mkdir(path.dirname(lockPath), { recursive: true });
+
+    while (!(await this.acquireLock(lockPath))) {
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+
+    try {
+      return await task();
+    } finally {
+      await fs.unlink(lockPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Take the lock file (false when another process holds it)
+   */
+  async acquireLock(lockPath) {
+    try {
+      await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const stats = await fs.stat(lockPath).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > STALE_LOCK_MS) {
+        await fs.unlink(lockPath).catch(() => {});
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Read the index file, or build it from storage when it is missing or outdated
+   */
+  async load() {
+    try {
+      await this.read();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Catalog index unreadable, rebuilding it', { path: this.indexPath, error: error.message });
+      }
+      await this.reindex();
+    }
+  }
+
+  async read() {
+    const stats = await fs.stat(this.indexPath);
+    const index = JSON.parse(await fs.readFile(this.indexPath, 'utf-8'));
+    if (index.version !== INDEX_VERSION) {
+      throw new Error(`Unsupported index version: ${index.version}`);
+    }
+
+    this.videos.clear();
+    this.terms.clear();
+    index.videos.forEach(entry => this.setEntry(entry));
+    this.indexMtimeMs = stats.mtimeMs;
+  }
+
+  /**
+   * Reload the index if the file changed since this process last read or wrote it
+   */
+  async refresh() {
+    let stats;
+    try {
+      stats = await fs.stat(this.indexPath);
+    } catch {
+      return;
+    }
+
+    if (stats.mtimeMs !== this.indexMtimeMs) {
+      await this.read().catch((error) => {
+        logger.warn('Failed to reload catalog index', { error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Index every video in storage again (reads all metadata files)
+   */
+  async rebuild() {
+    return this.enqueue(() => this.reindex(), { lock: true });
+  }
+
+  async reindex() {
+    const videos = await storageService.listVideos();
+
+    this.videos.clear();
+    this.terms.clear();
+    videos.forEach(({ videoId, ...metadata }) => this.setEntry(this.toEntry(videoId, metadata)));
+
+    await this.save();
+    logger.info('Catalog index rebuilt', { videos: this.videos.size });
+    return this.videos.size;
+  }
+
+  /**
+   * Index a video from its current metadata (removes it when it no longer exists)
+   */
+  async upsert(videoId) {
+    return this.enqueue(async () => {
+      if (!(await storageService.videoExists(videoId))) {
+        if (this.videos.has(videoId)) {
+          this.deleteEntry(videoId);
+          await this.save();
+        }
+        return;
+      }
+
+      const entry = this.toEntry(videoId, await storageService.getMetadata(videoId));
+      // Watchers report one write several times
+      if (JSON.stringify(this.videos.get(videoId)) === JSON.stringify(entry)) return;
+
+      this.setEntry(entry);
+      await this.save();
+    }, { lock: true });
+  }
+
+  async remove(videoId) {
+    return this.enqueue(async () => {
+      if (!this.videos.has(videoId)) return;
+
+      this.deleteEntry(videoId);
+      await this.save();
+    }, { lock: true });
+  }
+
+  /**
+   * Write the index atomically (temp file + rename)
+   * An empty catalog is not written until storage has videos, so a fresh install stays untouched
+   */
+  async save() {
+    if (this.videos.size === 0 && !(await fs.access(this.indexPath).then(() => true, () => false))) {
+      return;
+    }
+
+    const index = {
+      version: INDEX_VERSION,
+      updatedAt: new Date().toISOString(),
+      videos: [...this.videos.values()]
+    };
+
+    await fs.mkdir(path.dirname(this.indexPath), { recursive: true });
+    const tempPath = `${this.indexPath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(index));
+    await fs.rename(tempPath, this.indexPath);
+
+    this.indexMtimeMs = (await fs.stat(this.indexPath)).mtimeMs;
+  }
+
+  /**
+   * Entries of the given videos, in order (unknown IDs are left out)
+   */
+  async getEntries(videoIds) {
+    return this.enqueue(() => videoIds.map(videoId => this.videos.get(videoId)).filter(Boolean));
+  }
+
+  /**
+   * Page of public videos
+   * Filters: quality, tag, minDuration/maxDuration (seconds) and q (words of the title or description;
+   * every word must start a word of the video). Cursors come from the previous page's nextCursor
+   */
+  async query(options) {
+    return this.enqueue(() => this.search(options));
+  }
+
+  search({ limit, cursor = null, sort = 'createdAt', order = SORT_ORDERS[sort], quality, tag, minDuration, maxDuration, q }) {
+    const position = cursor ? this.decodeCursor(cursor, sort, order) : null;
+    const words = tokenize(q);
+    const direction = order === 'desc' ? -1 : 1;
+
+    const matches = [...this.videos.values()]
+      .filter(entry =>
+        entry.visibility === 'public' &&
+        (!quality || entry.qualities.includes(quality)) &&
+        (!tag || entry.tags.includes(tag.toLowerCase())) &&
+        (minDuration === undefined || entry.duration >= minDuration) &&
+        (maxDuration === undefined || entry.duration <= maxDuration) &&
+        words.every(word => this.terms.get(entry.id).some(term => term.startsWith(word)))
+      )
+      .map(entry => ({ entry, position: { value: sortValue(entry, sort), id: entry.id } }))
+      .sort((a, b) => direction * comparePositions(a.position, b.position));
+
+    let start = 0;
+    if (position) {
+      start = matches.findIndex(match => direction * comparePositions(match.position, position) > 0);
+      if (start === -1) start = matches.length;
+    }
+
+    const page = matches.slice(start, start + limit);
+    const hasMore = start + limit < matches.length;
+
+    return {
+      videos: page.map(match => match.entry),
+      total: matches.length,
+      nextCursor: hasMore ? this.encodeCursor(sort, order, page[page.length - 1].position) : null
+    };
+  }
+
+  /**
+   * Opaque cursor: the sort and the position of the last video of a page
+   */
+  encodeCursor(sort, order, { value, id }) {
+    return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id })).toString('base64url');
+  }
+
+  decodeCursor(cursor, sort, order) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    } catch {
+      decoded = null;
+    }
+
+    const valueType = sort === 'title' ? 'string' : 'number';
+    if (!decoded || decoded.s !== sort || decoded.o !== order ||
+        typeof decoded.v !== valueType || typeof decoded.id !== 'string') {
+      throw { status: 400, message: 'Invalid cursor' };
+    }
+
+    return { value: decoded.v, id: decoded.id };
+  }
+}
+
+module.exports = new CatalogService();
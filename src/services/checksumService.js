@@ -0,0 +1,138 @@
+// src/services/checksumService.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+// File (inside the video directory) with the size and SHA-256 of every chunk
+const MANIFEST_FILE = 'checksums.json';
+
+// Files of a rendition directory that are served (playlists and segment lists are not)
+const CHUNK_FILE_PATTERN = /^(chunk_\d{6}\.(ts|m4s)|init\.mp4)$/;
+
+class ChecksumService {
+  getManifestPath(videoDir) {
+    return path.join(videoDir, MANIFEST_FILE);
+  }
+
+  isChunkFile(filename) {
+    return CHUNK_FILE_PATTERN.test(filename);
+  }
+
+  /**
+   * Size and SHA-256 (hex) of a file
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+
+      fsSync.createReadStream(filePath)
+        .on('data', (data) => {
+          size += data.length;
+          hash.update(data);
+        })
+        .on('error', reject)
+        .on('end', () => resolve({ size, sha256: hash.digest('hex') }));
+    });
+  }
+
+  /**
+   * Checksums of every chunk file of one rendition directory
+   */
+  async hashRendition(renditionDir) {
+    const files = (await fs.readdir(renditionDir)).filter(file => this.isChunkFile(file)).sort();
+    const entries = {};
+
+    for (const file of files) {
+      entries[file] = await this.hashFile(path.join(renditionDir, file));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Hash every rendition of a video and write checksums.json
+   */
+  async writeManifest(videoDir) {
+    const chunksDir = path.join(videoDir, 'chunks');
+    const renditions = (await fs.readdir(chunksDir, { withFileTypes: true }))
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+
+    const manifest = { algorithm: 'sha256', createdAt: new Date().toISOString(), renditions: {} };
+    for (const rendition of renditions) {
+      manifest.renditions[rendition] = await this.hashRendition(path.join(chunksDir, rendition));
+    }
+
+    await this.saveManifest(videoDir, manifest);
+    return manifest;
+  }
+
+  async saveManifest(videoDir, manifest) {
+    const manifestPath = this.getManifestPath(videoDir);
+    const tempPath = `${manifestPath}.${process.pid}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(manifest, null, 2));
+    await fs.rename(tempPath, manifestPath);
+  }
+
+  /**
+   * Compare the chunks on disk with the manifest
+   * Returns missing and corrupt (wrong size or hash) chunks, and chunk files the manifest does not know
+   */
+  async verify(videoDir, manifest) {
+    const chunksDir = path.join(videoDir, 'chunks');
+    const report = { checked: 0, missing: [], corrupt: [], orphaned: [] };
+
+    for (const [rendition, entries] of Object.entries(manifest.renditions)) {
+      for (const [file, expected] of Object.entries(entries)) {
+        report.checked += 1;
+
+        let actual;
+        try {
+          actual = await this.hashFile(path.join(chunksDir, rendition, file));
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+          report.missing.push({ rendition, file });
+          continue;
+        }
+
+        if (actual.size !== expected.size) {
+          report.corrupt.push({ rendition, file, reason: `size ${actual.size}, expected ${expected.size}` });
+        } else if (actual.sha256 !== expected.sha256) {
+          report.corrupt.push({ rendition, file, reason: 'SHA-256 mismatch' });
+        }
+      }
+    }
+
+    const renditions = await fs.readdir(chunksDir, { withFileTypes: true }).catch(() => []);
+    for (const entry of renditions.filter(item => item.isDirectory())) {
+      const files = await fs.readdir(path.join(chunksDir, entry.name));
+      for (const file of files.filter(item => this.isChunkFile(item))) {
+        if (!manifest.renditions[entry.name]?.[file]) {
+          report.orphaned.push({ rendition: entry.name, file });
+        }
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Strong ETag of a chunk (its SHA-256)
+   */
+  getETag(checksum) {
+    return `"${checksum.sha256}"`;
+  }
+
+  /**
+   * Digest header value (RFC 3230, base64 SHA-256)
+   */
+  getDigest(checksum) {
+    return `sha-256=${Buffer.from(checksum.sha256, 'hex').toString('base64')}`;
+  }
+}
+
+module.exports = new ChecksumService();
\ No newline at end of file
@@ -1,32 +1,36 @@
 // src/services/chunkService.js
+const path = require('path');
 const storageService = require('./storageService');
+const checksumService = require('./checksumService');
 const config = require('../config');
 const logger = require('../utils/logger');
 const TimeUtils = require('../utils/timeUtils');
+const ConditionalUtils = require('../utils/conditionalUtils');
+
+// Content type of each chunk format
+const CHUNK_CONTENT_TYPES = {
+  ts: 'video/mp2t',
+  cmaf: 'video/iso.segment'
+};
 
 class ChunkService {
   /**
    * Get chunk by index
    */
-  async getChunkByIndex(videoId, quality, chunkIndex) {
+  async getChunkByIndex(videoId, quality, chunkIndex, format = 'ts') {
     // Validate video exists
     const exists = await storageService.videoExists(videoId);
     if (!exists) {
       throw { status: 404, message: 'Video not found' };
     }
 
-    // Get metadata to validate chunk index
     const metadata = await storageService.getMetadata(videoId);
-    
-    if (chunkIndex < 0 || chunkIndex >= metadata.totalChunks) {
-      throw { status: 404, message: 'Chunk not found', details: { 
-        requestedIndex: chunkIndex, 
-        totalChunks: metadata.totalChunks 
-      }};
-    }
 
-    // Validate quality
-    const availableQualities = await storageService.getAvailableQualities(videoId);
+    // Validate quality (audio tracks are served like qualities)
+    const availableQualities = [
+      ...await storageService.getAvailableQualities(videoId),
+      ...(metadata.audioTracks || []).map(track => track.id)
+    ];
     const selectedQuality = availableQualities.includes(quality) 
       ? quality 
       : config.storage.defaultQuality;
@@ -38,48 +42,145 @@ class ChunkService {
       }};
     }
 
+    // Validate chunk index (audio renditions have a timeline of their own)
+    const timeline = await this.getTimeline(videoId, metadata, selectedQuality);
+    if (chunkIndex < 0 || chunkIndex >= timeline.length) {
+      throw { status: 404, message: 'Chunk not found', details: { 
+        requestedIndex: chunkIndex, 
+        totalChunks: timeline.length 
+      }};
+    }
+
     // Check chunk exists
-    const chunkExists = await storageService.chunkExists(videoId, selectedQuality, chunkIndex);
+    const chunkExists = await storageService.chunkExists(videoId, selectedQuality, chunkIndex, format);
     if (!chunkExists) {
       throw { status: 404, message: 'Chunk file not found' };
     }
 
     // Get chunk stats
-    const stats = await storageService.getChunkStats(videoId, selectedQuality, chunkIndex);
+    const chunkKey = storageService.getChunkKey(videoId, selectedQuality, chunkIndex, format);
+    const stats = await storageService.getChunkStats(videoId, selectedQuality, chunkIndex, format);
+    const checksum = await this.getChecksum(videoId, selectedQuality, path.posix.basename(chunkKey), stats);
 
     return {
       videoId,
       quality: selectedQuality,
       chunkIndex,
+      format,
+      contentType: CHUNK_CONTENT_TYPES[format],
       size: stats.size,
-      getStream: (range) => storageService.getChunkStream(videoId, selectedQuality, chunkIndex, range)
+      checksum,
+      ...this.getValidators(checksum, stats),
+      redirectUrl: storageService.getRedirectUrl(chunkKey),
+      getStream: (range) => storageService.getChunkStream(videoId, selectedQuality, chunkIndex, range, format)
+    };
+  }
+
+  /**
+   * Get CMAF init segment for a quality
+   */
+  async getInitSegment(videoId, quality) {
+    const exists = await storageService.videoExists(videoId);
+    if (!exists) {
+      throw { status: 404, message: 'Video not found' };
+    }
+
+    let stats;
+    try {
+      stats = await storageService.getInitSegmentStats(videoId, quality);
+    } catch {
+      throw { status: 404, message: 'Init segment not found' };
+    }
+
+    const checksum = await this.getChecksum(videoId, quality, 'init.mp4', stats);
+
+    return {
+      videoId,
+      quality,
+      contentType: 'video/mp4',
+      size: stats.size,
+      checksum,
+      ...this.getValidators(checksum, stats),
+      redirectUrl: storageService.getRedirectUrl(storageService.getInitSegmentKey(videoId, quality)),
+      getStream: (range) => storageService.getInitSegmentStream(videoId, quality, range)
+    };
+  }
+
+  /**
+   * ETag and Last-Modified of a chunk file
+   * The ETag is strong (the SHA-256) when the chunk has a checksum, weak (size and mtime) otherwise
+   */
+  getValidators(checksum, stats) {
+    return {
+      etag: checksum ? checksumService.getETag(checksum) : ConditionalUtils.weakETag(stats),
+      lastModified: stats.mtime
     };
   }
 
+  /**
+   * Get the recorded checksum of a chunk file (null for videos without checksums)
+   * A file whose size no longer matches is damaged, and is never served
+   */
+  async getChecksum(videoId, quality, filename, stats) {
+    const checksums = await storageService.getChecksums(videoId);
+    const checksum = checksums?.renditions[quality]?.[filename] || null;
+
+    if (checksum && checksum.size !== stats.size) {
+      logger.error('Chunk size does not match its checksum', {
+        videoId, quality, filename, size: stats.size, expected: checksum.size
+      });
+      throw { status: 500, message: 'Chunk is damaged' };
+    }
+
+    return checksum;
+  }
+
   /**
    * Get chunk by timestamp
+   * Without a format, codec variants (fMP4 only) are looked up as CMAF segments and other qualities as .ts chunks
    */
-  async getChunkByTimestamp(videoId, quality, timestamp) {
+  async getChunkByTimestamp(videoId, quality, timestamp, format = null) {
+    const exists = await storageService.videoExists(videoId);
+    if (!exists) {
+      throw { status: 404, message: 'Video not found' };
+    }
+
     const metadata = await storageService.getMetadata(videoId);
-    const chunkIndex = TimeUtils.timestampToChunkIndex(timestamp, metadata.chunkDuration);
+    const timeline = await this.getTimeline(videoId, metadata, quality);
+    const chunkIndex = TimeUtils.findChunkIndex(timeline, timestamp);
+
+    if (chunkIndex === -1) {
+      throw { status: 404, message: 'Timestamp outside the video', details: {
+        timestamp,
+        duration: metadata.duration
+      }};
+    }
     
-    return this.getChunkByIndex(videoId, quality, chunkIndex);
+    const chunkFormat = format || (metadata.variants?.[quality] ? 'cmaf' : 'ts');
+    return this.getChunkByIndex(videoId, quality, chunkIndex, chunkFormat);
   }
 
   /**
    * Get multiple chunks (for prefetching)
    */
-  async getChunkRange(videoId, quality, startIndex, count = 3) {
+  async getChunkRange(videoId, quality, startIndex, count = 3, format = 'ts') {
+    const exists = await storageService.videoExists(videoId);
+    if (!exists) {
+      throw { status: 404, message: 'Video not found' };
+    }
+
     const metadata = await storageService.getMetadata(videoId);
+    const timeline = await this.getTimeline(videoId, metadata, quality);
     const chunks = [];
 
-    for (let i = 0; i < count && (startIndex + i) < metadata.totalChunks; i++) {
+    for (let i = 0; i < count && (startIndex + i) < timeline.length; i++) {
       try {
-        const chunk = await this.getChunkByIndex(videoId, quality, startIndex + i);
+        const chunk = await this.getChunkByIndex(videoId, quality, startIndex + i, format);
         chunks.push({
           index: startIndex + i,
           size: chunk.size,
-          timestamp: TimeUtils.chunkIndexToTimestamp(startIndex + i, metadata.chunkDuration)
+          timestamp: timeline[startIndex + i].startTime,
+          duration: timeline[startIndex + i].duration
         });
       } catch (error) {
         logger.warn(`Failed to get chunk ${startIndex + i}`, { error: error.message });
@@ -89,6 +190,41 @@ class ChunkService {
     return chunks;
   }
 
+  /**
+   * Get start time and duration of every chunk of a rendition, from the video's segment index
+   */
+  async getTimeline(videoId, metadata, quality = null) {
+    const segmentIndex = await storageService.getSegmentIndex(videoId);
+    return this.getChunkTimeline(metadata, segmentIndex, quality);
+  }
+
+  /**
+   * Get start time and duration of every chunk
+   * Audio renditions (audio tracks, audio-only quality) use the audio timeline of the index;
+   * without an index (older videos) every chunk is assumed to last chunkDuration
+   */
+  getChunkTimeline(metadata, segmentIndex = null, quality = null) {
+    if (segmentIndex) {
+      const audio = quality === config.storage.audioQuality ||
+        (metadata.audioTracks || []).some(track => track.id === quality);
+      return (audio && segmentIndex.audioChunks) || segmentIndex.chunks;
+    }
+
+    const timeline = [];
+
+    for (let i = 0; i < metadata.totalChunks; i++) {
+      timeline.push({
+        index: i,
+        startTime: TimeUtils.chunkIndexToTimestamp(i, metadata.chunkDuration),
+        duration: i === metadata.totalChunks - 1
+          ? metadata.duration - (i * metadata.chunkDuration)
+          : metadata.chunkDuration
+      });
+    }
+
+    return timeline;
+  }
+
   /**
    * Parse range header
    */
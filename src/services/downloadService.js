@@ -24,7 +24,7 @@ class DownloadService {
   /**
    * Download video from URL
    */
-  async downloadFromUrl(url, videoId, onProgress = null) {
+  async downloadFromUrl(url, videoId, onProgress = null, { signal = null } = {}) {
     const outputPath = path.join(this.tempDir, `${videoId}_source.mp4`);
 
     // Check if YouTube URL - not supported in this environment
@@ -37,7 +37,7 @@ class DownloadService {
     }
 
     // Download direct URL
-    return this.downloadDirect(url, outputPath, onProgress);
+    return this.downloadDirect(url, outputPath, onProgress, signal);
   }
 
   /**
@@ -51,9 +51,13 @@ class DownloadService {
   /**
    * Download direct video URL
    */
-  async downloadDirect(url, outputPath, onProgress) {
+  async downloadDirect(url, outputPath, onProgress, signal = null) {
     logger.info('Downloading video', { url });
 
+    if (signal?.aborted) {
+      throw this.cancelledError();
+    }
+
     // Update progress
     if (onProgress) {
       onProgress({ stage: 'downloading', progress: 0, message: 'Starting download...' });
@@ -66,6 +70,7 @@ class DownloadService {
         responseType: 'stream',
         timeout: 300000, // 5 minute timeout
         maxRedirects: 5,
+        signal,
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
           'Accept': '*/*',
@@ -108,6 +113,21 @@ class DownloadService {
       response.data.pipe(writer);
 
       return new Promise((resolve, reject) => {
+        // Stop the transfer and drop the partial file when the job is cancelled
+        const onAbort = () => {
+          response.data.unpipe(writer);
+          response.data.destroy();
+          writer.destroy();
+          fs.unlink(outputPath, () => {});
+          logger.info('Download cancelled', { url });
+          reject(this.cancelledError());
+        };
+
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+          writer.on('close', () => signal.removeEventListener('abort', onAbort));
+        }
+
         writer.on('finish', () => {
           logger.info('Download completed', { 
             outputPath, 
@@ -123,13 +143,17 @@ class DownloadService {
         
         response.data.on('error', (error) => {
           fs.unlink(outputPath, () => {});
-          reject(new Error(`Download error: ${error.message}`));
+          reject(signal?.aborted ? this.cancelledError() : new Error(`Download error: ${error.message}`));
         });
       });
 
     } catch (error) {
       // Clean up partial file
       fs.unlink(outputPath, () => {});
+
+      if (signal?.aborted || axios.isCancel(error)) {
+        throw this.cancelledError();
+      }
       
       if (error.code === 'ECONNABORTED') {
         throw new Error('Download timed out. The video file may be too large or the server is slow.');
@@ -143,6 +167,15 @@ class DownloadService {
     }
   }
 
+  /**
+   * Error thrown when a download is cancelled
+   */
+  cancelledError() {
+    const error = new Error('Download cancelled');
+    error.code = 'ECANCELLED';
+    return error;
+  }
+
   /**
    * Get video info without downloading
    */
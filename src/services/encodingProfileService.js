@@ -0,0 +1,327 @@
+// src/services/encodingProfileService.js
+const fs = require('fs');
+const config = require('../config');
+const CodecUtils = require('../utils/codecUtils');
+
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const numericPresets = (max) => Array.from({ length: max + 1 }, (_, i) => String(i));
+
+// ffmpeg encoders per codec and their presets (speed levels for AV1/VP9)
+const ENCODERS = {
+  libx264: { codec: 'h264', presets: X264_PRESETS },
+  libx265: { codec: 'hevc', presets: X264_PRESETS },
+  libsvtav1: { codec: 'av1', presets: numericPresets(13) },
+  'libaom-av1': { codec: 'av1', presets: numericPresets(8) },
+  'libvpx-vp9': { codec: 'vp9', presets: numericPresets(5) }
+};
+
+// The ladder itself is H.264 (it also feeds the .ts chunks); other codecs are fMP4-only variants
+const LADDER_CODEC = 'h264';
+
+const VARIANT_DEFAULTS = {
+  hevc: { encoder: 'libx265', preset: 'medium', bitrateScale: 0.6 },
+  av1: { encoder: 'libsvtav1', preset: '8', bitrateScale: 0.5 },
+  vp9: { encoder: 'libvpx-vp9', preset: '2', bitrateScale: 0.65 }
+};
+
+// Settings a rendition inherits from its profile unless it sets them itself
+const INHERITED_SETTINGS = ['codec', 'preset', 'gop', 'keyframeInterval'];
+
+// Profile and rendition names end up in URLs and directory names
+const NAME_PATTERN = /^[\w-]+$/;
+const RESOLUTION_PATTERN = /^(\d+)x(\d+)$/;
+const BITRATE_PATTERN = /^\d+(?:\.\d+)?[kM]?$/;
+
+class EncodingProfileService {
+  constructor() {
+    this.profiles = {};
+    this.defaultProfile = null;
+    this.load();
+  }
+
+  /**
+   * Load and validate the profiles file (throws with every problem found)
+   */
+  load(filePath = config.encoding.profilesPath) {
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read encoding profiles from ${filePath}: ${error.message}`);
+    }
+
+    const errors = this.validate(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid encoding profiles in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.profiles = definition.profiles;
+    this.defaultProfile = definition.defaultProfile;
+  }
+
+  /**
+   * Check a profiles definition, returning a list of problems
+   */
+  validate(definition) {
+    const errors = [];
+    const profiles = definition?.profiles;
+
+    if (!profiles || typeof profiles !== 'object' || Object.keys(profiles).length === 0) {
+      return ['"profiles" must define at least one profile'];
+    }
+
+    if (!profiles[definition.defaultProfile]) {
+      errors.push(`defaultProfile "${definition.defaultProfile}" is not a defined profile`);
+    }
+
+    for (const [name, profile] of Object.entries(profiles)) {
+      if (!NAME_PATTERN.test(name)) {
+        errors.push(`profile name "${name}" may only contain letters, digits, "_" and "-"`);
+      }
+
+      const renditions = profile.renditions || {};
+      if (Object.keys(renditions).length === 0) {
+        errors.push(`${name}: "renditions" must define at least one rendition`);
+      }
+
+      for (const [quality, rendition] of Object.entries(renditions)) {
+        const where = `${name}.${quality}`;
+
+        if (!NAME_PATTERN.test(quality) || quality === config.storage.audioQuality || quality.startsWith('audio_')) {
+          errors.push(`${where}: "${quality}" cannot be used as a rendition name`);
+        }
+
+        errors.push(...this.validateRendition(where, { ...this.pickInherited(profile), ...rendition }));
+      }
+
+      for (const quality of profile.defaultRenditions || []) {
+        if (!renditions[quality]) {
+          errors.push(`${name}: default rendition "${quality}" is not defined`);
+        }
+      }
+
+      for (const [codec, variant] of Object.entries(profile.codecVariants || {})) {
+        errors.push(...this.validateVariant(`${name}.codecVariants.${codec}`, codec, variant));
+      }
+    }
+
+    return errors;
+  }
+
+  validateRendition(where, rendition) {
+    const errors = [];
+
+    const resolution = RESOLUTION_PATTERN.exec(rendition.resolution || '');
+    if (!resolution) {
+      errors.push(`${where}: resolution must look like "1280x720"`);
+    } else if (resolution[1] % 2 !== 0 || resolution[2] % 2 !== 0) {
+      errors.push(`${where}: resolution must have even width and height`);
+    }
+
+    for (const field of ['videoBitrate', 'audioBitrate']) {
+      if (!BITRATE_PATTERN.test(rendition[field] || '')) {
+        errors.push(`${where}: ${field} must look like "2500k"`);
+      }
+    }
+    for (const field of ['maxrate', 'bufsize']) {
+      if (rendition[field] !== undefined && !BITRATE_PATTERN.test(rendition[field])) {
+        errors.push(`${where}: ${field} must look like "2500k"`);
+      }
+    }
+
+    if (rendition.codec !== LADDER_CODEC) {
+      errors.push(`${where}: codec must be ${LADDER_CODEC} (add other codecs as codecVariants)`);
+    } else if (!ENCODERS.libx264.presets.includes(rendition.preset)) {
+      errors.push(`${where}: preset must be one of ${ENCODERS.libx264.presets.join(', ')}`);
+    }
+
+    if (!Number.isInteger(rendition.gop) || rendition.gop < 1) {
+      errors.push(`${where}: gop must be a positive number of frames`);
+    }
+
+    // Chunks are cut on keyframes, so forced keyframes have to line up with chunk boundaries
+    const { keyframeInterval = config.storage.chunkDuration } = rendition;
+    const perChunk = config.storage.chunkDuration / keyframeInterval;
+    if (!(keyframeInterval > 0) || Math.abs(perChunk - Math.round(perChunk)) > 1e-9) {
+      errors.push(`${where}: keyframeInterval must divide the ${config.storage.chunkDuration}s chunk duration`);
+    }
+
+    return errors;
+  }
+
+  validateVariant(where, codec, variant) {
+    const defaults = VARIANT_DEFAULTS[codec];
+    if (!defaults) {
+      return [`${where}: codec variants must be one of ${Object.keys(VARIANT_DEFAULTS).join(', ')}`];
+    }
+
+    const errors = [];
+    const encoder = variant.encoder || defaults.encoder;
+
+    if (ENCODERS[encoder]?.codec !== codec) {
+      const encoders = Object.keys(ENCODERS).filter(name => ENCODERS[name].codec === codec);
+      errors.push(`${where}: encoder must be one of ${encoders.join(', ')}`);
+    } else if (variant.preset !== undefined && !ENCODERS[encoder].presets.includes(String(variant.preset))) {
+      errors.push(`${where}: preset must be one of ${ENCODERS[encoder].presets.join(', ')}`);
+    }
+
+    if (variant.bitrateScale !== undefined && !(variant.bitrateScale > 0 && variant.bitrateScale <= 2)) {
+      errors.push(`${where}: bitrateScale must be between 0 and 2`);
+    }
+
+    return errors;
+  }
+
+  pickInherited(profile) {
+    return Object.fromEntries(
+      INHERITED_SETTINGS.filter(key => profile[key] !== undefined).map(key => [key, profile[key]])
+    );
+  }
+
+  /**
+   * Accept qualities as an array or a comma-separated string (null when not given)
+   */
+  parseQualities(qualities) {
+    if (!qualities) return null;
+
+    const list = Array.isArray(qualities) ? qualities : String(qualities).split(',');
+    const parsed = list.map(quality => String(quality).trim()).filter(Boolean);
+    return parsed.length > 0 ? parsed : null;
+  }
+
+  /**
+   * Get a profile by name (default profile when no name is given)
+   */
+  getProfile(name = null) {
+    const profileName = name || this.defaultProfile;
+    const profile = this.profiles[profileName];
+
+    if (!profile) {
+      throw {
+        status: 400,
+        message: `Unknown encoding profile: ${profileName}`,
+        details: { available: Object.keys(this.profiles) }
+      };
+    }
+
+    return { name: profileName, ...profile };
+  }
+
+  /**
+   * Resolve the renditions to encode for a profile and an optional list of qualities
+   * Every rendition carries its full settings so the encode can be reproduced
+   */
+  resolve(profileName = null, qualities = null) {
+    const profile = this.getProfile(profileName);
+    const requested = this.parseQualities(qualities) ||
+      profile.defaultRenditions ||
+      Object.keys(profile.renditions);
+
+    const unknown = requested.filter(quality => !profile.renditions[quality]);
+    if (unknown.length > 0) {
+      throw {
+        status: 400,
+        message: `Qualities not in encoding profile ${profile.name}: ${unknown.join(', ')}`,
+        details: { available: Object.keys(profile.renditions) }
+      };
+    }
+
+    // Codec variants follow their H.264 rendition
+    const renditions = [...new Set(requested)].flatMap((quality) => {
+      const rendition = this.resolveRendition(profile, quality);
+      const variants = Object.keys(profile.codecVariants || {})
+        .map(codec => this.resolveVariant(profile, rendition, codec));
+      return [rendition, ...variants];
+    });
+
+    return { profile: profile.name, renditions };
+  }
+
+  resolveRendition(profile, quality) {
+    const rendition = { ...this.pickInherited(profile), ...profile.renditions[quality] };
+    const videoBitrate = rendition.videoBitrate;
+    const maxrate = rendition.maxrate || videoBitrate;
+
+    return {
+      name: quality,
+      variantOf: null,
+      resolution: rendition.resolution,
+      height: parseInt(rendition.resolution.split('x')[1], 10),
+      codec: rendition.codec,
+      encoder: 'libx264',
+      codecs: CodecUtils.getVideoCodecs(rendition.codec),
+      formats: ['ts', 'cmaf'],
+      preset: rendition.preset,
+      gop: rendition.gop,
+      keyframeInterval: rendition.keyframeInterval || config.storage.chunkDuration,
+      videoBitrate,
+      maxrate,
+      bufsize: rendition.bufsize || `${parseFloat(maxrate) * 2}${maxrate.replace(/^[\d.]+/, '')}`,
+      audioBitrate: rendition.audioBitrate
+    };
+  }
+
+  /**
+   * Derive a codec variant (e.g. 720p_hevc) from an H.264 rendition
+   */
+  resolveVariant(profile, rendition, codec) {
+    const variant = { ...VARIANT_DEFAULTS[codec], ...profile.codecVariants[codec] };
+    const scale = (bitrate) => `${Math.round(this.toKbps(bitrate) * variant.bitrateScale)}k`;
+
+    return {
+      ...rendition,
+      name: `${rendition.name}_${codec}`,
+      variantOf: rendition.name,
+      codec,
+      encoder: variant.encoder,
+      codecs: CodecUtils.getVideoCodecs(codec),
+      formats: ['cmaf'],
+      preset: String(variant.preset),
+      videoBitrate: scale(rendition.videoBitrate),
+      maxrate: scale(rendition.maxrate),
+      bufsize: scale(rendition.bufsize)
+    };
+  }
+
+  toKbps(bitrate) {
+    const value = parseFloat(bitrate);
+    if (/M$/.test(bitrate)) return value * 1000;
+    if (/k$/.test(bitrate)) return value;
+    return value / 1000;
+  }
+
+  /**
+   * Profiles as exposed by the API
+   */
+  listProfiles() {
+    return Object.entries(this.profiles).map(([name, profile]) => ({
+      name,
+      description: profile.description || '',
+      default: name === this.defaultProfile,
+      qualities: Object.keys(profile.renditions),
+      defaultQualities: profile.defaultRenditions || Object.keys(profile.renditions),
+      codecs: [LADDER_CODEC, ...Object.keys(profile.codecVariants || {})]
+    }));
+  }
+
+  /**
+   * Every rendition name (codec variants included) any profile can produce, lowest resolution first
+   */
+  getSupportedQualities() {
+    const heights = new Map();
+
+    for (const profile of Object.values(this.profiles)) {
+      for (const [quality, rendition] of Object.entries(profile.renditions)) {
+        const height = parseInt(rendition.resolution.split('x')[1], 10);
+        heights.set(quality, height);
+        for (const codec of Object.keys(profile.codecVariants || {})) {
+          heights.set(`${quality}_${codec}`, height);
+        }
+      }
+    }
+
+    return [...heights.keys()].sort((a, b) => heights.get(a) - heights.get(b));
+  }
+}
+
+module.exports = new EncodingProfileService();
\ No newline at end of file
@@ -0,0 +1,185 @@
+// src/services/ingestService.js
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('../config');
+
+if (config.ffmpeg.ffprobePath) {
+  ffmpeg.setFfprobePath(config.ffmpeg.ffprobePath);
+}
+
+// Transfer characteristics of HDR video
+const HDR_TRANSFERS = {
+  smpte2084: 'HDR10', // PQ
+  'arib-std-b67': 'HLG'
+};
+
+class IngestService {
+  /**
+   * Probe a source file, build its ingest report and reject media we cannot encode
+   */
+  async inspect(filePath, limits = config.ingest) {
+    let probe;
+    try {
+      probe = await this.probe(filePath);
+    } catch (error) {
+      throw {
+        status: 422,
+        message: 'Source file is not a readable media file',
+        details: { problems: [error.message.split('\n')[0]] }
+      };
+    }
+
+    const report = this.buildReport(probe);
+    const problems = this.validate(report, limits);
+
+    if (problems.length > 0) {
+      throw {
+        status: 422,
+        message: `Unsupported source media: ${problems.join('; ')}`,
+        details: { problems, report }
+      };
+    }
+
+    return report;
+  }
+
+  probe(filePath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (err, data) => (err ? reject(err) : resolve(data)));
+    });
+  }
+
+  /**
+   * Summarize ffprobe output: container, streams, codecs, frame rate, HDR and rotation
+   */
+  buildReport(probe) {
+    const format = probe.format || {};
+    const streams = probe.streams || [];
+    const video = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+
+    return {
+      container: format.format_name || null,
+      containerName: format.format_long_name || null,
+      duration: this.toNumber(format.duration),
+      size: this.toNumber(format.size),
+      bitrate: this.toNumber(format.bit_rate),
+      video: video ? this.describeVideo(video) : null,
+      audio: streams.filter(stream => stream.codec_type === 'audio').map(stream => ({
+        index: stream.index,
+        codec: stream.codec_name,
+        profile: stream.profile || null,
+        channels: stream.channels,
+        channelLayout: stream.channel_layout || null,
+        sampleRate: this.toNumber(stream.sample_rate),
+        bitrate: this.toNumber(stream.bit_rate),
+        language: stream.tags?.language || null
+      })),
+      subtitles: streams.filter(stream => stream.codec_type === 'subtitle').map(stream => ({
+        index: stream.index,
+        codec: stream.codec_name,
+        language: stream.tags?.language || null
+      })),
+      streams: streams.map(stream => ({
+        index: stream.index,
+        type: stream.codec_type,
+        codec: stream.codec_name || null
+      })),
+      probedAt: new Date().toISOString()
+    };
+  }
+
+  describeVideo(stream) {
+    const rotation = this.getRotation(stream);
+    const sideways = Math.abs(rotation) % 180 === 90;
+    const sideData = (stream.side_data_list || []).map(data => data.side_data_type);
+
+    return {
+      index: stream.index,
+      codec: stream.codec_name,
+      profile: stream.profile || null,
+      width: stream.width,
+      height: stream.height,
+      // Size as played back, after rotation
+      displayWidth: sideways ? stream.height : stream.width,
+      displayHeight: sideways ? stream.width : stream.height,
+      rotation,
+      frameRate: this.parseFrameRate(stream.avg_frame_rate) || this.parseFrameRate(stream.r_frame_rate),
+      pixelFormat: stream.pix_fmt || null,
+      bitDepth: parseInt(stream.bits_per_raw_sample, 10) || (/p1[026]/.test(stream.pix_fmt || '') ? 10 : 8),
+      bitrate: this.toNumber(stream.bit_rate),
+      hdr: {
+        format: sideData.includes('DOVI configuration record')
+          ? 'Dolby Vision'
+          : HDR_TRANSFERS[stream.color_transfer] || null,
+        transfer: stream.color_transfer || null,
+        primaries: stream.color_primaries || null,
+        matrix: stream.color_space || null,
+        masteringDisplay: sideData.includes('Mastering display metadata'),
+        contentLightLevel: sideData.includes('Content light level metadata')
+      }
+    };
+  }
+
+  /**
+   * Rotation in degrees from the display matrix (or the legacy rotate tag)
+   */
+  getRotation(stream) {
+    const displayMatrix = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+    const rotation = displayMatrix ? Number(displayMatrix.rotation) : Number(stream.tags?.rotate || 0);
+    return Number.isFinite(rotation) ? rotation : 0;
+  }
+
+  /**
+   * "30000/1001" -> 29.97
+   */
+  parseFrameRate(rate) {
+    const [numerator, denominator = 1] = String(rate || '').split('/').map(Number);
+    if (!numerator || !denominator) return null;
+    return Math.round((numerator / denominator) * 1000) / 1000;
+  }
+
+  toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * List what makes a source unusable (empty when it can be encoded)
+   */
+  validate(report, limits = config.ingest) {
+    const problems = [];
+
+    const containers = (report.container || '').split(',');
+    if (!containers.some(container => limits.containers.includes(container))) {
+      problems.push(`container "${report.container}" is not supported`);
+    }
+
+    if (!report.video) {
+      problems.push('no video stream');
+    } else {
+      if (!limits.videoCodecs.includes(report.video.codec)) {
+        problems.push(`video codec "${report.video.codec}" is not supported`);
+      }
+      if (report.video.displayWidth > limits.maxWidth || report.video.displayHeight > limits.maxHeight) {
+        problems.push(
+          `resolution ${report.video.displayWidth}x${report.video.displayHeight} exceeds ${limits.maxWidth}x${limits.maxHeight}`
+        );
+      }
+    }
+
+    for (const audio of report.audio) {
+      if (!limits.audioCodecs.includes(audio.codec)) {
+        problems.push(`audio codec "${audio.codec}" (stream ${audio.index}) is not supported`);
+      }
+    }
+
+    if (!(report.duration > 0)) {
+      problems.push('duration is zero or unknown');
+    } else if (report.duration > limits.maxDuration) {
+      problems.push(`duration ${Math.round(report.duration)}s exceeds ${limits.maxDuration}s`);
+    }
+
+    return problems;
+  }
+}
+
+module.exports = new IngestService();
\ No newline at end of file
@@ -0,0 +1,250 @@
+// src/services/jobQueue.js
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+const jobStore = require('./jobStore');
+const processingService = require('./processingService');
+const { ACTIVE_STATUSES, PRIORITIES } = require('./jobStore/constants');
+
+// Number of completed jobs used to estimate job duration
+const DURATION_SAMPLE_SIZE = 20;
+
+/**
+ * Order in which workers pick up queued jobs: priority, then age
+ */
+const byQueueOrder = (a, b) =>
+  (b.priorityLevel || 0) - (a.priorityLevel || 0) ||
+  new Date(a.queuedAt) - new Date(b.queuedAt);
+
+class JobQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+    this.concurrency = config.queue.concurrency;
+    this.running = new Map();
+    this.started = false;
+    this.pollTimer = null;
+    this.draining = null;
+    this.staleTimer = null;
+    // Queue state behind queue positions, shared for one poll interval: { takenAt, promise }
+    this.snapshot = null;
+  }
+
+  /**
+   * Add a job to the queue
+   */
+  async enqueue(job, priority = 'normal') {
+    const now = new Date().toISOString();
+
+    const queued = await jobStore.create({
+      ...job,
+      status: 'queued',
+      stage: 'Waiting for a worker',
+      progress: 0,
+      priority,
+      priorityLevel: PRIORITIES[priority],
+      queuedAt: now,
+      startedAt: job.startedAt || now,
+      updatedAt: now
+    });
+
+    logger.info('Job queued', { jobId: job.jobId, priority });
+    this.snapshot = null;
+    this.drain();
+
+    return queued;
+  }
+
+  /**
+   * Put an existing (failed/interrupted) job back in the queue
+   */
+  async requeue(jobId, updates = {}) {
+    const now = new Date().toISOString();
+
+    const job = await jobStore.update(jobId, {
+      ...updates,
+      status: 'queued',
+      stage: 'Waiting for a worker',
+      progress: 0,
+      queuedAt: now,
+      updatedAt: now
+    });
+
+    this.snapshot = null;
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Queued jobs in the order workers will pick them up
+   */
+  async getQueuedJobs() {
+    const { jobs } = await jobStore.list({ status: 'queued', limit: Infinity });
+    return jobs.sort(byQueueOrder);
+  }
+
+  /**
+   * Get queue position and estimated start time of a queued job
+   */
+  async getQueueInfo(jobId) {
+    const { queued, runningCount, averageDuration } = await this.getSnapshot();
+    const index = queued.findIndex(job => job.jobId === jobId);
+    if (index === -1) return null;
+
+    // Jobs ahead of this one (running + queued) spread across the workers
+    const ahead = runningCount + index;
+    const rounds = Math.floor(ahead / this.concurrency);
+
+    return {
+      queuePosition: index + 1,
+      queueLength: queued.length,
+      estimatedStartAt: new Date(Date.now() + rounds * averageDuration).toISOString()
+    };
+  }
+
+  /**
+   * Queued jobs in order, running job count and average duration from one listing of the store
+   * Job status polls ask for queue positions all the time; they share a snapshot until the next
+   * poll interval, or until this process queues or claims a job
+   */
+  getSnapshot() {
+    if (this.snapshot && Date.now() - this.snapshot.takenAt < config.queue.pollInterval) {
+      return this.snapshot.promise;
+    }
+
+    const promise = Promise.all([jobStore.list({ limit: Infinity }), this.getAverageDuration()])
+      .then(([{ jobs }, averageDuration]) => ({
+        queued: jobs.filter(job => job.status === 'queued').sort(byQueueOrder),
+        runningCount: jobs.filter(job => ACTIVE_STATUSES.includes(job.status)).length,
+        averageDuration
+      }));
+
+    this.snapshot = { takenAt: Date.now(), promise };
+    promise.catch(() => {
+      if (this.snapshot?.promise === promise) {
+        this.snapshot = null;
+      }
+    });
+
+    return promise;
+  }
+
+  /**
+   * Average processing time of recently completed jobs (ms)
+   */
+  async getAverageDuration() {
+    const { jobs } = await jobStore.list({ status: 'completed', limit: DURATION_SAMPLE_SIZE });
+
+    const durations = jobs
+      .filter(job => job.processingStartedAt && job.completedAt)
+      .map(job => new Date(job.completedAt) - new Date(job.processingStartedAt));
+
+    if (durations.length === 0) {
+      return config.queue.defaultJobDuration;
+    }
+
+    return durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+  }
+
+  /**
+   * Start pulling jobs from the store
+   */
+  start(concurrency = config.queue.concurrency) {
+    if (this.started) return;
+
+    this.started = true;
+    this.concurrency = concurrency;
+    this.pollTimer = setInterval(() => this.drain(), config.queue.pollInterval);
+    this.pollTimer.unref();
+
+    logger.info('Job queue started', { workerId: this.workerId, concurrency });
+    this.drain();
+  }
+
+  /**
+   * Stop pulling new jobs (running jobs are not touched)
+   */
+  stop() {
+    this.started = false;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Mark jobs left running by a dead process as interrupted, now and every heartbeatInterval
+   * Running jobs heartbeat, so a job without updates for staleAfter has lost its process; one that
+   * crashed shortly before a restart is only stale later, hence the periodic sweep
+   */
+  watchStaleJobs() {
+    if (this.staleTimer) return;
+
+    const sweep = () => jobStore.recoverInterrupted(config.jobs.staleAfter)
+      .then((recovered) => {
+        if (recovered.length) {
+          logger.warn('Marked stale jobs as interrupted', { jobIds: recovered.map(job => job.jobId) });
+        }
+      })
+      .catch((error) => {
+        logger.error('Failed to recover interrupted jobs', { error: error.message });
+      });
+
+    this.staleTimer = setInterval(sweep, config.jobs.heartbeatInterval);
+    this.staleTimer.unref();
+    return sweep();
+  }
+
+  /**
+   * Fill free worker slots with the highest-priority queued jobs
+   */
+  drain() {
+    if (!this.started || this.draining) return this.draining;
+
+    this.draining = (async () => {
+      try {
+        while (this.started && this.running.size < this.concurrency) {
+          const job = await this.claimNext();
+          if (!job) break;
+          this.snapshot = null;
+          this.run(job);
+        }
+      } catch (error) {
+        logger.error('Failed to pull queued jobs', { error: error.message });
+      } finally {
+        this.draining = null;
+      }
+    })();
+
+    return this.draining;
+  }
+
+  async claimNext() {
+    for (const candidate of await this.getQueuedJobs()) {
+      const job = await jobStore.claim(candidate.jobId, {
+        status: candidate.source?.type === 'url' ? 'initializing' : 'processing',
+        stage: 'Starting',
+        workerId: this.workerId,
+        processingStartedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+
+      if (job) return job;
+    }
+
+    return null;
+  }
+
+  run(job) {
+    const task = processingService.process(job)
+      .catch((error) => {
+        logger.error('Job crashed', { jobId: job.jobId, error: error.message });
+      })
+      .finally(() => {
+        this.running.delete(job.jobId);
+        this.drain();
+      });
+
+    this.running.set(job.jobId, task);
+  }
+}
+
+module.exports = new JobQueue();
\ No newline at end of file
@@ -0,0 +1,33 @@
+// src/services/jobStore/constants.js
+
+// Every status a processing job can be in
+const JOB_STATUSES = [
+  'queued',
+  'initializing',
+  'downloading',
+  'processing',
+  'completed',
+  'failed',
+  'interrupted',
+  'cancelled'
+];
+
+// Statuses of jobs that are still running
+const ACTIVE_STATUSES = ['initializing', 'downloading', 'processing'];
+
+// Statuses a job does not leave on its own
+const FINAL_STATUSES = ['completed', 'failed', 'interrupted', 'cancelled'];
+
+// Queue priority levels (higher runs first)
+const PRIORITIES = {
+  high: 10,
+  normal: 5,
+  low: 1
+};
+
+module.exports = {
+  JOB_STATUSES,
+  ACTIVE_STATUSES,
+  FINAL_STATUSES,
+  PRIORITIES
+};
\ No newline at end of file
@@ -0,0 +1,283 @@
+// src/services/jobStore/fileJobStore.js
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { ACTIVE_STATUSES } = require('./constants');
+
+// Job IDs are used as file names
+const JOB_ID_PATTERN = /^[\w-]+$/;
+
+// Job locks older than this were left by a crashed process
+const STALE_LOCK_MS = 30000;
+
+// Delay between attempts to take a job lock held by another process
+const LOCK_RETRY_MS = 10;
+
+/**
+ * File-based job store (one JSON file per job)
+ * Survives restarts and can be shared by instances using the same directory
+ * Emits 'change' (job) and 'delete' (jobId), including changes made by other processes once watched
+ */
+class FileJobStore extends EventEmitter {
+  constructor(dir) {
+    super();
+    this.dir = dir;
+    this.writeQueues = new Map();
+    this.lastEmitted = new Map();
+    this.watcher = null;
+  }
+
+  getJobPath(jobId) {
+    return path.join(this.dir, `${jobId}.json`);
+  }
+
+  async get(jobId) {
+    if (!JOB_ID_PATTERN.test(jobId)) return null;
+
+    try {
+      const data = await fs.readFile(this.getJobPath(jobId), 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to read job', { jobId, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  async create(job) {
+    await this.enqueueWrite(job.jobId, () => this.write(job));
+    this.emitChange(job);
+    return job;
+  }
+
+  /**
+   * Merge updates into a job under its lock file, so a write from another process
+   * (a cancel request, a worker's progress) is never overwritten by an older copy
+   */
+  async update(jobId, updates) {
+    if (!JOB_ID_PATTERN.test(jobId)) return null;
+
+    return this.enqueueWrite(jobId, async () => {
+      const lockPath = this.getLockPath(jobId);
+      while (!(await this.acquireLock(lockPath))) {
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+
+      try {
+        return await this.merge(jobId, updates);
+      } finally {
+        await fs.unlink(lockPath).catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Read, merge and write a job (the caller holds its lock)
+   */
+  async merge(jobId, updates) {
+    const current = await this.get(jobId);
+    if (!current) return null;
+
+    const updated = { ...current, ...updates };
+    await this.write(updated);
+    this.emitChange(updated);
+    return updated;
+  }
+
+  async delete(jobId) {
+    if (!JOB_ID_PATTERN.test(jobId)) return false;
+
+    return this.enqueueWrite(jobId, async () => {
+      try {
+        await fs.unlink(this.getJobPath(jobId));
+        this.emitDelete(jobId);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Atomically move a queued job to running (only one worker can win)
+   */
+  async claim(jobId, updates) {
+    if (!JOB_ID_PATTERN.test(jobId)) return null;
+
+    return this.enqueueWrite(jobId, async () => {
+      const lockPath = this.getLockPath(jobId);
+      if (!(await this.acquireLock(lockPath))) return null;
+
+      try {
+        const job = await this.get(jobId);
+        if (!job || job.status !== 'queued') return null;
+
+        return await this.merge(jobId, updates);
+      } finally {
+        await fs.unlink(lockPath).catch(() => {});
+      }
+    });
+  }
+
+  getLockPath(jobId) {
+    return `${this.getJobPath(jobId)}.lock`;
+  }
+
+  /**
+   * Take the lock file of a job (false when another writer holds it)
+   */
+  async acquireLock(lockPath) {
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        await this.clearStaleLock(lockPath);
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async clearStaleLock(lockPath) {
+    try {
+      const stats = await fs.stat(lockPath);
+      if (Date.now() - stats.mtimeMs > STALE_LOCK_MS) {
+        await fs.unlink(lockPath);
+      }
+    } catch {
+      // Lock was released meanwhile
+    }
+  }
+
+  async list({ status = null, limit = 50, offset = 0 } = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return { jobs: [], total: 0 };
+      throw error;
+    }
+
+    const jobs = (await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.get(path.basename(file, '.json')))
+    ))
+      .filter(job => job && (!status || job.status === status))
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+    return {
+      jobs: jobs.slice(offset, offset + limit),
+      total: jobs.length
+    };
+  }
+
+  /**
+   * Mark active jobs not updated since `staleAfter` ms as interrupted
+   */
+  async recoverInterrupted(staleAfter = 0) {
+    const cutoff = Date.now() - staleAfter;
+    const { jobs } = await this.list({ limit: Infinity });
+    const recovered = [];
+
+    for (const job of jobs) {
+      if (ACTIVE_STATUSES.includes(job.status) &&
+          new Date(job.updatedAt || job.startedAt).getTime() <= cutoff) {
+        recovered.push(await this.update(job.jobId, {
+          status: 'interrupted',
+          stage: 'Interrupted',
+          previousStatus: job.status,
+          interruptedAt: new Date().toISOString()
+        }));
+      }
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Watch the directory so changes written by other processes are emitted too
+   */
+  watch() {
+    if (this.watcher) return;
+
+    fsSync.mkdirSync(this.dir, { recursive: true });
+    this.watcher = fsSync.watch(this.dir, (eventType, filename) => {
+      if (!filename || !filename.endsWith('.json')) return;
+
+      const jobId = path.basename(filename, '.json');
+      this.get(jobId).then((job) => {
+        if (job) {
+          this.emitChange(job);
+        } else {
+          this.emitDelete(jobId);
+        }
+      });
+    });
+    this.watcher.unref();
+    this.watcher.on('error', (error) => {
+      logger.warn('Job store watcher failed', { error: error.message });
+      this.watcher = null;
+    });
+  }
+
+  /**
+   * Emit a change once per job version (local writes are also seen by the watcher)
+   */
+  emitChange(job) {
+    const version = crypto.createHash('sha1').update(JSON.stringify(job)).digest('hex');
+    if (this.lastEmitted.get(job.jobId) === version) return;
+
+    this.lastEmitted.set(job.jobId, version);
+    this.emit('change', job);
+  }
+
+  emitDelete(jobId) {
+    if (!this.lastEmitted.has(jobId)) return;
+
+    this.lastEmitted.delete(jobId);
+    this.emit('delete', jobId);
+  }
+
+  /**
+   * Write job atomically (temp file + rename)
+   */
+  async write(job) {
+    if (!JOB_ID_PATTERN.test(job.jobId)) {
+      throw new Error(`Invalid job ID: ${job.jobId}`);
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const jobPath = this.getJobPath(job.jobId);
+    const tempPath = `${jobPath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(job, null, 2));
+    await fs.rename(tempPath, jobPath);
+  }
+
+  /**
+   * Serialize writes per job so concurrent updates are not lost
+   */
+  enqueueWrite(jobId, operation) {
+    const previous = this.writeQueues.get(jobId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+
+    this.writeQueues.set(jobId, next);
+    next.catch(() => {}).then(() => {
+      if (this.writeQueues.get(jobId) === next) {
+        this.writeQueues.delete(jobId);
+      }
+    });
+
+    return next;
+  }
+}
+
+module.exports = FileJobStore;
\ No newline at end of file
@@ -0,0 +1,20 @@
+// src/services/jobStore/index.js
+const config = require('../../config');
+const MemoryJobStore = require('./memoryJobStore');
+const FileJobStore = require('./fileJobStore');
+
+/**
+ * Create the job store selected in config
+ */
+function createJobStore({ store, storePath }) {
+  switch (store) {
+    case 'memory':
+      return new MemoryJobStore();
+    case 'file':
+      return new FileJobStore(storePath);
+    default:
+      throw new Error(`Unknown job store: ${store}`);
+  }
+}
+
+module.exports = createJobStore(config.jobs);
\ No newline at end of file
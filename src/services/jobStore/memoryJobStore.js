@@ -0,0 +1,94 @@
+// src/services/jobStore/memoryJobStore.js
+const EventEmitter = require('events');
+const { ACTIVE_STATUSES } = require('./constants');
+
+/**
+ * In-process job store (jobs are lost on restart)
+ * Hands out copies like the file store, so callers can decorate a job without changing the stored one
+ * Emits 'change' (job) and 'delete' (jobId)
+ */
+class MemoryJobStore extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+  }
+
+  async get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  async create(job) {
+    this.jobs.set(job.jobId, { ...job });
+    this.emit('change', job);
+    return job;
+  }
+
+  async update(jobId, updates) {
+    const current = this.jobs.get(jobId);
+    if (!current) return null;
+
+    const updated = { ...current, ...updates };
+    this.jobs.set(jobId, updated);
+    this.emit('change', updated);
+    return { ...updated };
+  }
+
+  async delete(jobId) {
+    const deleted = this.jobs.delete(jobId);
+    if (deleted) {
+      this.emit('delete', jobId);
+    }
+    return deleted;
+  }
+
+  /**
+   * All changes happen in this process, nothing to watch
+   */
+  watch() {}
+
+  /**
+   * Move a queued job to running
+   */
+  async claim(jobId, updates) {
+    const current = this.jobs.get(jobId);
+    if (!current || current.status !== 'queued') return null;
+
+    return this.update(jobId, updates);
+  }
+
+  async list({ status = null, limit = 50, offset = 0 } = {}) {
+    const jobs = Array.from(this.jobs.values())
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+    return {
+      jobs: jobs.slice(offset, offset + limit).map(job => ({ ...job })),
+      total: jobs.length
+    };
+  }
+
+  /**
+   * Mark active jobs not updated since `staleAfter` ms as interrupted
+   */
+  async recoverInterrupted(staleAfter = 0) {
+    const cutoff = Date.now() - staleAfter;
+    const recovered = [];
+
+    for (const job of this.jobs.values()) {
+      if (ACTIVE_STATUSES.includes(job.status) &&
+          new Date(job.updatedAt || job.startedAt).getTime() <= cutoff) {
+        recovered.push(await this.update(job.jobId, {
+          status: 'interrupted',
+          stage: 'Interrupted',
+          previousStatus: job.status,
+          interruptedAt: new Date().toISOString()
+        }));
+      }
+    }
+
+    return recovered;
+  }
+}
+
+module.exports = MemoryJobStore;
\ No newline at end of file
@@ -0,0 +1,517 @@
+// src/services/manifestService.js
+const tokenService = require('./tokenService');
+const spriteService = require('./spriteService');
+const TimeUtils = require('../utils/timeUtils');
+const CodecUtils = require('../utils/codecUtils');
+const config = require('../config');
+
+// Used when metadata does not record codecs (H.264 High + AAC-LC)
+const DEFAULT_CODECS = 'avc1.640028,mp4a.40.2';
+
+// DASH SegmentTimeline units per second
+const TIMESCALE = 1000;
+
+class ManifestService {
+  /**
+   * Build chunk URL (signed when auth is enabled)
+   */
+  buildChunkUrl(videoId, quality, chunkIndex, format = 'ts') {
+    const file = format === 'cmaf' ? `${chunkIndex}.m4s` : chunkIndex;
+    return this.signUrl(`/api/chunks/${videoId}/${quality}/${file}`, videoId, quality, chunkIndex);
+  }
+
+  /**
+   * Build CMAF init segment URL (signed when auth is enabled)
+   */
+  buildInitUrl(videoId, quality) {
+    return this.signUrl(`/api/chunks/${videoId}/${quality}/init.mp4`, videoId, quality, 'init');
+  }
+
+  /**
+   * Build sprite sheet URL
+   */
+  buildSpriteUrl(videoId, sheet) {
+    return `/api/videos/${videoId}/sprites/${sheet}.jpg`;
+  }
+
+  /**
+   * Build full WebVTT subtitle track URL
+   */
+  buildSubtitleUrl(videoId, trackId) {
+    return `/api/videos/${videoId}/subtitles/${trackId}.vtt`;
+  }
+
+  /**
+   * Append signed URL params when auth is enabled
+   */
+  signUrl(url, videoId, quality, chunkIndex) {
+    if (!config.security.enableAuth) {
+      return url;
+    }
+
+    const signed = tokenService.generateSignedUrl(videoId, quality, chunkIndex);
+    return `${url}?expires=${signed.expires}&signature=${signed.signature}`;
+  }
+
+  /**
+   * Convert bitrate string (e.g. "2500k", "5M") to bits per second
+   */
+  parseBitrate(bitrate) {
+    if (typeof bitrate === 'number') return bitrate;
+    if (!bitrate) return 0;
+
+    const match = String(bitrate).trim().match(/^(\d+(?:\.\d+)?)\s*([kKmM]?)$/);
+    if (!match) return 0;
+
+    const value = parseFloat(match[1]);
+    const unit = match[2].toLowerCase();
+
+    if (unit === 'm') return Math.round(value * 1000000);
+    if (unit === 'k') return Math.round(value * 1000);
+    return Math.round(value);
+  }
+
+  /**
+   * Get peak bandwidth (video + audio) for a quality
+   */
+  getBandwidth(metadata, quality) {
+    return this.parseBitrate(metadata.bitrates?.[quality]) +
+      this.parseBitrate(metadata.audioBitrates?.[quality]);
+  }
+
+  /**
+   * Get RFC 6381 codecs string for a quality
+   */
+  getCodecs(metadata, quality) {
+    return metadata.codecs?.[quality] || DEFAULT_CODECS;
+  }
+
+  /**
+   * Check whether a quality is an fMP4-only codec variant (e.g. 720p_hevc)
+   */
+  isCodecVariant(metadata, quality) {
+    return Boolean(metadata.variants?.[quality]);
+  }
+
+  /**
+   * Build HLS master playlist
+   * H.264 variants come first (.ts, muxed audio), then fMP4 codec variants grouped by codec
+   */
+  buildMasterPlaylist(videoId, metadata, qualities) {
+    const audioQuality = config.storage.audioQuality;
+    const codecOrder = (quality) => this.isCodecVariant(metadata, quality) ? metadata.variants[quality].codec : '';
+    const variants = qualities
+      .filter(quality => quality !== audioQuality)
+      .map(quality => ({
+        quality,
+        bandwidth: this.getBandwidth(metadata, quality),
+        resolution: metadata.resolutions?.[quality],
+        codecs: metadata.codecs?.[quality],
+        fmp4: this.isCodecVariant(metadata, quality)
+      }))
+      .sort((a, b) =>
+        codecOrder(a.quality).localeCompare(codecOrder(b.quality)) || a.bandwidth - b.bandwidth
+      );
+
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+    const subtitles = metadata.subtitles || [];
+    const audioTracks = metadata.audioTracks || [];
+
+    // Alternate languages; the default track has no URI because it is muxed into the .ts variants
+    const audioGroup = audioTracks.length > 1;
+    if (audioGroup) {
+      for (const track of audioTracks) {
+        const uri = track.default ? '' : `,URI="/api/videos/${videoId}/hls/${track.id}.m3u8"`;
+        lines.push(this.buildAudioMedia('aud', track, uri));
+      }
+    }
+
+    // fMP4 variants carry no audio, so every track is a separate rendition
+    const fmp4AudioGroup = audioTracks.length > 0 && variants.some(variant => variant.fmp4);
+    if (fmp4AudioGroup) {
+      for (const track of audioTracks) {
+        lines.push(this.buildAudioMedia('aud-fmp4', track, `,URI="/api/videos/${videoId}/hls/${track.id}.m3u8?format=cmaf"`));
+      }
+    }
+
+    for (const track of subtitles) {
+      const name = track.label.replace(/"/g, "'");
+      lines.push(
+        `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="${name}",LANGUAGE="${track.language}",` +
+        `DEFAULT=${track.default ? 'YES' : 'NO'},AUTOSELECT=YES,` +
+        `URI="/api/videos/${videoId}/hls/subtitles/${track.id}.m3u8"`
+      );
+    }
+
+    for (const variant of variants) {
+      const attributes = [`BANDWIDTH=${variant.bandwidth}`];
+      if (variant.resolution) {
+        attributes.push(`RESOLUTION=${variant.resolution}`);
+      }
+      if (variant.codecs) {
+        attributes.push(`CODECS="${CodecUtils.withAudio(variant.codecs, audioTracks.length > 0)}"`);
+      }
+      attributes.push(`NAME="${variant.quality}"`);
+      if (variant.fmp4 ? fmp4AudioGroup : audioGroup) {
+        attributes.push(variant.fmp4 ? 'AUDIO="aud-fmp4"' : 'AUDIO="aud"');
+      }
+      if (subtitles.length > 0) {
+        attributes.push('SUBTITLES="subs"');
+      }
+
+      lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+      lines.push(`/api/videos/${videoId}/hls/${variant.quality}.m3u8`);
+    }
+
+    // Audio-only variant goes last so players never start with it
+    if (qualities.includes(audioQuality)) {
+      const attributes = [
+        `BANDWIDTH=${this.getBandwidth(metadata, audioQuality)}`,
+        `CODECS="${this.getCodecs(metadata, audioQuality)}"`,
+        `NAME="${audioQuality}"`
+      ];
+      if (subtitles.length > 0) {
+        attributes.push('SUBTITLES="subs"');
+      }
+
+      lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+      lines.push(`/api/videos/${videoId}/hls/${audioQuality}.m3u8`);
+    }
+
+    // Seek previews as an image media playlist (ignored by players without support)
+    if (metadata.sprites) {
+      const { width, height, bandwidth } = metadata.sprites;
+      lines.push(
+        `#EXT-X-IMAGE-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${width}x${height},` +
+        `CODECS="jpeg",URI="/api/videos/${videoId}/hls/thumbnails.m3u8"`
+      );
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  buildAudioMedia(groupId, track, uri) {
+    const name = track.label.replace(/"/g, "'");
+    return `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="${groupId}",NAME="${name}",LANGUAGE="${track.language}",` +
+      `DEFAULT=${track.default ? 'YES' : 'NO'},AUTOSELECT=YES,CHANNELS="${track.channels}"${uri}`;
+  }
+
+  /**
+   * Build HLS subtitle playlist (one WebVTT segment per chunk)
+   */
+  buildSubtitlePlaylist(videoId, metadata, trackId, timeline) {
+    const targetDuration = Math.ceil(
+      Math.max(...timeline.map(chunk => chunk.duration), metadata.chunkDuration)
+    );
+
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${targetDuration}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD'
+    ];
+
+    for (const chunk of timeline) {
+      lines.push(`#EXTINF:${chunk.duration.toFixed(6)},`);
+      lines.push(`/api/videos/${videoId}/subtitles/${trackId}/${chunk.index}.vtt`);
+    }
+
+    lines.push('#EXT-X-ENDLIST');
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Build HLS image media playlist (one tiled sprite sheet per segment)
+   */
+  buildImagePlaylist(videoId, metadata) {
+    const { interval, width, height, columns, rows, sheets } = metadata.sprites;
+    const sheetDuration = interval * columns * rows;
+
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:7',
+      `#EXT-X-TARGETDURATION:${Math.ceil(Math.min(sheetDuration, metadata.duration))}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD',
+      '#EXT-X-IMAGES-ONLY'
+    ];
+
+    for (let sheet = 0; sheet < sheets; sheet++) {
+      const start = sheet * sheetDuration;
+      const duration = Math.min(sheetDuration, metadata.duration - start);
+
+      lines.push(`#EXTINF:${duration.toFixed(3)},`);
+      lines.push(`#EXT-X-TILES:RESOLUTION=${width}x${height},LAYOUT=${columns}x${rows},DURATION=${interval.toFixed(3)}`);
+      lines.push(this.buildSpriteUrl(videoId, sheet));
+    }
+
+    lines.push('#EXT-X-ENDLIST');
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Build WebVTT thumbnail track (time range -> sprite sheet region)
+   */
+  buildThumbnailVtt(videoId, metadata) {
+    const { width, height } = metadata.sprites;
+    const lines = ['WEBVTT', ''];
+
+    for (const tile of spriteService.getTiles(metadata.sprites, metadata.duration)) {
+      lines.push(`${TimeUtils.formatVttTimestamp(tile.startTime)} --> ${TimeUtils.formatVttTimestamp(tile.endTime)}`);
+      lines.push(`${this.buildSpriteUrl(videoId, tile.sheet)}#xywh=${tile.x},${tile.y},${width},${height}`);
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build HLS media playlist for a single quality (.ts chunks, or fMP4 segments for format 'cmaf')
+   */
+  buildMediaPlaylist(videoId, metadata, quality, timeline, format = 'ts') {
+    const targetDuration = Math.ceil(
+      Math.max(...timeline.map(chunk => chunk.duration), metadata.chunkDuration)
+    );
+
+    const lines = [
+      '#EXTM3U',
+      // fMP4 segments need EXT-X-MAP, which needs version 7 for a VOD fMP4 playlist
+      `#EXT-X-VERSION:${format === 'cmaf' ? 7 : 3}`,
+      `#EXT-X-TARGETDURATION:${targetDuration}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD'
+    ];
+
+    if (format === 'cmaf') {
+      lines.push(`#EXT-X-MAP:URI="${this.buildInitUrl(videoId, quality)}"`);
+    }
+
+    for (const chunk of timeline) {
+      // Older encodes reset timestamps in every .ts chunk
+      if (chunk.index > 0 && !metadata.continuousTimestamps && format === 'ts') {
+        lines.push('#EXT-X-DISCONTINUITY');
+      }
+      lines.push(`#EXTINF:${chunk.duration.toFixed(6)},`);
+      lines.push(this.buildChunkUrl(videoId, quality, chunk.index, format));
+    }
+
+    lines.push('#EXT-X-ENDLIST');
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Build MPEG-DASH MPD (SegmentList with SegmentTimeline)
+   * Videos with separate audio get one audio AdaptationSet per track,
+   * codec variants get one video AdaptationSet per codec; audio sets follow the audio timeline
+   */
+  buildMpd(videoId, metadata, qualities, timeline, audioTimeline = timeline) {
+    const maxDuration = Math.max(...timeline.map(chunk => chunk.duration), metadata.chunkDuration);
+    const videoQualities = metadata.separateAudio
+      ? qualities.filter(quality => quality !== config.storage.audioQuality)
+      : qualities;
+
+    const representations = this.buildVideoRepresentations(
+      videoId, metadata, videoQualities.filter(quality => !this.isCodecVariant(metadata, quality)), timeline
+    );
+
+    const variantCodecs = [...new Set(
+      videoQualities.filter(quality => this.isCodecVariant(metadata, quality)).map(quality => metadata.variants[quality].codec)
+    )].sort();
+
+    const audioSets = this.buildAudioAdaptationSets(videoId, metadata, qualities, audioTimeline);
+    const variantSets = variantCodecs.flatMap((codec, i) => [
+      `    <AdaptationSet id="${2 + audioSets.count + i}" contentType="video" mimeType="video/mp4" segmentAlignment="true" startWithSAP="1">`,
+      ...this.buildVideoRepresentations(
+        videoId,
+        metadata,
+        videoQualities.filter(quality => metadata.variants?.[quality]?.codec === codec),
+        timeline
+      ),
+      '    </AdaptationSet>'
+    ]);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<MPD xmlns="urn:mpeg:dash:schema:mpd:2011"',
+      '     profiles="urn:mpeg:dash:profile:isoff-main:2011"',
+      '     type="static"',
+      `     mediaPresentationDuration="${this.formatIsoDuration(metadata.duration)}"`,
+      `     minBufferTime="${this.formatIsoDuration(maxDuration)}">`,
+      '  <Period id="0" start="PT0S">',
+      '    <AdaptationSet id="0" contentType="video" mimeType="video/mp4" segmentAlignment="true" startWithSAP="1">',
+      ...representations,
+      '    </AdaptationSet>',
+      ...this.buildImageAdaptationSet(videoId, metadata),
+      ...audioSets.lines,
+      ...variantSets,
+      ...this.buildTextAdaptationSets(videoId, metadata, 2 + audioSets.count + variantCodecs.length),
+      '  </Period>',
+      '</MPD>'
+    ].join('\n') + '\n';
+  }
+
+  /**
+   * Build video Representations, lowest bandwidth first
+   */
+  buildVideoRepresentations(videoId, metadata, qualities, timeline) {
+    return qualities
+      .map(quality => ({
+        quality,
+        // Audio is not part of the video segments when it has its own tracks
+        bandwidth: metadata.separateAudio || this.isCodecVariant(metadata, quality)
+          ? this.parseBitrate(metadata.bitrates?.[quality])
+          : this.getBandwidth(metadata, quality),
+        resolution: metadata.resolutions?.[quality]
+      }))
+      .sort((a, b) => a.bandwidth - b.bandwidth)
+      .map(({ quality, bandwidth, resolution }) => {
+        const [width, height] = (resolution || '').split('x');
+        const size = width && height ? ` width="${width}" height="${height}"` : '';
+
+        return this.buildRepresentation(
+          videoId, quality, `bandwidth="${bandwidth}"${size} codecs="${this.getCodecs(metadata, quality)}"`, timeline
+        );
+      });
+  }
+
+  /**
+   * Build a SegmentList Representation of the fMP4 segments of a quality or audio track
+   */
+  buildRepresentation(videoId, id, attributes, timeline) {
+    const segmentUrls = timeline.map(chunk =>
+      `          <SegmentURL media="${this.escapeXml(this.buildChunkUrl(videoId, id, chunk.index, 'cmaf'))}"/>`
+    );
+
+    return [
+      `      <Representation id="${this.escapeXml(id)}" ${attributes}>`,
+      `        <SegmentList timescale="${TIMESCALE}">`,
+      `          <Initialization sourceURL="${this.escapeXml(this.buildInitUrl(videoId, id))}"/>`,
+      '          <SegmentTimeline>',
+      ...this.buildSegmentTimeline(timeline, TIMESCALE),
+      '          </SegmentTimeline>',
+      ...segmentUrls,
+      '        </SegmentList>',
+      '      </Representation>'
+    ].join('\n');
+  }
+
+  /**
+   * Build one audio AdaptationSet per audio track (ids from 2)
+   * The audio-only quality is a lower-bitrate Representation of the default track
+   */
+  buildAudioAdaptationSets(videoId, metadata, qualities, timeline) {
+    if (!metadata.separateAudio) return { lines: [], count: 0 };
+
+    const audioQuality = config.storage.audioQuality;
+    const tracks = metadata.audioTracks || [];
+
+    const lines = tracks.flatMap((track, i) => {
+      const representations = [];
+
+      if (track.default && qualities.includes(audioQuality)) {
+        representations.push(this.buildRepresentation(
+          videoId,
+          audioQuality,
+          `bandwidth="${this.getBandwidth(metadata, audioQuality)}" codecs="${this.getCodecs(metadata, audioQuality)}"`,
+          timeline
+        ));
+      }
+      representations.push(this.buildRepresentation(
+        videoId, track.id, `bandwidth="${this.parseBitrate(track.bitrate)}" codecs="${track.codecs}"`, timeline
+      ));
+
+      return [
+        `    <AdaptationSet id="${i + 2}" contentType="audio" mimeType="audio/mp4" lang="${this.escapeXml(track.language)}" segmentAlignment="true" startWithSAP="1">`,
+        `      <Label>${this.escapeXml(track.label)}</Label>`,
+        `      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="${track.default ? 'main' : 'alternate'}"/>`,
+        `      <AudioChannelConfiguration schemeIdUri="urn:mpeg:dash:23003:3:audio_channel_configuration:2011" value="${track.channels}"/>`,
+        ...representations,
+        '    </AdaptationSet>'
+      ];
+    });
+
+    return { lines, count: tracks.length };
+  }
+
+  /**
+   * Build DASH-IF thumbnail AdaptationSet (one tiled sprite sheet per segment)
+   */
+  buildImageAdaptationSet(videoId, metadata) {
+    if (!metadata.sprites) return [];
+
+    const { interval, width, height, columns, rows, bandwidth } = metadata.sprites;
+    const media = this.escapeXml(`/api/videos/${videoId}/sprites/$Number$.jpg`);
+
+    return [
+      '    <AdaptationSet id="1" contentType="image" mimeType="image/jpeg">',
+      `      <SegmentTemplate media="${media}" duration="${interval * columns * rows}" startNumber="0"/>`,
+      `      <Representation id="thumbnails" bandwidth="${bandwidth}" width="${width * columns}" height="${height * rows}">`,
+      `        <EssentialProperty schemeIdUri="http://dashif.org/thumbnail_tile" value="${columns}x${rows}"/>`,
+      '      </Representation>',
+      '    </AdaptationSet>'
+    ];
+  }
+
+  /**
+   * Build one text AdaptationSet per subtitle track (whole WebVTT file)
+   */
+  buildTextAdaptationSets(videoId, metadata, firstId = 2) {
+    return (metadata.subtitles || []).flatMap((track, i) => [
+      `    <AdaptationSet id="${firstId + i}" contentType="text" mimeType="text/vtt" lang="${this.escapeXml(track.language)}">`,
+      `      <Label>${this.escapeXml(track.label)}</Label>`,
+      '      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="subtitle"/>',
+      `      <Representation id="subtitles-${this.escapeXml(track.id)}" bandwidth="256">`,
+      `        <BaseURL>${this.escapeXml(this.buildSubtitleUrl(videoId, track.id))}</BaseURL>`,
+      '      </Representation>',
+      '    </AdaptationSet>'
+    ]);
+  }
+
+  /**
+   * Build SegmentTimeline entries, collapsing equal durations with @r
+   */
+  buildSegmentTimeline(timeline, timescale) {
+    const entries = [];
+
+    for (const chunk of timeline) {
+      const duration = Math.round(chunk.duration * timescale);
+      const last = entries[entries.length - 1];
+
+      if (last && last.d === duration) {
+        last.r++;
+      } else {
+        entries.push({ t: Math.round(chunk.startTime * timescale), d: duration, r: 0 });
+      }
+    }
+
+    return entries.map((entry, i) => {
+      const start = i === 0 ? ` t="${entry.t}"` : '';
+      const repeat = entry.r > 0 ? ` r="${entry.r}"` : '';
+      return `            <S${start} d="${entry.d}"${repeat}/>`;
+    });
+  }
+
+  /**
+   * Format seconds as ISO 8601 duration (PT#S)
+   */
+  formatIsoDuration(seconds) {
+    return `PT${Number(seconds).toFixed(3)}S`;
+  }
+
+  /**
+   * Escape XML attribute value
+   */
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = new ManifestService();
\ No newline at end of file
@@ -0,0 +1,165 @@
+// src/services/playlistService.js
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+const storageService = require('./storageService');
+const catalogService = require('./catalogService');
+
+// Playlist IDs come from URLs
+const PLAYLIST_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Playlists (courses, series): ordered lists of video IDs
+ * Stored in one JSON file next to the catalog index; deleted videos leave every playlist
+ */
+class PlaylistService {
+  constructor() {
+    this.storePath = config.catalog.playlistsPath ||
+      path.join(path.dirname(catalogService.indexPath), '.playlists.json');
+    // Read-modify-write cycles run one at a time
+    this.queue = Promise.resolve();
+
+    storageService.on('delete', (videoId) => {
+      this.removeVideo(videoId).catch((error) => {
+        logger.warn('Failed to remove video from playlists', { videoId, error: error.message });
+      });
+    });
+  }
+
+  async readAll() {
+    try {
+      return JSON.parse(await fs.readFile(this.storePath, 'utf-8')).playlists;
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Write all playlists atomically (temp file + rename)
+   */
+  async writeAll(playlists) {
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+    const tempPath = `${this.storePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ playlists }, null, 2));
+    await fs.rename(tempPath, this.storePath);
+  }
+
+  /**
+   * Apply a change to the stored playlists; nothing is written when the task returns null
+   */
+  modify(task) {
+    const run = this.queue.then(async () => {
+      const playlists = await this.readAll();
+      const result = task(playlists);
+      if (result !== null) {
+        await this.writeAll(playlists);
+      }
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * All playlists, most recently created first
+   */
+  async list() {
+    const playlists = await this.readAll();
+    return playlists.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async get(playlistId) {
+    if (!PLAYLIST_ID_PATTERN.test(playlistId)) return null;
+
+    const playlists = await this.readAll();
+    return playlists.find(playlist => playlist.id === playlistId) || null;
+  }
+
+  async create({ title, description = '', videoIds = [], autoplay = true }) {
+    const now = new Date().toISOString();
+    const playlist = { id: uuidv4(), title, description, videoIds, autoplay, createdAt: now, updatedAt: now };
+
+    await this.modify((playlists) => {
+      playlists.push(playlist);
+      return playlist;
+    });
+
+    return playlist;
+  }
+
+  /**
+   * Merge updates into a playlist (null when it does not exist)
+   */
+  async update(playlistId, updates) {
+    return this.modify((playlists) => {
+      const index = playlists.findIndex(playlist => playlist.id === playlistId);
+      if (index === -1) return null;
+
+      playlists[index] = { ...playlists[index], ...updates, updatedAt: new Date().toISOString() };
+      return playlists[index];
+    });
+  }
+
+  /**
+   * Put the videos of a playlist in a new order; videoIds must list each of them exactly once
+   */
+  async reorder(playlistId, videoIds) {
+    return this.modify((playlists) => {
+      const playlist = playlists.find(item => item.id === playlistId);
+      if (!playlist) return null;
+
+      const sameVideos = videoIds.length === playlist.videoIds.length &&
+        new Set(videoIds).size === videoIds.length &&
+        videoIds.every(videoId => playlist.videoIds.includes(videoId));
+
+      if (!sameVideos) {
+        throw { status: 400, message: 'Order must list every video of the playlist exactly once', details: { videoIds: playlist.videoIds } };
+      }
+
+      playlist.videoIds = videoIds;
+      playlist.updatedAt = new Date().toISOString();
+      return playlist;
+    });
+  }
+
+  async delete(playlistId) {
+    const deleted = await this.modify((playlists) => {
+      const index = playlists.findIndex(playlist => playlist.id === playlistId);
+      if (index === -1) return null;
+
+      return playlists.splice(index, 1)[0];
+    });
+
+    return deleted !== null;
+  }
+
+  /**
+   * Take a deleted video out of every playlist
+   */
+  async removeVideo(videoId) {
+    return this.modify((playlists) => {
+      const containing = playlists.filter(playlist => playlist.videoIds.includes(videoId));
+      if (containing.length === 0) return null;
+
+      for (const playlist of containing) {
+        playlist.videoIds = playlist.videoIds.filter(id => id !== videoId);
+        playlist.updatedAt = new Date().toISOString();
+      }
+      return containing.length;
+    });
+  }
+
+  /**
+   * Catalog entries of the videos of a playlist, in playlist order
+   * Private videos and videos missing from the catalog are left out
+   */
+  async getItems(playlist) {
+    const entries = await catalogService.getEntries(playlist.videoIds);
+    return entries.filter(entry => entry.visibility !== 'private');
+  }
+}
+
+module.exports = new PlaylistService();
@@ -0,0 +1,185 @@
+// src/services/posterService.js
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const config = require('../config');
+const logger = require('../utils/logger');
+const storageService = require('./storageService');
+const chunkService = require('./chunkService');
+
+if (config.ffmpeg.ffmpegPath) {
+  ffmpeg.setFfmpegPath(config.ffmpeg.ffmpegPath);
+}
+
+// Poster sizes (bounding boxes, source aspect ratio is kept)
+const POSTER_SIZES = {
+  small: { width: 320, height: 180 },
+  medium: { width: 640, height: 360 },
+  large: { width: 1280, height: 720 }
+};
+
+const POSTER_FORMATS = ['jpg', 'webp'];
+
+// Directory (inside the video directory) posters are written to
+const POSTER_DIR = 'posters';
+
+// Poster position when none is chosen, as a fraction of the duration
+const DEFAULT_POSTER_POSITION = 0.1;
+
+class PosterService {
+  constructor() {
+    this.sizes = Object.keys(POSTER_SIZES);
+    this.formats = POSTER_FORMATS;
+  }
+
+  /**
+   * Default poster timestamp for a video of the given duration
+   */
+  getDefaultPosterTime(duration) {
+    return Math.round((duration || 0) * DEFAULT_POSTER_POSITION * 1000) / 1000;
+  }
+
+  /**
+   * Extract one frame and write every poster size as JPEG and WebP
+   * seekTime is relative to the start of inputPath
+   * Returns the poster info stored in metadata
+   */
+  async generatePosters(inputPath, videoDir, seekTime) {
+    const posterDir = path.join(videoDir, POSTER_DIR);
+    await fs.mkdir(posterDir, { recursive: true });
+
+    try {
+      await this.extractFrame(inputPath, posterDir, seekTime, POSTER_FORMATS);
+      return { sizes: this.sizes, formats: POSTER_FORMATS };
+    } catch (error) {
+      // ffmpeg builds without libwebp can still produce JPEGs
+      logger.warn('Poster generation failed, retrying without WebP', { error: error.message });
+      await this.extractFrame(inputPath, posterDir, seekTime, ['jpg']);
+      return { sizes: this.sizes, formats: ['jpg'] };
+    }
+  }
+
+  /**
+   * Re-extract posters at posterTime from the stored chunks of a video
+   * Uses the highest quality available; the chunk is fetched through the storage driver into a
+   * temporary directory, and the posters are written back through it
+   */
+  async generateFromChunks(videoId, metadata, posterTime) {
+    const qualities = await storageService.getAvailableQualities(videoId);
+    const quality = this.pickSourceQuality(metadata, qualities);
+
+    if (!quality) {
+      throw { status: 409, message: 'Video has no chunks to extract a poster from' };
+    }
+
+    const timeline = await chunkService.getTimeline(videoId, metadata);
+    const chunk = timeline.find(entry => posterTime < entry.startTime + entry.duration) ||
+      timeline[timeline.length - 1];
+
+    const seekTime = Math.max(0, posterTime - chunk.startTime);
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'poster-'));
+
+    try {
+      const chunkPath = path.join(workDir, 'chunk.ts');
+      await pipeline(
+        storageService.getChunkStream(videoId, quality, chunk.index),
+        fsSync.createWriteStream(chunkPath)
+      );
+
+      const posters = await this.generatePosters(chunkPath, workDir, seekTime);
+
+      for (const size of posters.sizes) {
+        for (const format of posters.formats) {
+          const file = `${POSTER_DIR}/poster_${size}.${format}`;
+          await storageService.writeVideoFile(videoId, file, await fs.readFile(path.join(workDir, file)));
+        }
+      }
+
+      return posters;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Pick the quality with the most pixels (never the audio-only quality or an fMP4-only codec variant)
+   */
+  pickSourceQuality(metadata, qualities) {
+    const pixels = (quality) => {
+      const [width, height] = (metadata.resolutions?.[quality] || '').split('x').map(Number);
+      return width && height ? width * height : parseInt(quality, 10) || 0;
+    };
+
+    return qualities
+      .filter(quality => quality !== config.storage.audioQuality && !metadata.variants?.[quality])
+      .sort((a, b) => pixels(b) - pixels(a))[0] || null;
+  }
+
+  /**
+   * Get the file of a poster relative to the video directory, or null if the video has none in that size/format
+   * Videos encoded before multi-size posters only have thumbnail.jpg
+   */
+  getPosterFile(metadata, size, format) {
+    if (metadata.posters) {
+      if (!metadata.posters.sizes.includes(size) || !metadata.posters.formats.includes(format)) {
+        return null;
+      }
+      return `${POSTER_DIR}/poster_${size}.${format}`;
+    }
+
+    if (metadata.thumbnail && format === 'jpg') {
+      return metadata.thumbnail;
+    }
+
+    return null;
+  }
+
+  /**
+   * Thumbnail URL, versioned so a new poster is not hidden by caches
+   */
+  getThumbnailUrl(videoId, metadata, size = 'small') {
+    const version = metadata.posterVersion ? `&v=${metadata.posterVersion}` : '';
+    return `/api/videos/${videoId}/thumbnail?size=${size}${version}`;
+  }
+
+  extractFrame(inputPath, posterDir, seekTime, formats) {
+    const sizes = Object.entries(POSTER_SIZES);
+    const outputs = sizes.flatMap(([size]) => formats.map(format => ({ size, format })));
+
+    // One decoded frame, scaled once per size and encoded once per format
+    const filters = [`[0:v]split=${sizes.length}${sizes.map(([size]) => `[${size}]`).join('')}`];
+    for (const [size, { width, height }] of sizes) {
+      const labels = formats.map(format => `[${size}_${format}]`).join('');
+      filters.push(
+        `[${size}]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `split=${formats.length}${labels}`
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath)
+        .inputOptions([`-ss ${seekTime}`])
+        .complexFilter(filters.join(';'));
+
+      for (const { size, format } of outputs) {
+        command
+          .output(path.join(posterDir, `poster_${size}.${format}`))
+          .outputOptions([
+            `-map [${size}_${format}]`,
+            '-frames:v 1',
+            ...(format === 'webp' ? ['-c:v libwebp', '-quality 80'] : ['-q:v 3'])
+          ]);
+      }
+
+      command
+        .on('end', () => resolve())
+        .on('error', reject)
+        .run();
+    });
+  }
+}
+
+module.exports = new PosterService();
\ No newline at end of file
@@ -0,0 +1,330 @@
+// src/services/processingService.js
+const fs = require('fs').promises;
+const config = require('../config');
+const logger = require('../utils/logger');
+const downloadService = require('./downloadService');
+const storageService = require('./storageService');
+const jobStore = require('./jobStore');
+const ingestService = require('./ingestService');
+const { segmentVideo } = require('../../scripts/segmentVideo');
+
+// Abort reason of jobs stopped by a shutdown (they end up interrupted, not cancelled)
+const SHUTDOWN = 'shutdown';
+
+class ProcessingService {
+  constructor() {
+    // Jobs being processed by this process (jobId -> { controller, task })
+    this.activeJobs = new Map();
+    this.cancelWatch = null;
+  }
+
+  /**
+   * Process a job from its recorded source
+   */
+  process(job) {
+    const controller = new AbortController();
+
+    // Other instances recover jobs without updates for staleAfter; long silent stages must not look stale
+    const heartbeat = setInterval(() => {
+      this.updateJobStatus(job.jobId, { heartbeatAt: new Date().toISOString() });
+    }, config.jobs.heartbeatInterval);
+    heartbeat.unref();
+
+    const task = this.runJob(job, controller.signal).finally(() => {
+      clearInterval(heartbeat);
+      this.activeJobs.delete(job.jobId);
+    });
+
+    this.activeJobs.set(job.jobId, { controller, task });
+    this.watchCancellations();
+
+    return task;
+  }
+
+  async runJob(job, signal) {
+    const options = job.options || {};
+
+    if (job.source.type === 'url') {
+      return this.processVideoAsync(job.jobId, job.videoId, job.source.url, options, signal);
+    }
+
+    return this.processUploadAsync(job.jobId, job.videoId, job.source.filePath, { ...options, ingest: job.ingest }, signal);
+  }
+
+  /**
+   * Abort a job running in this process
+   */
+  cancel(jobId) {
+    const active = this.activeJobs.get(jobId);
+    if (!active) return false;
+
+    active.controller.abort();
+    return true;
+  }
+
+  /**
+   * Poll the job store for cancellations requested through another process
+   */
+  watchCancellations() {
+    if (this.cancelWatch) return;
+
+    this.cancelWatch = setInterval(async () => {
+      if (this.activeJobs.size === 0) {
+        clearInterval(this.cancelWatch);
+        this.cancelWatch = null;
+        return;
+      }
+
+      for (const [jobId, { controller }] of this.activeJobs) {
+        try {
+          const job = await jobStore.get(jobId);
+          if (job?.cancelRequested && !controller.signal.aborted) {
+            logger.info('Cancelling job', { jobId });
+            controller.abort();
+          }
+        } catch (error) {
+          logger.warn('Failed to check job cancellation', { jobId, error: error.message });
+        }
+      }
+    }, config.queue.pollInterval);
+    this.cancelWatch.unref();
+  }
+
+  /**
+   * Remove partial output and mark job cancelled
+   */
+  async markCancelled(jobId, videoId) {
+    await storageService.deleteVideo(videoId).catch((error) => {
+      logger.warn('Failed to remove partial video output', { jobId, videoId, error: error.message });
+    });
+
+    await this.updateJobStatus(jobId, {
+      status: 'cancelled',
+      stage: 'Cancelled',
+      cancelledAt: new Date().toISOString()
+    });
+
+    logger.info('Job cancelled', { jobId, videoId });
+  }
+
+  /**
+   * Async video processing
+   */
+  async processVideoAsync(jobId, videoId, url, options, signal = null) {
+    let tempFilePath = null;
+
+    try {
+      // Update status: Downloading
+      this.updateJobStatus(jobId, {
+        status: 'downloading',
+        stage: 'Downloading video from URL',
+        progress: 0
+      });
+
+      // Get video info first
+      const videoInfo = await downloadService.getVideoInfo(url);
+      this.updateJobStatus(jobId, {
+        title: options.title || videoInfo.title,
+        sourceInfo: videoInfo
+      });
+
+      // Download video
+      tempFilePath = await downloadService.downloadFromUrl(url, videoId, (progress) => {
+        this.updateJobStatus(jobId, {
+          status: 'downloading',
+          stage: 'Downloading video',
+          progress: progress.progress,
+          downloaded: progress.downloaded,
+          total: progress.total
+        });
+      }, { signal });
+
+      logger.info('Download completed', { jobId, videoId, tempFilePath });
+
+      // Downloads can only be checked once they are here
+      const ingest = await this.inspectSource(jobId, tempFilePath);
+
+      // Update status: Processing
+      this.updateJobStatus(jobId, {
+        status: 'processing',
+        stage: 'Encoding video chunks',
+        progress: 0
+      });
+
+      // Segment video
+      const result = await segmentVideo(
+        tempFilePath,
+        config.storage.basePath,
+        videoId,
+        {
+          title: options.title || videoInfo.title,
+          description: options.description || videoInfo.description || '',
+          profile: options.profile,
+          qualities: options.qualities,
+          ingest,
+          signal,
+          onProgress: (progress) => {
+            this.updateJobStatus(jobId, {
+              status: 'processing',
+              stage: `Encoding ${progress.quality} (${progress.currentQuality}/${progress.totalQualities})`,
+              progress: progress.overallProgress,
+              currentQuality: progress.quality,
+              qualityProgress: progress.qualityProgress
+            });
+          }
+        }
+      );
+
+      // Update metadata with source URL
+      await storageService.updateMetadata(videoId, {
+        sourceUrl: url,
+        sourceTitle: videoInfo.title
+      });
+
+      // Update status: Completed
+      await this.updateJobStatus(jobId, {
+        status: 'completed',
+        stage: 'Processing complete',
+        progress: 100,
+        completedAt: new Date().toISOString(),
+        result: {
+          videoId,
+          streamUrl: `/api/videos/${videoId}`,
+          manifestUrl: `/api/videos/${videoId}/manifest`,
+          ...result.metadata
+        }
+      });
+
+      logger.info('Video processing completed', { jobId, videoId });
+
+    } catch (error) {
+      if (signal?.aborted) {
+        if (signal.reason !== SHUTDOWN) {
+          await this.markCancelled(jobId, videoId);
+        }
+        return;
+      }
+
+      logger.error('Video processing failed', { jobId, videoId, error: error.message });
+
+      await this.updateJobStatus(jobId, {
+        status: 'failed',
+        stage: 'Error',
+        error: error.message,
+        failedAt: new Date().toISOString()
+      });
+
+    } finally {
+      // Cleanup temp file
+      if (tempFilePath) {
+        await downloadService.cleanup(tempFilePath);
+      }
+    }
+  }
+
+  /**
+   * Validate the source media, recording its ingest report (also when rejected) in the job
+   */
+  async inspectSource(jobId, filePath) {
+    try {
+      const ingest = await ingestService.inspect(filePath);
+      await this.updateJobStatus(jobId, { ingest });
+      return ingest;
+    } catch (error) {
+      if (error.details?.report) {
+        await this.updateJobStatus(jobId, { ingest: error.details.report });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update job status
+   */
+  async updateJobStatus(jobId, updates) {
+    try {
+      return await jobStore.update(jobId, { ...updates, updatedAt: new Date().toISOString() });
+    } catch (error) {
+      logger.error('Failed to update job status', { jobId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Stop the jobs running in this process and mark them interrupted (called on shutdown)
+   * Jobs are aborted (killing their ffmpeg processes) and awaited first, so no progress update lands after
+   */
+  async interruptActiveJobs() {
+    const active = Array.from(this.activeJobs.entries());
+    const jobIds = active.map(([jobId]) => jobId);
+
+    active.forEach(([, { controller }]) => controller.abort(SHUTDOWN));
+    await Promise.allSettled(active.map(([, { task }]) => task));
+
+    await Promise.all(jobIds.map(jobId => this.updateJobStatus(jobId, {
+      status: 'interrupted',
+      stage: 'Interrupted by shutdown',
+      interruptedAt: new Date().toISOString()
+    })));
+
+    return jobIds;
+  }
+
+  /**
+   * Async upload processing
+   * The uploaded file stays until the job completes or is cancelled, so failed and interrupted jobs can be retried
+   */
+  async processUploadAsync(jobId, videoId, filePath, options, signal = null) {
+    try {
+      const result = await segmentVideo(
+        filePath,
+        config.storage.basePath,
+        videoId,
+        {
+          ...options,
+          signal,
+          onProgress: (progress) => {
+            this.updateJobStatus(jobId, {
+              status: 'processing',
+              stage: `Encoding ${progress.quality}`,
+              progress: progress.overallProgress,
+              currentQuality: progress.quality
+            });
+          }
+        }
+      );
+
+      await this.updateJobStatus(jobId, {
+        status: 'completed',
+        progress: 100,
+        completedAt: new Date().toISOString(),
+        result: {
+          videoId,
+          streamUrl: `/api/videos/${videoId}`,
+          manifestUrl: `/api/videos/${videoId}/manifest`,
+          ...result.metadata
+        }
+      });
+
+      await fs.unlink(filePath).catch(() => {});
+    } catch (error) {
+      if (signal?.aborted) {
+        // Interrupted jobs keep their source for a retry
+        if (signal.reason !== SHUTDOWN) {
+          await this.markCancelled(jobId, videoId);
+          await fs.unlink(filePath).catch(() => {});
+        }
+        return;
+      }
+
+      await this.updateJobStatus(jobId, {
+        status: 'failed',
+        error: error.message,
+        failedAt: new Date().toISOString()
+      });
+    }
+  }
+
+}
+
+module.exports = new ProcessingService();
\ No newline at end of file
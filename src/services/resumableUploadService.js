@@ -0,0 +1,265 @@
+// src/services/resumableUploadService.js
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const UPLOAD_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Resumable upload storage (tus 1.0)
+ * Each upload is a data file that grows with every PATCH plus a JSON info file
+ */
+class ResumableUploadService {
+  constructor() {
+    this.dir = path.join(config.upload.tempDir, 'tus');
+    this.locks = new Set();
+  }
+
+  getDataPath(uploadId) {
+    return path.join(this.dir, uploadId);
+  }
+
+  getInfoPath(uploadId) {
+    return path.join(this.dir, `${uploadId}.json`);
+  }
+
+  /**
+   * Start a new upload of a known length
+   */
+  async create(length, metadata = {}) {
+    if (!Number.isInteger(length) || length < 0) {
+      throw { status: 400, message: 'Invalid Upload-Length' };
+    }
+
+    if (length > config.upload.maxResumableFileSize) {
+      throw {
+        status: 413,
+        message: 'Upload exceeds maximum size',
+        details: { maxSize: config.upload.maxResumableFileSize }
+      };
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await this.cleanupExpired();
+
+    const now = Date.now();
+    const upload = {
+      uploadId: uuidv4(),
+      length,
+      metadata,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + config.upload.resumableExpiry).toISOString()
+    };
+
+    await fs.writeFile(this.getDataPath(upload.uploadId), '');
+    await this.writeInfo(upload);
+
+    logger.info('Resumable upload created', { uploadId: upload.uploadId, length });
+
+    return { ...upload, offset: 0 };
+  }
+
+  /**
+   * Get upload info with its current offset (null if unknown or expired)
+   */
+  async get(uploadId) {
+    if (!UPLOAD_ID_PATTERN.test(uploadId)) return null;
+
+    let upload;
+    try {
+      upload = JSON.parse(await fs.readFile(this.getInfoPath(uploadId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    if (new Date(upload.expiresAt).getTime() < Date.now()) {
+      return null;
+    }
+
+    // Data of finished uploads has been handed to the processing pipeline
+    if (upload.completedAt) {
+      return { ...upload, offset: upload.length };
+    }
+
+    try {
+      const stats = await fs.stat(this.getDataPath(uploadId));
+      return { ...upload, offset: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Append request data at the given offset
+   * Data received before a dropped connection is kept, so the client can resume from it
+   * onComplete runs once the last byte is in, still holding the lock, so a retried final
+   * request cannot finish the upload a second time
+   */
+  async append(uploadId, offset, input, onComplete = null) {
+    const upload = await this.get(uploadId);
+    if (!upload) {
+      throw { status: 404, message: 'Upload not found' };
+    }
+
+    if (this.locks.has(uploadId)) {
+      throw { status: 423, message: 'Upload is being written by another request' };
+    }
+
+    if (offset !== upload.offset) {
+      throw {
+        status: 409,
+        message: 'Upload-Offset does not match the current offset',
+        details: { offset: upload.offset }
+      };
+    }
+
+    // Finished uploads take no more data (their data file has been moved)
+    if (upload.completedAt) {
+      return upload;
+    }
+
+    this.locks.add(uploadId);
+
+    try {
+      try {
+        await pipeline(
+          input,
+          this.limitLength(upload.length - offset),
+          fsSync.createWriteStream(this.getDataPath(uploadId), { flags: 'a' })
+        );
+      } catch (error) {
+        if (error.status) throw error;
+        logger.warn('Resumable upload interrupted', { uploadId, error: error.message });
+      }
+
+      const current = await this.get(uploadId);
+      if (onComplete && current && current.offset === current.length) {
+        return await onComplete(current);
+      }
+      return current;
+    } finally {
+      this.locks.delete(uploadId);
+    }
+  }
+
+  /**
+   * Pass through at most maxBytes, failing the stream on anything more
+   */
+  limitLength(maxBytes) {
+    let received = 0;
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+
+        if (received > maxBytes) {
+          return callback({ status: 413, message: 'Request body exceeds Upload-Length' });
+        }
+        callback(null, chunk);
+      }
+    });
+  }
+
+  /**
+   * Move the finished data to targetPath and record the result on the upload
+   */
+  async complete(uploadId, targetPath, updates = {}) {
+    const upload = await this.get(uploadId);
+
+    await fs.rename(this.getDataPath(uploadId), targetPath);
+
+    const completed = {
+      ...upload,
+      ...updates,
+      completedAt: new Date().toISOString()
+    };
+    delete completed.offset;
+
+    await this.writeInfo(completed);
+    return { ...completed, offset: completed.length };
+  }
+
+  /**
+   * Remove an upload and its data
+   */
+  async terminate(uploadId) {
+    if (!UPLOAD_ID_PATTERN.test(uploadId)) return false;
+
+    if (this.locks.has(uploadId)) {
+      throw { status: 423, message: 'Upload is being written by another request' };
+    }
+
+    const upload = await this.get(uploadId);
+    if (!upload) return false;
+
+    await this.discard(uploadId);
+
+    logger.info('Resumable upload terminated', { uploadId });
+    return true;
+  }
+
+  /**
+   * Remove the files of an upload (the caller holds its lock or knows it is unused)
+   */
+  async discard(uploadId) {
+    await fs.rm(this.getDataPath(uploadId), { force: true });
+    await fs.rm(this.getInfoPath(uploadId), { force: true });
+  }
+
+  /**
+   * Delete uploads past their expiry
+   */
+  async cleanupExpired() {
+    const files = await fs.readdir(this.dir).catch(() => []);
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const uploadId = path.basename(file, '.json');
+
+      if (this.locks.has(uploadId) || await this.get(uploadId).catch(() => null)) continue;
+
+      await this.discard(uploadId);
+    }
+  }
+
+  /**
+   * Parse Upload-Metadata header ("key base64value,key base64value")
+   */
+  parseMetadata(header) {
+    const metadata = {};
+    if (!header) return metadata;
+
+    for (const pair of header.split(',')) {
+      const [key, value] = pair.trim().split(' ');
+      if (!key) continue;
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Format metadata back into an Upload-Metadata header
+   */
+  formatMetadata(metadata) {
+    return Object.entries(metadata)
+      .map(([key, value]) => value ? `${key} ${Buffer.from(value).toString('base64')}` : key)
+      .join(',');
+  }
+
+  async writeInfo(upload) {
+    const infoPath = this.getInfoPath(upload.uploadId);
+    const tempPath = `${infoPath}.${process.pid}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(upload, null, 2));
+    await fs.rename(tempPath, infoPath);
+  }
+}
+
+module.exports = new ResumableUploadService();
\ No newline at end of file
@@ -0,0 +1,157 @@
+// src/services/segmentIndexService.js
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+
+if (config.ffmpeg.ffmpegPath) {
+  ffmpeg.setFfmpegPath(config.ffmpeg.ffmpegPath);
+}
+
+// File (inside the video directory) holding the start time and duration of every chunk
+const INDEX_FILE = 'segments.json';
+
+// Segment list the chunk muxer writes next to the .ts chunks of a rendition
+const SEGMENT_LIST_FILE = 'segments.csv';
+
+// Scene-aligned chunks stay between half and twice the target chunk duration
+const MIN_CHUNK_RATIO = 0.5;
+const MAX_CHUNK_RATIO = 2;
+
+const SEGMENTATION_MODES = ['fixed', 'scene'];
+
+class SegmentIndexService {
+  getIndexPath(videoDir) {
+    return path.join(videoDir, INDEX_FILE);
+  }
+
+  getSegmentListPath(renditionDir) {
+    return path.join(renditionDir, SEGMENT_LIST_FILE);
+  }
+
+  isValidMode(mode) {
+    return SEGMENTATION_MODES.includes(mode);
+  }
+
+  /**
+   * Shortest chunk scene-aligned segmentation produces
+   */
+  getMinChunkDuration(chunkDuration) {
+    return chunkDuration * MIN_CHUNK_RATIO;
+  }
+
+  /**
+   * Parse a segment muxer CSV list ("chunk_000000.ts,0.000000,5.005000" per line)
+   * Start times are made relative to the first chunk
+   */
+  parseSegmentList(csv) {
+    const entries = csv.split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const [start, end] = line.split(',').slice(-2).map(Number);
+        return { start, end };
+      });
+
+    const offset = entries.length > 0 ? entries[0].start : 0;
+
+    return entries.map((entry, index) => ({
+      index,
+      startTime: this.round(entry.start - offset),
+      duration: this.round(entry.end - entry.start)
+    }));
+  }
+
+  round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+  }
+
+  /**
+   * Pick chunk boundaries on scene changes: each chunk ends on the scene change closest
+   * to the target duration, or at the target duration when no scene change fits
+   */
+  planSceneCuts(sceneChanges, duration, chunkDuration) {
+    const min = chunkDuration * MIN_CHUNK_RATIO;
+    const max = chunkDuration * MAX_CHUNK_RATIO;
+    const cuts = [];
+    let last = 0;
+
+    const closest = (from, to, target) => sceneChanges
+      .filter(time => time >= from && time <= to)
+      .sort((a, b) => Math.abs(a - target) - Math.abs(b - target))[0];
+
+    while (duration - last > max) {
+      const cut = closest(last + min, last + max, last + chunkDuration) ?? last + chunkDuration;
+      cuts.push(this.round(cut));
+      last = cut;
+    }
+
+    // The rest fits in one chunk, but may still be split on a scene change
+    if (duration - last > chunkDuration) {
+      const cut = closest(last + min, duration - min, last + chunkDuration);
+      if (cut !== undefined) cuts.push(this.round(cut));
+    }
+
+    return cuts;
+  }
+
+  /**
+   * Find scene changes in a video (seconds), decoding it once
+   */
+  detectSceneChanges(inputPath, threshold = config.storage.sceneThreshold, signal = null) {
+    return new Promise((resolve, reject) => {
+      const times = [];
+
+      const command = ffmpeg(inputPath)
+        .videoFilters([`select='gt(scene,${threshold})'`, 'showinfo'])
+        .outputOptions(['-an', '-f null'])
+        .output('-');
+
+      const onAbort = () => command.kill('SIGKILL');
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      command
+        .on('stderr', (line) => {
+          const match = /Parsed_showinfo.*\bpts_time:\s*([\d.]+)/.exec(line);
+          if (match) times.push(parseFloat(match[1]));
+        })
+        .on('end', () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(times);
+        })
+        .on('error', (err) => {
+          signal?.removeEventListener('abort', onAbort);
+          reject(err);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Build the segment index of a freshly segmented video from the segment lists
+   * of one video rendition and one audio rendition, then remove the lists
+   */
+  async writeIndex(videoDir, { segmentation, videoQuality, audioQuality = null }) {
+    const readList = async (quality) => this.parseSegmentList(
+      await fs.readFile(this.getSegmentListPath(path.join(videoDir, 'chunks', quality)), 'utf-8')
+    );
+
+    const index = {
+      segmentation,
+      chunks: await readList(videoQuality),
+      // Audio-only renditions are always cut on the target duration
+      audioChunks: audioQuality ? await readList(audioQuality) : null
+    };
+
+    await fs.writeFile(this.getIndexPath(videoDir), JSON.stringify(index, null, 2));
+
+    const renditions = await fs.readdir(path.join(videoDir, 'chunks'));
+    await Promise.all(renditions.map(rendition =>
+      fs.rm(this.getSegmentListPath(path.join(videoDir, 'chunks', rendition)), { force: true })
+    ));
+
+    return index;
+  }
+}
+
+module.exports = new SegmentIndexService();
\ No newline at end of file
@@ -0,0 +1,113 @@
+// src/services/spriteService.js
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+
+if (config.ffmpeg.ffmpegPath) {
+  ffmpeg.setFfmpegPath(config.ffmpeg.ffmpegPath);
+}
+
+// Tile size and sheet layout (frames are letterboxed into the tile)
+const TILE_WIDTH = 160;
+const TILE_HEIGHT = 90;
+const COLUMNS = 10;
+const ROWS = 10;
+
+// Directory (inside the video directory) sprite sheets are written to
+const SPRITE_DIR = 'sprites';
+
+class SpriteService {
+  /**
+   * Get sprite sheet file, relative to the video directory
+   */
+  getSheetFile(sheet) {
+    return `${SPRITE_DIR}/sprite_${String(sheet).padStart(3, '0')}.jpg`;
+  }
+
+  /**
+   * Get sprite sheet file path
+   */
+  getSheetPath(videoDir, sheet) {
+    return path.join(videoDir, this.getSheetFile(sheet));
+  }
+
+  /**
+   * Take a frame every interval seconds and tile them into sprite sheets
+   * Returns the sprite info stored in metadata
+   */
+  async generateSprites(inputPath, videoDir, duration, interval = config.storage.spriteInterval, signal = null) {
+    await fs.mkdir(path.join(videoDir, SPRITE_DIR), { recursive: true });
+
+    const count = Math.ceil(duration / interval);
+    const perSheet = COLUMNS * ROWS;
+    const sheets = Math.ceil(count / perSheet);
+
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath)
+        .videoFilters([
+          `fps=1/${interval}`,
+          `scale=${TILE_WIDTH}:${TILE_HEIGHT}:force_original_aspect_ratio=decrease`,
+          `pad=${TILE_WIDTH}:${TILE_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+          `tile=${COLUMNS}x${ROWS}`
+        ])
+        .outputOptions(['-an', '-q:v 4', '-start_number 0'])
+        .output(path.join(videoDir, SPRITE_DIR, 'sprite_%03d.jpg'));
+
+      const onAbort = () => command.kill('SIGKILL');
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      command
+        .on('end', () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        })
+        .on('error', (err) => {
+          signal?.removeEventListener('abort', onAbort);
+          reject(err);
+        })
+        .run();
+    });
+
+    // Estimated bandwidth for the HLS/DASH image tracks
+    let totalBytes = 0;
+    for (let sheet = 0; sheet < sheets; sheet++) {
+      totalBytes += (await fs.stat(this.getSheetPath(videoDir, sheet))).size;
+    }
+
+    return {
+      interval,
+      width: TILE_WIDTH,
+      height: TILE_HEIGHT,
+      columns: COLUMNS,
+      rows: ROWS,
+      count,
+      sheets,
+      bandwidth: Math.ceil(totalBytes * 8 / duration)
+    };
+  }
+
+  /**
+   * Get the sheet and tile position of every preview
+   */
+  getTiles(sprites, duration) {
+    const perSheet = sprites.columns * sprites.rows;
+    const tiles = [];
+
+    for (let i = 0; i < sprites.count; i++) {
+      const position = i % perSheet;
+
+      tiles.push({
+        sheet: Math.floor(i / perSheet),
+        startTime: i * sprites.interval,
+        endTime: Math.min((i + 1) * sprites.interval, duration),
+        x: (position % sprites.columns) * sprites.width,
+        y: Math.floor(position / sprites.columns) * sprites.height
+      });
+    }
+
+    return tiles;
+  }
+}
+
+module.exports = new SpriteService();
\ No newline at end of file
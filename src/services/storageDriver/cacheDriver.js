@@ -0,0 +1,244 @@
+// src/services/storageDriver/cacheDriver.js
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { PassThrough, pipeline } = require('stream');
+const LocalDriver = require('./localDriver');
+
+/**
+ * Hot tier in front of a cold storage driver: objects read through it are kept on local disk
+ * Least recently used objects are evicted once the cache grows past maxSize (bytes)
+ * Only immutable objects (cacheable(key)) are cached; everything else goes straight to the backend
+ */
+class CacheDriver {
+  constructor(backend, { dir, maxSize, cacheable = () => true }) {
+    this.backend = backend;
+    this.local = new LocalDriver(dir);
+    this.maxSize = maxSize;
+    this.cacheable = cacheable;
+    this.remote = backend.remote;
+
+    // key -> { size, mtime, readers }, in least to most recently used order
+    this.entries = new Map();
+    this.size = 0;
+    // key -> promise of the fetch in progress, shared by concurrent readers
+    this.fetches = new Map();
+    this.stats = { hits: 0, misses: 0, fetches: 0, evictions: 0 };
+
+    this.loading = this.load();
+  }
+
+  /**
+   * Rebuild the index from the files left by a previous run (least recently read first)
+   */
+  async load() {
+    const files = [];
+    const walk = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        const filePath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(filePath);
+        } else if (entry.name.endsWith('.tmp')) {
+          await fs.rm(filePath, { force: true });
+        } else {
+          const stats = await fs.stat(filePath);
+          files.push({ key: path.relative(this.local.root, filePath).split(path.sep).join('/'), stats });
+        }
+      }
+    };
+
+    await walk(this.local.root);
+
+    for (const { key, stats } of files.sort((a, b) => a.stats.atimeMs - b.stats.atimeMs)) {
+      this.entries.set(key, { size: stats.size, mtime: stats.mtime, readers: 0 });
+      this.size += stats.size;
+    }
+    await this.evict();
+  }
+
+  /**
+   * Cache entry of an object, fetched from the backend on a miss
+   * The entry comes back pinned (not evictable) until release(entry)
+   */
+  async acquire(key) {
+    await this.loading;
+
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.stats.hits += 1;
+      this.touch(key, entry);
+      entry.readers += 1;
+      return entry;
+    }
+
+    this.stats.misses += 1;
+    if (!this.fetches.has(key)) {
+      const fetch = this.download(key).finally(() => this.fetches.delete(key));
+      this.fetches.set(key, fetch);
+    }
+
+    await this.fetches.get(key);
+
+    const fetched = this.entries.get(key);
+    if (!fetched) {
+      // Evicted before this reader got to it
+      return this.acquire(key);
+    }
+    fetched.readers += 1;
+    return fetched;
+  }
+
+  release(entry) {
+    entry.readers -= 1;
+  }
+
+  async download(key) {
+    this.stats.fetches += 1;
+
+    const [stats, data] = await Promise.all([this.backend.stat(key), this.backend.read(key)]);
+    await this.local.write(key, data);
+    // Keep the backend's modification time: Last-Modified and weak ETags do not change with the tier
+    await fs.utimes(this.local.getPath(key), new Date(), stats.mtime);
+
+    this.entries.set(key, { size: data.length, mtime: stats.mtime, readers: 0 });
+    this.size += data.length;
+    await this.evict(key);
+  }
+
+  /**
+   * Mark an object as most recently used
+   */
+  touch(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    // The access time orders the entries again after a restart
+    fs.utimes(this.local.getPath(key), new Date(), entry.mtime).catch(() => {});
+  }
+
+  /**
+   * Drop least recently used objects until the cache fits in maxSize
+   * Objects being read, and the one just fetched, stay
+   */
+  async evict(keep = null) {
+    for (const [key, entry] of this.entries) {
+      if (this.size <= this.maxSize) break;
+      if (key === keep || entry.readers > 0) continue;
+
+      await this.remove(key);
+      this.stats.evictions += 1;
+    }
+  }
+
+  async remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.entries.delete(key);
+    this.size -= entry.size;
+    await this.local.delete(key);
+  }
+
+  async exists(key) {
+    await this.loading;
+    return this.entries.has(key) || this.backend.exists(key);
+  }
+
+  async stat(key) {
+    await this.loading;
+    return this.entries.has(key) ? this.local.stat(key) : this.backend.stat(key);
+  }
+
+  async read(key) {
+    if (!this.cacheable(key)) {
+      return this.backend.read(key);
+    }
+
+    const entry = await this.acquire(key);
+    try {
+      return await fs.readFile(this.local.getPath(key));
+    } finally {
+      this.release(entry);
+    }
+  }
+
+  /**
+   * Read stream of an object (optionally a byte range of it), from the local copy
+   * The object is not evicted while the stream is open
+   */
+  createReadStream(key, range = null) {
+    if (!this.cacheable(key)) {
+      return this.backend.createReadStream(key, range);
+    }
+
+    const stream = new PassThrough();
+
+    this.acquire(key)
+      .then((entry) => {
+        // The reader went away while the object was being fetched
+        if (stream.destroyed) {
+          this.release(entry);
+          return;
+        }
+
+        const options = range ? { start: range.start, end: range.end } : {};
+        const file = fsSync.createReadStream(this.local.getPath(key), options);
+        // Closes the file when either side ends or fails, then unpins the entry
+        pipeline(file, stream, () => this.release(entry));
+      })
+      .catch(error => stream.destroy(error));
+
+    return stream;
+  }
+
+  /**
+   * Prefetch an object into the cache
+   */
+  async warm(key) {
+    await this.loading;
+    if (!this.cacheable(key) || this.entries.has(key)) return;
+
+    this.release(await this.acquire(key));
+  }
+
+  async write(key, body) {
+    await this.backend.write(key, body);
+    await this.remove(key);
+  }
+
+  async list(prefix) {
+    return this.backend.list(prefix);
+  }
+
+  async delete(key) {
+    await this.backend.delete(key);
+
+    await this.loading;
+    for (const cachedKey of [...this.entries.keys()]) {
+      if (cachedKey === key || cachedKey.startsWith(`${key}/`)) {
+        await this.remove(cachedKey);
+      }
+    }
+  }
+
+  getSignedUrl(key, expiresIn) {
+    return this.backend.getSignedUrl(key, expiresIn);
+  }
+
+  /**
+   * Hit/miss counters and size of the cache
+   */
+  getStats() {
+    const requests = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hitRatio: requests > 0 ? Math.round((this.stats.hits / requests) * 1000) / 1000 : null,
+      entries: this.entries.size,
+      size: this.size,
+      maxSize: this.maxSize
+    };
+  }
+}
+
+module.exports = CacheDriver;
\ No newline at end of file
@@ -0,0 +1,39 @@
+// src/services/storageDriver/index.js
+const path = require('path');
+const config = require('../../config');
+const checksumService = require('../checksumService');
+const LocalDriver = require('./localDriver');
+const S3Driver = require('./s3Driver');
+const CacheDriver = require('./cacheDriver');
+
+/**
+ * Create the storage driver selected in config
+ * Drivers store objects under keys like "<videoId>/chunks/720p/chunk_000000.ts"
+ * Remote drivers get a local disk cache in front of them unless it is disabled
+ */
+function createStorageDriver({ driver, basePath, s3, cache }) {
+  let backend;
+  switch (driver) {
+    case 'local':
+      backend = new LocalDriver(basePath);
+      break;
+    case 's3':
+      backend = new S3Driver(s3);
+      break;
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+
+  if (!backend.remote || !cache.enabled) {
+    return backend;
+  }
+
+  // Chunks never change once written; metadata and indexes do, so they are always read from the backend
+  return new CacheDriver(backend, {
+    dir: cache.path,
+    maxSize: cache.maxSize,
+    cacheable: key => checksumService.isChunkFile(path.posix.basename(key))
+  });
+}
+
+module.exports = createStorageDriver(config.storage);
\ No newline at end of file
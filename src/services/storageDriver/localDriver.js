@@ -0,0 +1,87 @@
+// src/services/storageDriver/localDriver.js
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+/**
+ * Storage driver over a local directory (keys are paths relative to it)
+ */
+class LocalDriver {
+  constructor(root) {
+    this.root = path.resolve(root);
+    this.remote = false;
+  }
+
+  /**
+   * Path of a key on disk (keys never escape the root)
+   */
+  getPath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (filePath !== this.root && !filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.getPath(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async stat(key) {
+    const stats = await fs.stat(this.getPath(key));
+    return { size: stats.size, mtime: stats.mtime, mtimeMs: stats.mtimeMs };
+  }
+
+  async read(key) {
+    return fs.readFile(this.getPath(key));
+  }
+
+  /**
+   * Read stream of an object (optionally a byte range of it)
+   */
+  createReadStream(key, range = null) {
+    const options = range ? { start: range.start, end: range.end } : {};
+    return fsSync.createReadStream(this.getPath(key), options);
+  }
+
+  /**
+   * Write an object atomically (readers never see a partial file)
+   */
+  async write(key, body) {
+    const filePath = this.getPath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, body);
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Entries directly under a prefix, like readdir (throws ENOENT for a missing directory)
+   */
+  async list(prefix) {
+    const entries = await fs.readdir(this.getPath(prefix), { withFileTypes: true });
+    return entries.map(entry => ({ name: entry.name, directory: entry.isDirectory() }));
+  }
+
+  /**
+   * Delete an object, or everything under a prefix
+   */
+  async delete(key) {
+    await fs.rm(this.getPath(key), { recursive: true, force: true });
+  }
+
+  /**
+   * Files on disk are only served through the API
+   */
+  getSignedUrl() {
+    return null;
+  }
+}
+
+module.exports = LocalDriver;
\ No newline at end of file
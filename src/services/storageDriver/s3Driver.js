@@ -0,0 +1,288 @@
+// src/services/storageDriver/s3Driver.js
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const axios = require('axios');
+const mime = require('mime-types');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+// Longest validity S3 accepts for a pre-signed URL (7 days)
+const MAX_PRESIGN_EXPIRY = 604800;
+
+// Most keys a single DeleteObjects request takes
+const DELETE_BATCH_SIZE = 1000;
+
+// S3 URI encoding: everything but RFC 3986 unreserved characters
+const encode = value => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const decodeXml = value => value.replace(/&(amp|lt|gt|quot|apos);/g, (_, entity) => XML_ENTITIES[entity]);
+const encodeXml = value => value.replace(/[&<>"']/g, char =>
+  `&${Object.keys(XML_ENTITIES).find(entity => XML_ENTITIES[entity] === char)};`);
+
+/**
+ * Storage driver for S3-compatible object stores (AWS S3, MinIO, ...)
+ * Talks to the REST API directly, requests are signed with AWS Signature Version 4
+ */
+class S3Driver {
+  constructor({ endpoint = '', region = 'us-east-1', bucket, prefix = '', accessKeyId, secretAccessKey }) {
+    if (!bucket) {
+      throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+    }
+
+    this.region = region;
+    this.prefix = prefix.replace(/^\/+|\/+$/g, '');
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    // Path-style URLs for custom endpoints (MinIO), virtual-hosted style for AWS
+    const awsHost = region === 'us-east-1' ? 's3.amazonaws.com' : `s3.${region}.amazonaws.com`;
+    this.baseUrl = endpoint
+      ? `${endpoint.replace(/\/+$/, '')}/${bucket}`
+      : `https://${bucket}.${awsHost}`;
+    this.remote = true;
+  }
+
+  /**
+   * Object key of a storage key (under the configured prefix)
+   */
+  getObjectKey(key) {
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  /**
+   * Sign a request and return its URL
+   * Adds the Authorization header, or signs the query string when expiresIn is set (pre-signed URL)
+   */
+  sign(method, key, { query = {}, headers = {}, payloadHash = UNSIGNED_PAYLOAD, expiresIn = null } = {}) {
+    const objectPath = key === null ? '' : this.getObjectKey(key).split('/').map(encode).join('/');
+    const url = new URL(`${this.baseUrl}/${objectPath}`);
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const presign = expiresIn !== null;
+
+    const params = { ...query };
+    const signedHeaders = { host: url.host };
+
+    if (presign) {
+      Object.assign(params, {
+        'X-Amz-Algorithm': ALGORITHM,
+        'X-Amz-Credential': `${this.accessKeyId}/${scope}`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host'
+      });
+    } else {
+      headers['x-amz-date'] = amzDate;
+      headers['x-amz-content-sha256'] = payloadHash;
+      for (const [name, value] of Object.entries(headers)) {
+        signedHeaders[name.toLowerCase()] = String(value).trim();
+      }
+    }
+
+    const queryString = Object.entries(params)
+      .map(([name, value]) => [encode(name), encode(value)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+
+    const headerNames = Object.keys(signedHeaders).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      queryString,
+      headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+      headerNames.join(';'),
+      presign ? UNSIGNED_PAYLOAD : payloadHash
+    ].join('\n');
+
+    const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = [this.region, 's3', 'aws4_request'].reduce(hmac, hmac(`AWS4${this.secretAccessKey}`, date));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    if (presign) {
+      return `${url.origin}${url.pathname}?${queryString}&X-Amz-Signature=${signature}`;
+    }
+
+    headers.Authorization = `${ALGORITHM} Credential=${this.accessKeyId}/${scope}, ` +
+      `SignedHeaders=${headerNames.join(';')}, Signature=${signature}`;
+    return `${url.origin}${url.pathname}${queryString ? `?${queryString}` : ''}`;
+  }
+
+  /**
+   * Send a signed request (key null for bucket-level requests)
+   * Missing objects fail with code ENOENT, like the local driver
+   */
+  async request(method, key, { query = {}, headers = {}, body = null, responseType = 'arraybuffer' } = {}) {
+    const url = this.sign(method, key, { query, headers, payloadHash: sha256(body || '') });
+
+    const response = await axios({
+      method,
+      url,
+      headers,
+      data: body || undefined,
+      responseType,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true
+    });
+
+    if (response.status < 300) {
+      return response;
+    }
+
+    if (responseType === 'stream') {
+      response.data.resume();
+    }
+
+    const error = new Error(`S3 ${method} ${key || '/'} failed with status ${response.status}`);
+    if (response.status === 404) {
+      error.code = 'ENOENT';
+    }
+    throw error;
+  }
+
+  async exists(key) {
+    try {
+      await this.stat(key);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async stat(key) {
+    const { headers } = await this.request('HEAD', key);
+    const mtime = new Date(headers['last-modified']);
+
+    return { size: parseInt(headers['content-length'], 10), mtime, mtimeMs: mtime.getTime() };
+  }
+
+  async read(key) {
+    const { data } = await this.request('GET', key);
+    return Buffer.from(data);
+  }
+
+  /**
+   * Read stream of an object (optionally a byte range of it)
+   * Returned right away like fs.createReadStream; request errors are emitted on the stream
+   */
+  createReadStream(key, range = null) {
+    const stream = new PassThrough();
+    const headers = range ? { Range: `bytes=${range.start}-${range.end}` } : {};
+
+    this.request('GET', key, { headers, responseType: 'stream' })
+      .then(({ data }) => {
+        data.on('error', error => stream.destroy(error));
+        data.pipe(stream);
+      })
+      .catch(error => stream.destroy(error));
+
+    return stream;
+  }
+
+  async write(key, body) {
+    await this.request('PUT', key, {
+      headers: { 'Content-Type': mime.lookup(key) || 'application/octet-stream' },
+      body: Buffer.isBuffer(body) ? body : Buffer.from(body)
+    });
+  }
+
+  /**
+   * Objects (keys relative to the store) and common prefixes under a prefix (ListObjectsV2)
+   */
+  async listObjects(prefix, delimiter = null) {
+    const objectPrefix = this.getObjectKey(prefix);
+    const strip = objectKey => objectKey.slice(this.prefix ? this.prefix.length + 1 : 0);
+    const result = { keys: [], prefixes: [] };
+    let continuationToken = null;
+
+    do {
+      const query = { 'list-type': '2', prefix: objectPrefix };
+      if (delimiter) query.delimiter = delimiter;
+      if (continuationToken) query['continuation-token'] = continuationToken;
+
+      const xml = Buffer.from((await this.request('GET', null, { query })).data).toString('utf-8');
+
+      for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        result.keys.push(strip(decodeXml(/<Key>([\s\S]*?)<\/Key>/.exec(contents)[1])));
+      }
+      for (const [, common] of xml.matchAll(/<CommonPrefixes>([\s\S]*?)<\/CommonPrefixes>/g)) {
+        result.prefixes.push(strip(decodeXml(/<Prefix>([\s\S]*?)<\/Prefix>/.exec(common)[1])));
+      }
+
+      const next = /<IsTruncated>true<\/IsTruncated>/.test(xml) && /<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/.exec(xml);
+      continuationToken = next ? decodeXml(next[1]) : null;
+    } while (continuationToken);
+
+    return result;
+  }
+
+  /**
+   * Entries directly under a prefix (common prefixes are directories)
+   */
+  async list(prefix) {
+    const dir = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+    const { keys, prefixes } = await this.listObjects(dir, '/');
+
+    return [
+      ...prefixes.map(name => ({ name: name.slice(dir.length).replace(/\/$/, ''), directory: true })),
+      ...keys.map(name => ({ name: name.slice(dir.length), directory: false }))
+    ];
+  }
+
+  /**
+   * Delete an object, or everything under a prefix (DeleteObjects, up to 1000 keys per request)
+   */
+  async delete(key) {
+    const { keys } = await this.listObjects(`${key.replace(/\/+$/, '')}/`);
+    const objectKeys = [key, ...keys];
+
+    for (let start = 0; start < objectKeys.length; start += DELETE_BATCH_SIZE) {
+      await this.deleteObjects(objectKeys.slice(start, start + DELETE_BATCH_SIZE));
+    }
+  }
+
+  /**
+   * Delete a batch of objects in one request
+   * Missing keys count as deleted; keys S3 fails to delete are reported in a 200 response
+   */
+  async deleteObjects(keys) {
+    const body = Buffer.from('<?xml version="1.0" encoding="UTF-8"?><Delete><Quiet>true</Quiet>' +
+      keys.map(key => `<Object><Key>${encodeXml(this.getObjectKey(key))}</Key></Object>`).join('') +
+      '</Delete>');
+
+    const { data } = await this.request('POST', null, {
+      query: { delete: '' },
+      headers: {
+        'Content-Type': 'application/xml',
+        'Content-MD5': crypto.createHash('md5').update(body).digest('base64')
+      },
+      body
+    });
+
+    const errors = [...Buffer.from(data).toString('utf-8').matchAll(/<Error>([\s\S]*?)<\/Error>/g)];
+    if (errors.length > 0) {
+      const [, first] = errors[0];
+      const failedKey = decodeXml(/<Key>([\s\S]*?)<\/Key>/.exec(first)?.[1] || '');
+      const code = /<Code>([\s\S]*?)<\/Code>/.exec(first)?.[1] || 'unknown error';
+      throw new Error(`S3 delete failed for ${errors.length} object(s), e.g. ${failedKey} (${code})`);
+    }
+  }
+
+  /**
+   * Pre-signed GET URL clients can fetch an object from directly
+   */
+  getSignedUrl(key, expiresIn) {
+    return this.sign('GET', key, { expiresIn: Math.min(expiresIn, MAX_PRESIGN_EXPIRY) });
+  }
+}
+
+module.exports = S3Driver;
\ No newline at end of file
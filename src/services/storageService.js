@@ -1,14 +1,75 @@
 // src/services/storageService.js
+const EventEmitter = require('events');
 const fs = require('fs').promises;
-const fsSync = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
+const LruCache = require('../utils/lruCache');
+const storageDriver = require('./storageDriver');
+const segmentIndexService = require('./segmentIndexService');
+const checksumService = require('./checksumService');
+const jobStore = require('./jobStore');
 
-class StorageService {
+// File extension of each chunk format
+const CHUNK_EXTENSIONS = {
+  ts: 'ts',
+  cmaf: 'm4s'
+};
+
+// Video IDs become directory names; never let one escape basePath
+const VIDEO_ID_PATTERN = /^[\w-]+$/;
+
+// Chunk directories of audio tracks (e.g. chunks/audio_eng) are not qualities
+const AUDIO_TRACK_PREFIX = 'audio_';
+
+// Files uploaded at once when publishing a video to a remote store
+const PUBLISH_CONCURRENCY = 8;
+
+// Chunk files of a rendition, by index
+const CHUNK_FILE_PATTERN = /^chunk_(\d{6})\.(ts|m4s)$/;
+
+/**
+ * Paths of all files under a directory, relative to it
+ */
+async function listFiles(dir, prefix = '') {
+  const entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const relativePath = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, relativePath));
+    } else {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Emits 'change' (videoId) when a video is written or edited and 'delete' (videoId) when it is removed
+ */
+class StorageService extends EventEmitter {
   constructor() {
+    super();
     this.basePath = config.storage.basePath;
-    this.metadataCache = new Map();
+    // Videos are read through the driver; basePath is where segmentVideo writes them
+    this.driver = storageDriver;
+    this.metadataCache = new LruCache(config.storage.metadataCache);
+    this.segmentIndexCache = new LruCache(config.storage.metadataCache);
+    this.checksumCache = new LruCache(config.storage.metadataCache);
+    this.watching = false;
+    // videoId -> last queued metadata update
+    this.metadataWrites = new Map();
+    this.onJobChange = (job) => {
+      if (job.status !== 'completed' || !job.videoId) return;
+
+      this.clearCache(job.videoId);
+      this.emit('change', job.videoId);
+    };
+    // Videos whose first chunks were fetched into the storage cache
+    this.prewarmed = new Set();
   }
 
   /**
@@ -19,50 +80,60 @@ class StorageService {
   }
 
   /**
-   * Get chunk file path
+   * Get chunk storage key
    */
-  getChunkPath(videoId, quality, chunkIndex) {
+  getChunkKey(videoId, quality, chunkIndex, format = 'ts') {
     const paddedIndex = String(chunkIndex).padStart(6, '0');
-    return path.join(
-      this.basePath,
-      videoId,
-      'chunks',
-      quality,
-      `chunk_${paddedIndex}.ts`
-    );
+    return `${videoId}/chunks/${quality}/chunk_${paddedIndex}.${CHUNK_EXTENSIONS[format]}`;
+  }
+
+  /**
+   * Get CMAF init segment storage key
+   */
+  getInitSegmentKey(videoId, quality) {
+    return `${videoId}/chunks/${quality}/init.mp4`;
+  }
+
+  /**
+   * Get metadata storage key
+   */
+  getMetadataKey(videoId) {
+    return `${videoId}/metadata.json`;
+  }
+
+  /**
+   * Get chunk file path (local copy)
+   */
+  getChunkPath(videoId, quality, chunkIndex, format = 'ts') {
+    return path.join(this.basePath, this.getChunkKey(videoId, quality, chunkIndex, format));
+  }
+
+  /**
+   * Get CMAF init segment path (local copy)
+   */
+  getInitSegmentPath(videoId, quality) {
+    return path.join(this.basePath, this.getInitSegmentKey(videoId, quality));
   }
 
   /**
-   * Get metadata file path
+   * Get metadata file path (local copy)
    */
   getMetadataPath(videoId) {
-    return path.join(this.basePath, videoId, 'metadata.json');
+    return path.join(this.basePath, this.getMetadataKey(videoId));
   }
 
   /**
    * Check if video exists
    */
   async videoExists(videoId) {
-    try {
-      const metadataPath = this.getMetadataPath(videoId);
-      await fs.access(metadataPath);
-      return true;
-    } catch {
-      return false;
-    }
+    return this.driver.exists(this.getMetadataKey(videoId));
   }
 
   /**
    * Check if chunk exists
    */
-  async chunkExists(videoId, quality, chunkIndex) {
-    try {
-      const chunkPath = this.getChunkPath(videoId, quality, chunkIndex);
-      await fs.access(chunkPath);
-      return true;
-    } catch {
-      return false;
-    }
+  async chunkExists(videoId, quality, chunkIndex, format = 'ts') {
+    return this.driver.exists(this.getChunkKey(videoId, quality, chunkIndex, format));
   }
 
   /**
@@ -70,15 +141,14 @@ class StorageService {
    */
   async getMetadata(videoId) {
     // Check cache first
-    if (this.metadataCache.has(videoId)) {
-      return this.metadataCache.get(videoId);
+    const cached = this.metadataCache.get(videoId);
+    if (cached !== undefined) {
+      return cached;
     }
 
-    const metadataPath = this.getMetadataPath(videoId);
-    
     try {
-      const data = await fs.readFile(metadataPath, 'utf-8');
-      const metadata = JSON.parse(data);
+      const data = await this.driver.read(this.getMetadataKey(videoId));
+      const metadata = JSON.parse(data.toString('utf-8'));
       
       // Cache the metadata
       this.metadataCache.set(videoId, metadata);
@@ -90,37 +160,180 @@ class StorageService {
     }
   }
 
+  /**
+   * Get metadata file stats (validators of everything built from the metadata)
+   */
+  async getMetadataStats(videoId) {
+    return this.driver.stat(this.getMetadataKey(videoId));
+  }
+
+  /**
+   * Get the segment index of a video (null for videos segmented before indexes existed)
+   */
+  async getSegmentIndex(videoId) {
+    return this.readVideoFile(this.segmentIndexCache, videoId, segmentIndexService.getIndexPath(videoId), 'segment index');
+  }
+
+  /**
+   * Get the chunk checksum manifest of a video (null when it has none)
+   */
+  async getChecksums(videoId) {
+    return this.readVideoFile(this.checksumCache, videoId, checksumService.getManifestPath(videoId), 'checksums');
+  }
+
+  /**
+   * Read (and cache) an optional JSON file of a video
+   */
+  async readVideoFile(cache, videoId, key, label) {
+    // Files a video does not have are cached as null
+    const cached = cache.get(videoId);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    let data = null;
+    try {
+      data = JSON.parse((await this.driver.read(key)).toString('utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read ${label} for video ${videoId}`, { error: error.message });
+        throw error;
+      }
+    }
+
+    cache.set(videoId, data);
+    return data;
+  }
+
+  /**
+   * Merge updates into video metadata (written atomically) and refresh the cache
+   * `updates` may be a function of the current metadata returning the fields to merge, for updates
+   * derived from it (subtitle tracks); updates of a video run one at a time
+   */
+  async updateMetadata(videoId, updates) {
+    if (!VIDEO_ID_PATTERN.test(videoId)) {
+      throw new Error(`Invalid video ID: ${videoId}`);
+    }
+
+    return this.enqueueMetadataWrite(videoId, async () => {
+      const metadataKey = this.getMetadataKey(videoId);
+      const existing = JSON.parse((await this.driver.read(metadataKey)).toString('utf-8'));
+      const changes = typeof updates === 'function' ? updates(existing) : updates;
+      const updated = { ...existing, ...changes, updatedAt: new Date().toISOString() };
+
+      await this.driver.write(metadataKey, JSON.stringify(updated, null, 2));
+
+      this.metadataCache.set(videoId, updated);
+      this.emit('change', videoId);
+      return updated;
+    });
+  }
+
+  /**
+   * Serialize metadata writes per video so concurrent updates are not lost
+   */
+  enqueueMetadataWrite(videoId, operation) {
+    const previous = this.metadataWrites.get(videoId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+
+    this.metadataWrites.set(videoId, next);
+    next.catch(() => {}).then(() => {
+      if (this.metadataWrites.get(videoId) === next) {
+        this.metadataWrites.delete(videoId);
+      }
+    });
+
+    return next;
+  }
+
   /**
    * Get chunk stream
    */
-  getChunkStream(videoId, quality, chunkIndex, range = null) {
-    const chunkPath = this.getChunkPath(videoId, quality, chunkIndex);
-    
-    const options = {};
-    if (range) {
-      options.start = range.start;
-      options.end = range.end;
+  getChunkStream(videoId, quality, chunkIndex, range = null, format = 'ts') {
+    return this.driver.createReadStream(this.getChunkKey(videoId, quality, chunkIndex, format), range);
+  }
+
+  /**
+   * Get chunk file stats (size, mtime)
+   */
+  async getChunkStats(videoId, quality, chunkIndex, format = 'ts') {
+    return this.driver.stat(this.getChunkKey(videoId, quality, chunkIndex, format));
+  }
+
+  /**
+   * Get CMAF init segment stream
+   */
+  getInitSegmentStream(videoId, quality, range = null) {
+    return this.driver.createReadStream(this.getInitSegmentKey(videoId, quality), range);
+  }
+
+  /**
+   * Get CMAF init segment file stats (size, mtime)
+   */
+  async getInitSegmentStats(videoId, quality) {
+    return this.driver.stat(this.getInitSegmentKey(videoId, quality));
+  }
+
+  /**
+   * Get the storage key of another file of a video (posters, sprite sheets, subtitle tracks)
+   * file is relative to the video directory, e.g. "posters/poster_small.jpg"
+   */
+  getVideoFileKey(videoId, file) {
+    if (!VIDEO_ID_PATTERN.test(videoId)) {
+      throw new Error(`Invalid video ID: ${videoId}`);
     }
+    return `${videoId}/${file}`;
+  }
+
+  /**
+   * Get video file stats (size, mtime); missing files fail with code ENOENT
+   */
+  async getVideoFileStats(videoId, file) {
+    return this.driver.stat(this.getVideoFileKey(videoId, file));
+  }
+
+  /**
+   * Get video file stream
+   */
+  getVideoFileStream(videoId, file) {
+    return this.driver.createReadStream(this.getVideoFileKey(videoId, file));
+  }
+
+  async getVideoFileContent(videoId, file) {
+    return this.driver.read(this.getVideoFileKey(videoId, file));
+  }
+
+  async writeVideoFile(videoId, file, body) {
+    await this.driver.write(this.getVideoFileKey(videoId, file), body);
+  }
 
-    return fsSync.createReadStream(chunkPath, options);
+  async deleteVideoFile(videoId, file) {
+    await this.driver.delete(this.getVideoFileKey(videoId, file));
   }
 
   /**
-   * Get chunk file stats
+   * Pre-signed URL clients can fetch a chunk from directly (null when the API streams chunks)
    */
-  async getChunkStats(videoId, quality, chunkIndex) {
-    const chunkPath = this.getChunkPath(videoId, quality, chunkIndex);
-    return fs.stat(chunkPath);
+  getRedirectUrl(key) {
+    if (!config.storage.redirectChunks) {
+      return null;
+    }
+
+    return this.driver.getSignedUrl(key, config.storage.s3.presignExpiry);
   }
 
   /**
-   * List all videos
+   * List all videos (reads every metadata file; the catalog service keeps an index of them)
    */
   async listVideos() {
     try {
-      const entries = await fs.readdir(this.basePath, { withFileTypes: true });
+      const entries = await this.driver.list('').catch((error) => {
+        // Nothing was stored yet
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      });
       const videoIds = entries
-        .filter(entry => entry.isDirectory())
+        .filter(entry => entry.directory)
         .map(entry => entry.name);
 
       const videos = await Promise.all(
@@ -142,15 +355,13 @@ class StorageService {
   }
 
   /**
-   * Get available qualities for a video
+   * Get available qualities for a video (audio tracks excluded)
    */
   async getAvailableQualities(videoId) {
-    const chunksPath = path.join(this.basePath, videoId, 'chunks');
-    
     try {
-      const entries = await fs.readdir(chunksPath, { withFileTypes: true });
+      const entries = await this.driver.list(`${videoId}/chunks`);
       return entries
-        .filter(entry => entry.isDirectory())
+        .filter(entry => entry.directory && !entry.name.startsWith(AUDIO_TRACK_PREFIX))
         .map(entry => entry.name);
     } catch {
       return [];
@@ -158,13 +369,144 @@ class StorageService {
   }
 
   /**
-   * Clear metadata cache
+   * Delete a video directory (chunks, thumbnails, metadata)
+   */
+  async deleteVideo(videoId) {
+    if (!VIDEO_ID_PATTERN.test(videoId)) {
+      throw new Error(`Invalid video ID: ${videoId}`);
+    }
+
+    await this.driver.delete(videoId);
+
+    // Remote stores can leave a local copy behind (an encode that did not finish)
+    if (this.driver.remote) {
+      await fs.rm(this.getVideoPath(videoId), { recursive: true, force: true });
+    }
+
+    this.clearCache(videoId);
+    this.emit('delete', videoId);
+  }
+
+  /**
+   * Drop cached data of a video written outside updateMetadata (segmentVideo runs) and notify listeners
+   */
+  videoChanged(videoId) {
+    this.clearCache(videoId);
+    this.emit('change', videoId);
+  }
+
+  /**
+   * Upload a video segmentVideo wrote to local disk into a remote store and remove the local copy
+   * metadata.json goes last, so readers only find the video once all its files are there
+   */
+  async publishVideo(videoId, localDir) {
+    if (!this.driver.remote) {
+      return;
+    }
+
+    const files = (await listFiles(localDir)).filter(file => file !== 'metadata.json');
+    const upload = async (file) => {
+      const key = `${videoId}/${file.split(path.sep).join('/')}`;
+      await this.driver.write(key, await fs.readFile(path.join(localDir, file)));
+    };
+
+    for (let i = 0; i < files.length; i += PUBLISH_CONCURRENCY) {
+      await Promise.all(files.slice(i, i + PUBLISH_CONCURRENCY).map(upload));
+    }
+    await upload('metadata.json');
+
+    await fs.rm(localDir, { recursive: true, force: true });
+    this.clearCache(videoId);
+    logger.info('Video published to storage', { videoId, files: files.length + 1 });
+  }
+
+  /**
+   * Fetch the first chunks (and init segments) of every rendition of a video into the storage cache
+   * Runs once per video; does nothing without a cache. Failures are only logged
+   */
+  async prewarmVideo(videoId, count = config.storage.cache.prewarmChunks) {
+    if (!this.driver.warm || count <= 0 || this.prewarmed.has(videoId)) {
+      return;
+    }
+    this.prewarmed.add(videoId);
+
+    try {
+      const renditions = (await this.driver.list(`${videoId}/chunks`)).filter(entry => entry.directory);
+
+      for (const rendition of renditions) {
+        const prefix = `${videoId}/chunks/${rendition.name}`;
+        const files = (await this.driver.list(prefix))
+          .map(entry => entry.name)
+          .filter((name) => {
+            const match = CHUNK_FILE_PATTERN.exec(name);
+            return name === 'init.mp4' || (match && Number(match[1]) < count);
+          });
+
+        for (const file of files) {
+          await this.driver.warm(`${prefix}/${file}`);
+        }
+      }
+
+      logger.info('Video pre-warmed in storage cache', { videoId, renditions: renditions.length, chunks: count });
+    } catch (error) {
+      this.prewarmed.delete(videoId);
+      logger.warn('Failed to pre-warm video', { videoId, error: error.message });
+    }
+  }
+
+  /**
+   * Drop cached metadata of videos completed by a worker in any process (and emit 'change' for them)
+   * Job store events stand in for a recursive watch of basePath, which takes an inotify watch per
+   * directory; files edited by hand are picked up once their cache entries expire
+   */
+  watch() {
+    if (this.watching) return;
+
+    this.watching = true;
+    jobStore.watch();
+    jobStore.on('change', this.onJobChange);
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+
+    jobStore.off('change', this.onJobChange);
+    this.watching = false;
+  }
+
+  /**
+   * Entries, hit/miss counters and bounds of the metadata caches
+   */
+  getMetadataCacheStats() {
+    return {
+      metadata: this.metadataCache.getStats(),
+      segmentIndex: this.segmentIndexCache.getStats(),
+      checksums: this.checksumCache.getStats(),
+      watching: this.watching
+    };
+  }
+
+  /**
+   * Hit/miss counters of the storage cache (null without one)
+   */
+  getCacheStats() {
+    return this.driver.getStats ? this.driver.getStats() : null;
+  }
+
+  /**
+   * Clear metadata (and segment index, checksum) cache
    */
   clearCache(videoId = null) {
     if (videoId) {
       this.metadataCache.delete(videoId);
+      this.segmentIndexCache.delete(videoId);
+      this.checksumCache.delete(videoId);
+      this.prewarmed.delete(videoId);
     } else {
       this.metadataCache.clear();
+      this.segmentIndexCache.clear();
+      this.checksumCache.clear();
+      this.prewarmed.clear();
     }
   }
 }
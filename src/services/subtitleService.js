@@ -0,0 +1,173 @@
+// src/services/subtitleService.js
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const SubtitleUtils = require('../utils/subtitleUtils');
+const storageService = require('./storageService');
+
+if (config.ffmpeg.ffmpegPath) {
+  ffmpeg.setFfmpegPath(config.ffmpeg.ffmpegPath);
+}
+
+// Directory (inside the video directory) subtitle tracks are written to
+const SUBTITLE_DIR = 'subtitles';
+
+// BCP 47 style language tag (e.g. "en", "pt-BR", "eng")
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// Track IDs become file names
+const TRACK_ID_PATTERN = /^[\w-]+$/;
+
+// Embedded subtitle codecs ffmpeg can convert to WebVTT (bitmap subtitles cannot be)
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'mov_text', 'webvtt', 'text'];
+
+class SubtitleService {
+  isValidLanguage(language) {
+    return typeof language === 'string' && LANGUAGE_PATTERN.test(language);
+  }
+
+  /**
+   * Get the file of a track, relative to the video directory (read through storageService)
+   */
+  getTrackFile(trackId) {
+    if (!TRACK_ID_PATTERN.test(trackId)) {
+      throw new Error(`Invalid subtitle track ID: ${trackId}`);
+    }
+    return `${SUBTITLE_DIR}/${trackId}.vtt`;
+  }
+
+  /**
+   * Get subtitle tracks of a video
+   */
+  async listTracks(videoId) {
+    const metadata = await storageService.getMetadata(videoId);
+    return metadata.subtitles || [];
+  }
+
+  /**
+   * Get a subtitle track (null if the video has none with that ID)
+   */
+  async getTrack(videoId, trackId) {
+    const tracks = await this.listTracks(videoId);
+    return tracks.find(track => track.id === trackId) || null;
+  }
+
+  /**
+   * Store an uploaded SRT or WebVTT file as the track for a language
+   * An existing track for the language is replaced
+   */
+  async addTrack(videoId, { language, label, isDefault = false, content }) {
+    const text = SubtitleUtils.normalize(content);
+    const format = SubtitleUtils.isVtt(text) ? 'vtt' : 'srt';
+    const vtt = format === 'vtt' ? text : SubtitleUtils.srtToVtt(text);
+
+    const cues = SubtitleUtils.parseVtt(vtt);
+    if (cues.length === 0) {
+      throw { status: 400, message: 'No subtitle cues found (expected SRT or WebVTT)' };
+    }
+
+    await storageService.writeVideoFile(videoId, this.getTrackFile(language), vtt);
+
+    const track = {
+      id: language,
+      language,
+      label: label || language,
+      default: isDefault,
+      source: 'upload',
+      originalFormat: format,
+      cues: cues.length,
+      createdAt: new Date().toISOString()
+    };
+
+    await storageService.updateMetadata(videoId, (metadata) => {
+      const existing = (metadata.subtitles || [])
+        .filter(other => other.id !== track.id)
+        .map(other => (isDefault ? { ...other, default: false } : other));
+
+      return { subtitles: [...existing, track] };
+    });
+
+    logger.info('Subtitle track stored', { videoId, language, format, cues: cues.length });
+    return track;
+  }
+
+  /**
+   * Remove a subtitle track
+   */
+  async deleteTrack(videoId, trackId) {
+    const tracks = await this.listTracks(videoId);
+    if (!tracks.some(track => track.id === trackId)) {
+      return false;
+    }
+
+    await storageService.deleteVideoFile(videoId, this.getTrackFile(trackId));
+    await storageService.updateMetadata(videoId, metadata => ({
+      subtitles: (metadata.subtitles || []).filter(track => track.id !== trackId)
+    }));
+
+    logger.info('Subtitle track deleted', { videoId, trackId });
+    return true;
+  }
+
+  /**
+   * Read and parse the cues of a track
+   */
+  async getCues(videoId, trackId) {
+    const vtt = (await storageService.getVideoFileContent(videoId, this.getTrackFile(trackId))).toString('utf-8');
+    return SubtitleUtils.parseVtt(vtt);
+  }
+
+  /**
+   * Extract text subtitle streams found in the source to WebVTT
+   * Returns the track entries stored in metadata
+   */
+  async extractEmbedded(inputPath, videoDir, streams = []) {
+    const tracks = [];
+
+    for (const stream of streams) {
+      if (!TEXT_SUBTITLE_CODECS.includes(stream.codec)) {
+        logger.warn('Skipping bitmap subtitle stream', { index: stream.index, codec: stream.codec });
+        continue;
+      }
+
+      const language = this.isValidLanguage(stream.language) ? stream.language : 'und';
+      const id = tracks.some(track => track.id === language) ? `${language}-${stream.index}` : language;
+      const outputPath = path.join(videoDir, SUBTITLE_DIR, `${id}.vtt`);
+
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+      try {
+        await new Promise((resolve, reject) => {
+          ffmpeg(inputPath)
+            .outputOptions([`-map 0:${stream.index}`, '-c:s webvtt'])
+            .output(outputPath)
+            .on('end', resolve)
+            .on('error', reject)
+            .run();
+        });
+      } catch (error) {
+        logger.warn('Subtitle extraction failed', { index: stream.index, error: error.message });
+        continue;
+      }
+
+      const cues = SubtitleUtils.parseVtt(await fs.readFile(outputPath, 'utf-8'));
+
+      tracks.push({
+        id,
+        language,
+        label: stream.title || language,
+        default: Boolean(stream.default),
+        source: 'embedded',
+        originalFormat: stream.codec,
+        cues: cues.length,
+        createdAt: new Date().toISOString()
+      });
+    }
+
+    return tracks;
+  }
+}
+
+module.exports = new SubtitleService();
\ No newline at end of file
@@ -0,0 +1,78 @@
+// src/utils/codecUtils.js
+
+// RFC 6381 codecs strings of what we encode (8-bit 4:2:0, levels that cover 1080p)
+const VIDEO_CODECS = {
+  h264: 'avc1.640028', // High, level 4.0
+  hevc: 'hvc1.1.6.L120.90', // Main, level 4.0
+  av1: 'av01.0.08M.08', // Main, level 4.0, 8-bit
+  vp9: 'vp09.00.40.08' // Profile 0, level 4.0, 8-bit
+};
+
+const AUDIO_CODECS = 'mp4a.40.2'; // AAC-LC
+
+// Sample entry (first part of a codecs string) -> codec
+const SAMPLE_ENTRIES = {
+  avc1: 'h264',
+  avc3: 'h264',
+  hvc1: 'hevc',
+  hev1: 'hevc',
+  av01: 'av1',
+  vp09: 'vp9',
+  mp4a: 'aac'
+};
+
+class CodecUtils {
+  /**
+   * Get the codecs string of a video codec (h264, hevc, av1, vp9)
+   */
+  static getVideoCodecs(codec) {
+    return VIDEO_CODECS[codec] || null;
+  }
+
+  static getAudioCodecs() {
+    return AUDIO_CODECS;
+  }
+
+  static isVideoCodec(codec) {
+    return Object.prototype.hasOwnProperty.call(VIDEO_CODECS, codec);
+  }
+
+  /**
+   * Split a codecs string ("avc1.640028,mp4a.40.2") into its entries
+   */
+  static split(codecs) {
+    return (codecs || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  }
+
+  /**
+   * Get the codec of a codecs string entry ("hvc1.1.6.L120.90" -> "hevc")
+   */
+  static getCodec(entry) {
+    return SAMPLE_ENTRIES[entry.split('.')[0]] || null;
+  }
+
+  /**
+   * Get the video codec of a codecs string (null for audio-only)
+   */
+  static getVideoCodec(codecs) {
+    const entry = CodecUtils.split(codecs).find(item => CodecUtils.getCodec(item) !== 'aac');
+    return entry ? CodecUtils.getCodec(entry) : null;
+  }
+
+  /**
+   * Keep only the video entries of a codecs string
+   */
+  static videoOnly(codecs) {
+    return CodecUtils.split(codecs).filter(entry => CodecUtils.getCodec(entry) !== 'aac').join(',');
+  }
+
+  /**
+   * Codecs string of a video rendition with (or without) AAC audio
+   */
+  static withAudio(codecs, hasAudio) {
+    const video = CodecUtils.videoOnly(codecs);
+    return hasAudio ? [video, AUDIO_CODECS].filter(Boolean).join(',') : video;
+  }
+}
+
+module.exports = CodecUtils;
\ No newline at end of file
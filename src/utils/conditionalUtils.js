@@ -0,0 +1,58 @@
+// src/utils/conditionalUtils.js
+
+/**
+ * HTTP validators (ETag, Last-Modified) and conditional requests (RFC 7232, If-Range from RFC 7233)
+ */
+class ConditionalUtils {
+  /**
+   * Weak ETag from file stats (size and modification time)
+   */
+  static weakETag(stats) {
+    return `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+  }
+
+  static setValidators(res, { etag, lastModified }) {
+    if (etag) {
+      res.setHeader('ETag', etag);
+    }
+    if (lastModified) {
+      res.setHeader('Last-Modified', lastModified.toUTCString());
+    }
+  }
+
+  /**
+   * Set validators and answer 304 when If-None-Match / If-Modified-Since say the client's copy is current
+   * Returns true when the 304 was sent
+   */
+  static sendNotModified(req, res, validators) {
+    this.setValidators(res, validators);
+
+    // req.fresh compares the request conditions with the validators just set
+    if (!req.fresh) {
+      return false;
+    }
+
+    res.status(304).end();
+    return true;
+  }
+
+  /**
+   * Whether a Range request may be answered with the range
+   * If-Range needs a strong ETag match, or a date equal to Last-Modified; otherwise the full body is sent
+   */
+  static ifRangeMatches(req, { etag, lastModified }) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) {
+      return true;
+    }
+
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+      return Boolean(etag) && !etag.startsWith('W/') && ifRange === etag;
+    }
+
+    const date = Date.parse(ifRange);
+    return Boolean(lastModified) && !isNaN(date) && Math.floor(lastModified.getTime() / 1000) * 1000 === date;
+  }
+}
+
+module.exports = ConditionalUtils;
\ No newline at end of file
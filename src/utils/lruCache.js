@@ -0,0 +1,86 @@
+// src/utils/lruCache.js
+
+/**
+ * Map with a size bound (least recently used entries go first) and a time to live
+ * Same has/get/set/delete/clear interface as Map, plus hit/miss counters
+ */
+class LruCache {
+  constructor({ maxEntries = 1000, ttl = 0 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl; // ms, 0 = entries never expire
+    // key -> { value, expiresAt }, in least to most recently used order
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  }
+
+  /**
+   * Live entry of a key (expired entries are dropped)
+   */
+  lookup(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.stats.expirations += 1;
+      return null;
+    }
+
+    return entry;
+  }
+
+  has(key) {
+    return this.lookup(key) !== null;
+  }
+
+  get(key) {
+    const entry = this.lookup(key);
+    if (!entry) {
+      this.stats.misses += 1;
+      return undefined;
+    }
+
+    this.stats.hits += 1;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: this.ttl ? Date.now() + this.ttl : null });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions += 1;
+    }
+
+    return this;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  getStats() {
+    const requests = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hitRatio: requests > 0 ? Math.round((this.stats.hits / requests) * 1000) / 1000 : null,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttl: this.ttl
+    };
+  }
+}
+
+module.exports = LruCache;
\ No newline at end of file
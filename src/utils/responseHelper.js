@@ -36,6 +36,15 @@ class ResponseHelper {
       res.setHeader(key, value);
     });
 
+    // Close the file (or backend request) when the client goes away
+    res.on('close', () => stream.destroy());
+    stream.on('error', () => {
+      if (!res.headersSent) {
+        ResponseHelper.error(res, 'Stream error', 500);
+      } else {
+        res.destroy();
+      }
+    });
     stream.pipe(res);
   }
 }
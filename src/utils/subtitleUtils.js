@@ -0,0 +1,114 @@
+// src/utils/subtitleUtils.js
+const TimeUtils = require('./timeUtils');
+
+// ffmpeg's MPEG-TS muxer starts timestamps at 1.4s (90kHz clock)
+const MPEGTS_START = 126000;
+
+class SubtitleUtils {
+  /**
+   * Normalize line endings and strip a byte order mark
+   */
+  static normalize(text) {
+    return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  }
+
+  /**
+   * Check whether text is a WebVTT file
+   */
+  static isVtt(text) {
+    return /^WEBVTT(?:[ \t].*)?(?:\n|$)/.test(SubtitleUtils.normalize(text));
+  }
+
+  /**
+   * Convert SRT to WebVTT
+   */
+  static srtToVtt(text) {
+    const blocks = SubtitleUtils.normalize(text).trim().split(/\n{2,}/);
+    const cues = [];
+
+    for (const block of blocks) {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) continue;
+
+      const timing = lines[timingIndex]
+        .replace(/(\d+:\d{2}:\d{2}),(\d{3})/g, '$1.$2')
+        .trim();
+
+      // WebVTT has no <font>; keep the text
+      const body = lines.slice(timingIndex + 1)
+        .join('\n')
+        .replace(/<\/?font[^>]*>/gi, '');
+
+      cues.push(`${timing}\n${body}`);
+    }
+
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+  }
+
+  /**
+   * Parse WebVTT cues (NOTE, STYLE and REGION blocks are skipped)
+   */
+  static parseVtt(text) {
+    const blocks = SubtitleUtils.normalize(text).split(/\n{2,}/).slice(1);
+    const cues = [];
+
+    for (const block of blocks) {
+      const lines = block.split('\n').filter(line => line !== '');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1 || timingIndex > 1) continue;
+
+      const match = lines[timingIndex].match(/^\s*([\d:.]+)\s+-->\s+([\d:.]+)(.*)$/);
+      if (!match) continue;
+
+      cues.push({
+        id: timingIndex === 1 ? lines[0] : null,
+        start: SubtitleUtils.parseVttTimestamp(match[1]),
+        end: SubtitleUtils.parseVttTimestamp(match[2]),
+        settings: match[3].trim(),
+        text: lines.slice(timingIndex + 1).join('\n')
+      });
+    }
+
+    return cues;
+  }
+
+  /**
+   * Parse WebVTT timestamp ([HH:]MM:SS.mmm) to seconds
+   */
+  static parseVttTimestamp(timestamp) {
+    const [clock, ms = '0'] = timestamp.split('.');
+    return TimeUtils.parseTimeString(clock) + parseInt(ms.padEnd(3, '0'), 10) / 1000;
+  }
+
+  /**
+   * Build a WebVTT file from cues
+   */
+  static buildVtt(cues, headers = []) {
+    const header = ['WEBVTT', ...headers].join('\n');
+
+    const blocks = cues.map((cue) => {
+      const timing = `${TimeUtils.formatVttTimestamp(cue.start)} --> ${TimeUtils.formatVttTimestamp(cue.end)}`;
+      const lines = [timing + (cue.settings ? ` ${cue.settings}` : ''), cue.text];
+      if (cue.id) lines.unshift(cue.id);
+      return lines.join('\n');
+    });
+
+    return [header, ...blocks].join('\n\n') + '\n';
+  }
+
+  /**
+   * Build the WebVTT segment for a chunk (cues overlapping its time range)
+   * Cue times stay on the video timeline; X-TIMESTAMP-MAP ties them to the chunk's MPEG-TS clock,
+   * which starts over in every chunk of encodes without continuous timestamps
+   */
+  static buildVttSegment(cues, chunk, continuousTimestamps = true) {
+    const end = chunk.startTime + chunk.duration;
+    const overlapping = cues.filter(cue => cue.start < end && cue.end > chunk.startTime);
+    const local = TimeUtils.formatVttTimestamp(continuousTimestamps ? 0 : chunk.startTime);
+
+    return SubtitleUtils.buildVtt(overlapping, [`X-TIMESTAMP-MAP=MPEGTS:${MPEGTS_START},LOCAL:${local}`]);
+  }
+}
+
+module.exports = SubtitleUtils;
\ No newline at end of file
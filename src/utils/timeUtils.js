@@ -15,6 +15,30 @@ class TimeUtils {
     return index * chunkDuration;
   }
 
+  /**
+   * Find the chunk of a timeline playing at a timestamp (-1 when outside the video)
+   */
+  static findChunkIndex(timeline, timestamp) {
+    const last = timeline[timeline.length - 1];
+    if (!last || timestamp < 0 || timestamp >= last.startTime + last.duration) {
+      return -1;
+    }
+
+    // Last chunk starting at or before the timestamp
+    let low = 0;
+    let high = timeline.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (timeline[middle].startTime <= timestamp) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return low;
+  }
+
   /**
    * Parse time string (HH:MM:SS or MM:SS or SS) to seconds
    */
@@ -50,6 +74,20 @@ class TimeUtils {
     }
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   }
+
+  /**
+   * Format seconds to a WebVTT timestamp (HH:MM:SS.mmm)
+   */
+  static formatVttTimestamp(seconds) {
+    const totalMs = Math.round(seconds * 1000);
+    const hrs = Math.floor(totalMs / 3600000);
+    const mins = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    return `${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:` +
+      `${secs.toString().padStart(2, '0')}.${ms.toString().padStart(3, '0')}`;
+  }
 }
 
 module.exports = TimeUtils;
\ No newline at end of file
@@ -0,0 +1,46 @@
+// src/worker.js
+// Standalone transcoding worker: `npm run worker`
+// Pulls queued jobs from the shared job store so the API process stays responsive
+
+const config = require('./config');
+const logger = require('./utils/logger');
+const jobQueue = require('./services/jobQueue');
+const processingService = require('./services/processingService');
+// Indexes the videos this worker completes; the API process picks up the rewritten index
+require('./services/catalogService');
+
+if (config.jobs.store === 'memory') {
+  logger.error('The memory job store cannot be shared with a worker process; set JOB_STORE=file');
+  process.exit(1);
+}
+
+if (config.queue.mode === 'inline') {
+  logger.warn('QUEUE_MODE is inline: the API process also runs workers');
+}
+
+// Jobs left running by a crashed worker come back as interrupted
+jobQueue.watchStaleJobs();
+
+jobQueue.start(config.queue.concurrency);
+
+// Keep the process alive while idle (the poll timer is unref'd)
+const keepAlive = setInterval(() => {}, 60000);
+
+// Graceful shutdown
+const gracefulShutdown = (signal) => {
+  logger.info(`${signal} received, stopping worker`);
+
+  jobQueue.stop();
+  clearInterval(keepAlive);
+
+  processingService.interruptActiveJobs()
+    .then((jobIds) => {
+      if (jobIds.length) {
+        logger.warn('Marked running jobs as interrupted', { jobIds });
+      }
+    })
+    .finally(() => process.exit(0));
+};
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
\ No newline at end of file
@@ -48,6 +48,56 @@ describe('Video Streaming API', () => {
     });
   });
 
+  describe('GET /api/videos/:videoId/master.m3u8', () => {
+    it('should return 404 for non-existent video', async () => {
+      const res = await request(app)
+        .get('/api/videos/non-existent-id/master.m3u8')
+        .expect(404);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/videos/:videoId/manifest.mpd', () => {
+    it('should return 404 for non-existent video', async () => {
+      const res = await request(app)
+        .get('/api/videos/non-existent-id/manifest.mpd')
+        .expect(404);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/videos/jobs', () => {
+    it('should return a page of jobs', async () => {
+      const res = await request(app)
+        .get('/api/videos/jobs?limit=10&offset=0')
+        .expect(200);
+
+      expect(res.body.success).toBe(true);
+      expect(Array.isArray(res.body.data.jobs)).toBe(true);
+      expect(res.body.data.limit).toBe(10);
+    });
+
+    it('should return 400 for an unknown status filter', async () => {
+      const res = await request(app)
+        .get('/api/videos/jobs?status=bogus')
+        .expect(400);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/videos/jobs/:jobId/retry', () => {
+    it('should return 404 for non-existent job', async () => {
+      const res = await request(app)
+        .post('/api/videos/jobs/non-existent-job/retry')
+        .expect(404);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
+
   describe('GET /api/chunks/:videoId/:quality/:chunkIndex', () => {
     it('should return 404 for non-existent chunk', async () => {
       const res = await request(app)
@@ -66,6 +116,16 @@ describe('Video Streaming API', () => {
     });
   });
 
+  describe('GET /api/chunks/:videoId/:quality/range', () => {
+    it('should return 404 for non-existent video', async () => {
+      const res = await request(app)
+        .get('/api/chunks/non-existent/720p/range')
+        .expect(404);
+
+      expect(res.body.success).toBe(false);
+    });
+  });
+
   describe('POST /api/auth/token', () => {
     it('should generate access token', async () => {
       const res = await request(app)
@@ -0,0 +1,175 @@
+// tests/cacheDriver.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CacheDriver = require('../src/services/storageDriver/cacheDriver');
+const storageService = require('../src/services/storageService');
+
+const mtime = new Date('2024-01-01T00:00:00Z');
+
+/**
+ * In-memory cold backend counting the objects it serves
+ */
+function createBackend(objects) {
+  const store = new Map(Object.entries(objects));
+  const missing = (key) => Object.assign(new Error(`Not found: ${key}`), { code: 'ENOENT' });
+
+  return {
+    remote: true,
+    reads: [],
+    async exists(key) {
+      return store.has(key);
+    },
+    async stat(key) {
+      if (!store.has(key)) throw missing(key);
+      return { size: store.get(key).length, mtime, mtimeMs: mtime.getTime() };
+    },
+    async read(key) {
+      this.reads.push(key);
+      if (!store.has(key)) throw missing(key);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return Buffer.from(store.get(key));
+    },
+    async list(prefix) {
+      const names = new Map();
+      for (const key of store.keys()) {
+        if (!key.startsWith(`${prefix}/`)) continue;
+        const [name, ...rest] = key.slice(prefix.length + 1).split('/');
+        names.set(name, rest.length > 0);
+      }
+      return [...names].map(([name, directory]) => ({ name, directory }));
+    },
+    async write(key, body) {
+      store.set(key, String(body));
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    getSignedUrl: () => null
+  };
+}
+
+const readStream = stream => new Promise((resolve, reject) => {
+  const data = [];
+  stream.on('data', chunk => data.push(chunk));
+  stream.on('error', reject);
+  stream.on('end', () => resolve(Buffer.concat(data).toString()));
+});
+
+describe('CacheDriver', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should fetch on a miss and serve hits from disk', async () => {
+    const backend = createBackend({ 'v/chunks/720p/chunk_000000.ts': '0123456789' });
+    const cache = new CacheDriver(backend, { dir, maxSize: 1000 });
+
+    expect(await readStream(cache.createReadStream('v/chunks/720p/chunk_000000.ts'))).toBe('0123456789');
+    expect(await readStream(cache.createReadStream('v/chunks/720p/chunk_000000.ts', { start: 2, end: 4 }))).toBe('234');
+
+    expect(backend.reads).toEqual(['v/chunks/720p/chunk_000000.ts']);
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, fetches: 1, entries: 1, size: 10, hitRatio: 0.5 });
+
+    // Validators stay those of the backend
+    expect((await cache.stat('v/chunks/720p/chunk_000000.ts')).mtime.getTime()).toBe(mtime.getTime());
+  });
+
+  it('should share one backend fetch between concurrent readers', async () => {
+    const backend = createBackend({ 'v/chunks/720p/chunk_000001.ts': 'shared' });
+    const cache = new CacheDriver(backend, { dir, maxSize: 1000 });
+
+    const results = await Promise.all([1, 2, 3].map(() => readStream(cache.createReadStream('v/chunks/720p/chunk_000001.ts'))));
+
+    expect(results).toEqual(['shared', 'shared', 'shared']);
+    expect(backend.reads).toHaveLength(1);
+  });
+
+  it('should release objects whose reader went away during the fetch', async () => {
+    const backend = createBackend({ 'v/chunks/720p/chunk_000002.ts': 'aborted' });
+    const cache = new CacheDriver(backend, { dir, maxSize: 1000 });
+
+    const stream = cache.createReadStream('v/chunks/720p/chunk_000002.ts');
+    stream.destroy();
+    await cache.warm('v/chunks/720p/chunk_000002.ts'); // waits for the same fetch
+    await new Promise(resolve => setImmediate(resolve));
+    expect(cache.entries.get('v/chunks/720p/chunk_000002.ts').readers).toBe(0);
+
+    // Same once the file stream is open
+    const partial = cache.createReadStream('v/chunks/720p/chunk_000002.ts');
+    await new Promise(resolve => partial.once('readable', resolve));
+    partial.destroy();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(cache.entries.get('v/chunks/720p/chunk_000002.ts').readers).toBe(0);
+  });
+
+  it('should evict least recently used objects past the size budget', async () => {
+    const backend = createBackend({ a: '0123456789', b: '0123456789', c: '0123456789' });
+    const cache = new CacheDriver(backend, { dir, maxSize: 25 });
+
+    await cache.read('a');
+    await cache.read('b');
+    await cache.read('a'); // a is now more recent than b
+    await cache.read('c');
+
+    expect([...cache.entries.keys()]).toEqual(['a', 'c']);
+    expect(fs.existsSync(path.join(dir, 'b'))).toBe(false);
+    expect(cache.getStats()).toMatchObject({ evictions: 1, size: 20 });
+  });
+
+  it('should pass objects that may change straight to the backend', async () => {
+    const backend = createBackend({ 'v/metadata.json': '{}' });
+    const cache = new CacheDriver(backend, { dir, maxSize: 1000, cacheable: key => key.endsWith('.ts') });
+
+    await cache.read('v/metadata.json');
+    await cache.read('v/metadata.json');
+
+    expect(backend.reads).toHaveLength(2);
+    expect(cache.getStats().entries).toBe(0);
+  });
+
+  it('should pick up objects cached by a previous run', async () => {
+    const backend = createBackend({ kept: 'persisted' });
+    await new CacheDriver(backend, { dir, maxSize: 1000 }).read('kept');
+
+    const restarted = new CacheDriver(backend, { dir, maxSize: 1000 });
+    expect((await restarted.read('kept')).toString()).toBe('persisted');
+    expect(backend.reads).toHaveLength(1);
+  });
+
+  it('should pre-warm the first chunks of every rendition', async () => {
+    const backend = createBackend({
+      'hot/metadata.json': '{}',
+      'hot/chunks/720p/init.mp4': 'init',
+      'hot/chunks/720p/chunk_000000.m4s': 'first',
+      'hot/chunks/720p/chunk_000001.m4s': 'second',
+      'hot/chunks/720p/chunk_000002.m4s': 'third',
+      'hot/chunks/360p/chunk_000000.ts': 'first'
+    });
+    const cache = new CacheDriver(backend, { dir, maxSize: 1000 });
+
+    const driver = storageService.driver;
+    storageService.driver = cache;
+    try {
+      await storageService.prewarmVideo('hot', 2);
+      await storageService.prewarmVideo('hot', 2); // once per video
+    } finally {
+      storageService.driver = driver;
+      storageService.clearCache('hot');
+    }
+
+    expect([...cache.entries.keys()].sort()).toEqual([
+      'hot/chunks/360p/chunk_000000.ts',
+      'hot/chunks/720p/chunk_000000.m4s',
+      'hot/chunks/720p/chunk_000001.m4s',
+      'hot/chunks/720p/init.mp4'
+    ]);
+    expect(backend.reads).toHaveLength(4);
+  });
+});
\ No newline at end of file
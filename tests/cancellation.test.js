@@ -0,0 +1,75 @@
+// tests/cancellation.test.js
+process.env.JOB_STORE = 'memory';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../scripts/segmentVideo', () => ({
+  segmentVideo: jest.fn(),
+  updateMetadata: jest.fn()
+}));
+
+const { segmentVideo } = require('../scripts/segmentVideo');
+const downloadService = require('../src/services/downloadService');
+const storageService = require('../src/services/storageService');
+const processingService = require('../src/services/processingService');
+const jobStore = require('../src/services/jobStore');
+
+describe('Job cancellation', () => {
+  it('should kill encoding, remove output and mark the job cancelled', async () => {
+    const deleteVideo = jest.spyOn(storageService, 'deleteVideo').mockResolvedValue();
+    segmentVideo.mockImplementation((input, output, videoId, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(new Error('ffmpeg was killed with signal SIGKILL')));
+    }));
+
+    const filePath = path.join(os.tmpdir(), `cancel-${Date.now()}.mp4`);
+    fs.writeFileSync(filePath, 'video');
+
+    const job = await jobStore.create({
+      jobId: 'job-1',
+      videoId: 'video-1',
+      status: 'processing',
+      source: { type: 'upload', filePath },
+      options: {}
+    });
+
+    const running = processingService.process(job);
+    expect(processingService.cancel('job-1')).toBe(true);
+    await running;
+
+    expect((await jobStore.get('job-1')).status).toBe('cancelled');
+    expect(deleteVideo).toHaveBeenCalledWith('video-1');
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('should abort an in-flight download and remove the partial file', async () => {
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': 1024 * 1024 });
+      res.write(Buffer.alloc(1024));
+      // Never finishes on its own
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    const outputPath = path.join(os.tmpdir(), `download-${Date.now()}.mp4`);
+    const controller = new AbortController();
+
+    const download = downloadService.downloadDirect(
+      `http://127.0.0.1:${server.address().port}/video.mp4`,
+      outputPath,
+      null,
+      controller.signal
+    );
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    controller.abort();
+
+    await expect(download).rejects.toMatchObject({ code: 'ECANCELLED' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(fs.existsSync(outputPath)).toBe(false);
+
+    server.closeAllConnections();
+    server.close();
+  });
+});
\ No newline at end of file
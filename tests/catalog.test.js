@@ -0,0 +1,174 @@
+// tests/catalog.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'videos-'));
+process.env.STORAGE_PATH = storagePath;
+process.env.JOB_STORE = 'memory';
+
+const request = require('supertest');
+const express = require('express');
+const videoRoutes = require('../src/routes/videoRoutes');
+const storageService = require('../src/services/storageService');
+const catalogService = require('../src/services/catalogService');
+
+const app = express();
+app.use(express.json());
+app.use('/api', videoRoutes);
+
+const indexPath = path.join(storagePath, '.catalog.json');
+
+const writeVideo = (videoId, metadata) => {
+  fs.mkdirSync(path.join(storagePath, videoId), { recursive: true });
+  fs.writeFileSync(path.join(storagePath, videoId, 'metadata.json'), JSON.stringify({
+    duration: 60,
+    qualities: ['720p'],
+    ...metadata
+  }));
+};
+
+const listIds = async (query) => {
+  const res = await request(app).get('/api/videos').query(query).expect(200);
+  return res.body.data.videos.map(video => video.id);
+};
+
+describe('Video catalog', () => {
+  beforeAll(() => {
+    writeVideo('alpha', {
+      title: 'Alpine Skiing',
+      description: 'Fresh powder in Zermatt',
+      duration: 300,
+      qualities: ['360p', '720p', '1080p'],
+      tags: ['sport', 'winter'],
+      createdAt: '2024-01-01T00:00:00Z'
+    });
+    writeVideo('bravo', {
+      title: 'Baking bread',
+      description: 'A sourdough crème brûlée special',
+      duration: 45,
+      tags: ['food'],
+      createdAt: '2024-02-01T00:00:00Z'
+    });
+    writeVideo('charlie', {
+      title: 'Cycling the Alps',
+      duration: 1200,
+      tags: ['sport'],
+      createdAt: '2024-03-01T00:00:00Z'
+    });
+    writeVideo('hidden', {
+      title: 'Alpine secrets',
+      visibility: 'private',
+      createdAt: '2024-04-01T00:00:00Z'
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  });
+
+  it('should build the index from storage and list the newest public videos first', async () => {
+    const res = await request(app).get('/api/videos').expect(200);
+
+    expect(res.body.data).toMatchObject({ total: 3, limit: 20, nextCursor: null });
+    expect(res.body.data.videos.map(video => video.id)).toEqual(['charlie', 'bravo', 'alpha']);
+    expect(res.body.data.videos[2]).toMatchObject({ title: 'Alpine Skiing', formattedDuration: '05:00', tags: ['sport', 'winter'] });
+
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    expect(index.videos.map(video => video.id).sort()).toEqual(['alpha', 'bravo', 'charlie', 'hidden']);
+  });
+
+  it('should page with cursors', async () => {
+    const first = await request(app).get('/api/videos?sort=title&limit=2').expect(200);
+    expect(first.body.data.videos.map(video => video.id)).toEqual(['alpha', 'bravo']);
+    expect(first.body.data.total).toBe(3);
+
+    const second = await request(app)
+      .get('/api/videos')
+      .query({ sort: 'title', limit: 2, cursor: first.body.data.nextCursor })
+      .expect(200);
+    expect(second.body.data.videos.map(video => video.id)).toEqual(['charlie']);
+    expect(second.body.data.nextCursor).toBeNull();
+
+    // A cursor only continues the listing it came from
+    await request(app)
+      .get('/api/videos')
+      .query({ sort: 'duration', cursor: first.body.data.nextCursor })
+      .expect(400);
+    await request(app).get('/api/videos?cursor=garbage').expect(400);
+  });
+
+  it('should sort, filter and search', async () => {
+    expect(await listIds({ sort: 'duration', order: 'desc' })).toEqual(['charlie', 'alpha', 'bravo']);
+    expect(await listIds({ quality: '1080p' })).toEqual(['alpha']);
+    expect(await listIds({ tag: 'Sport', sort: 'title' })).toEqual(['alpha', 'charlie']);
+    expect(await listIds({ minDuration: 60, maxDuration: 600 })).toEqual(['alpha']);
+
+    // Every word must start a word of the title or description; accents are ignored
+    expect(await listIds({ q: 'alp', sort: 'title' })).toEqual(['alpha', 'charlie']);
+    expect(await listIds({ q: 'alpine zermatt' })).toEqual(['alpha']);
+    expect(await listIds({ q: 'creme brulee' })).toEqual(['bravo']);
+    expect(await listIds({ q: 'lpine' })).toEqual([]);
+  });
+
+  it('should reject invalid parameters', async () => {
+    await request(app).get('/api/videos?limit=0').expect(400);
+    await request(app).get('/api/videos?sort=views').expect(400);
+    await request(app).get('/api/videos?order=up').expect(400);
+    await request(app).get('/api/videos?minDuration=-1').expect(400);
+    await request(app).get('/api/videos?tag=a&tag=b').expect(400);
+  });
+
+  it('should follow edits and deletions', async () => {
+    await request(app)
+      .patch('/api/videos/bravo')
+      .send({ title: 'Baking pizza', tags: ['food', 'italian'] })
+      .expect(200);
+
+    expect(await listIds({ q: 'pizza' })).toEqual(['bravo']);
+    expect(await listIds({ tag: 'italian' })).toEqual(['bravo']);
+
+    await request(app).delete('/api/videos/charlie').expect(200);
+    expect(await listIds({ tag: 'sport' })).toEqual(['alpha']);
+
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    expect(index.videos.map(video => video.id)).not.toContain('charlie');
+  });
+
+  it('should index videos once they are written by a job', async () => {
+    writeVideo('delta', { title: 'Diving', createdAt: '2024-05-01T00:00:00Z' });
+    storageService.videoChanged('delta');
+
+    expect(await listIds({ limit: 1 })).toEqual(['delta']);
+  });
+
+  it('should reload an index rewritten by another process', async () => {
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    index.videos = index.videos.filter(video => video.id !== 'delta');
+    fs.writeFileSync(indexPath, JSON.stringify(index));
+    // Make sure the modification time differs from this process's last write
+    fs.utimesSync(indexPath, new Date(), new Date(Date.now() + 5000));
+
+    expect(await listIds({ limit: 1 })).toEqual(['bravo']);
+  });
+
+  it('should wait for another process saving the index before adding its own changes', async () => {
+    // The other process takes the lock and reads the index
+    fs.writeFileSync(`${indexPath}.lock`, '1');
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+
+    writeVideo('echo', { title: 'Echo', createdAt: '2024-06-01T00:00:00Z' });
+    const indexed = catalogService.upsert('echo');
+
+    // ... then saves it with a video of its own and releases the lock
+    await new Promise(resolve => setTimeout(resolve, 50));
+    index.videos.push({ ...index.videos.find(video => video.id === 'bravo'), id: 'foxtrot' });
+    fs.writeFileSync(indexPath, JSON.stringify(index));
+    fs.utimesSync(indexPath, new Date(), new Date(Date.now() + 10000));
+    fs.unlinkSync(`${indexPath}.lock`);
+
+    await indexed;
+    const ids = JSON.parse(fs.readFileSync(indexPath, 'utf-8')).videos.map(video => video.id);
+    expect(ids).toEqual(expect.arrayContaining(['echo', 'foxtrot']));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,71 @@
+// tests/checksumService.test.js
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const checksumService = require('../src/services/checksumService');
+
+function writeChunk(videoDir, rendition, file, content) {
+  fs.mkdirSync(path.join(videoDir, 'chunks', rendition), { recursive: true });
+  fs.writeFileSync(path.join(videoDir, 'chunks', rendition, file), content);
+}
+
+describe('ChecksumService', () => {
+  let videoDir;
+
+  beforeEach(() => {
+    videoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checksums-'));
+    writeChunk(videoDir, '720p', 'chunk_000000.ts', 'first chunk');
+    writeChunk(videoDir, '720p', 'chunk_000001.ts', 'second chunk');
+    writeChunk(videoDir, '720p', 'playlist.m3u8', '#EXTM3U');
+    writeChunk(videoDir, '360p', 'chunk_000000.ts', 'small chunk');
+  });
+
+  afterEach(() => {
+    fs.rmSync(videoDir, { recursive: true, force: true });
+  });
+
+  it('should record size and SHA-256 of every chunk', async () => {
+    const manifest = await checksumService.writeManifest(videoDir);
+
+    expect(Object.keys(manifest.renditions)).toEqual(['360p', '720p']);
+    expect(Object.keys(manifest.renditions['720p'])).toEqual(['chunk_000000.ts', 'chunk_000001.ts']);
+    expect(manifest.renditions['360p']['chunk_000000.ts']).toEqual({
+      size: 11,
+      sha256: crypto.createHash('sha256').update('small chunk').digest('hex')
+    });
+    expect(JSON.parse(fs.readFileSync(path.join(videoDir, 'checksums.json'), 'utf-8'))).toEqual(manifest);
+  });
+
+  it('should report missing, corrupt and orphaned chunks', async () => {
+    const manifest = await checksumService.writeManifest(videoDir);
+
+    fs.rmSync(path.join(videoDir, 'chunks', '720p', 'chunk_000001.ts'));
+    fs.writeFileSync(path.join(videoDir, 'chunks', '360p', 'chunk_000000.ts'), 'small chunK');
+    writeChunk(videoDir, '360p', 'chunk_000001.ts', 'stray');
+
+    const report = await checksumService.verify(videoDir, manifest);
+
+    expect(report).toEqual({
+      checked: 3,
+      missing: [{ rendition: '720p', file: 'chunk_000001.ts' }],
+      corrupt: [{ rendition: '360p', file: 'chunk_000000.ts', reason: 'SHA-256 mismatch' }],
+      orphaned: [{ rendition: '360p', file: 'chunk_000001.ts' }]
+    });
+  });
+
+  it('should flag truncated chunks by size', async () => {
+    const manifest = await checksumService.writeManifest(videoDir);
+    fs.truncateSync(path.join(videoDir, 'chunks', '720p', 'chunk_000000.ts'), 5);
+
+    const report = await checksumService.verify(videoDir, manifest);
+    expect(report.corrupt).toEqual([{ rendition: '720p', file: 'chunk_000000.ts', reason: 'size 5, expected 11' }]);
+  });
+
+  it('should format strong ETags and Digest headers', () => {
+    const checksum = { size: 3, sha256: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad' }; // "abc"
+
+    expect(checksumService.getETag(checksum)).toBe('"ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"');
+    expect(checksumService.getDigest(checksum)).toBe('sha-256=ungWv48Bz+pBQUDeXa4iI7ADYaOWF3qctBD/YfIAFa0=');
+  });
+});
\ No newline at end of file
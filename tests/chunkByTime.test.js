@@ -0,0 +1,63 @@
+// tests/chunkByTime.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'videos-'));
+process.env.STORAGE_PATH = storagePath;
+process.env.JOB_STORE = 'memory';
+
+const request = require('supertest');
+const express = require('express');
+const routes = require('../src/routes');
+
+const app = express();
+app.use('/api', routes);
+
+describe('Chunks by timestamp', () => {
+  beforeAll(() => {
+    const videoDir = path.join(storagePath, 'seek');
+    const files = [
+      'chunks/720p/chunk_000000.ts',
+      'chunks/720p/chunk_000001.ts',
+      'chunks/720p/chunk_000001.m4s',
+      'chunks/720p_av1/chunk_000000.m4s',
+      'chunks/720p_av1/chunk_000001.m4s'
+    ];
+    for (const file of files) {
+      fs.mkdirSync(path.dirname(path.join(videoDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(videoDir, file), file);
+    }
+    fs.writeFileSync(path.join(videoDir, 'metadata.json'), JSON.stringify({
+      title: 'Seek',
+      duration: 10,
+      chunkDuration: 5,
+      totalChunks: 2,
+      variants: { '720p_av1': { codec: 'av1', variantOf: '720p' } }
+    }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  });
+
+  it('should redirect to the .ts chunk of an H.264 quality', async () => {
+    const res = await request(app).get('/api/chunks/seek/720p/by-time/7.5').expect(307);
+    expect(res.headers.location).toBe('/api/chunks/seek/720p/1');
+  });
+
+  it('should redirect codec variants to their CMAF segment', async () => {
+    const res = await request(app).get('/api/chunks/seek/720p_av1/by-time/7.5').expect(307);
+    expect(res.headers.location).toBe('/api/chunks/seek/720p_av1/1.m4s');
+
+    const head = await request(app).head('/api/chunks/seek/720p_av1/1.m4s').expect(200);
+    expect(head.headers['x-chunk-index']).toBe('1');
+  });
+
+  it('should accept an explicit format', async () => {
+    const res = await request(app).get('/api/chunks/seek/720p/by-time/7.5?format=cmaf').expect(307);
+    expect(res.headers.location).toBe('/api/chunks/seek/720p/1.m4s');
+
+    await request(app).get('/api/chunks/seek/720p/by-time/7.5?format=mkv').expect(400);
+  });
+});
\ No newline at end of file
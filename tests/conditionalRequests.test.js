@@ -0,0 +1,115 @@
+// tests/conditionalRequests.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'videos-'));
+process.env.STORAGE_PATH = storagePath;
+process.env.JOB_STORE = 'memory';
+
+const request = require('supertest');
+const express = require('express');
+const config = require('../src/config');
+const routes = require('../src/routes');
+const checksumService = require('../src/services/checksumService');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+const videoDir = path.join(storagePath, 'cached');
+const chunkUrl = '/api/chunks/cached/720p/0';
+
+describe('Conditional requests', () => {
+  beforeAll(async () => {
+    fs.mkdirSync(path.join(videoDir, 'chunks', '720p'), { recursive: true });
+    fs.writeFileSync(path.join(videoDir, 'chunks', '720p', 'chunk_000000.ts'), '0123456789');
+    fs.writeFileSync(path.join(videoDir, 'metadata.json'), JSON.stringify({
+      title: 'Cached',
+      duration: 5,
+      chunkDuration: 5,
+      totalChunks: 1
+    }));
+    await checksumService.writeManifest(videoDir);
+  });
+
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  });
+
+  describe('chunks', () => {
+    it('should send a strong ETag, Last-Modified and Digest', async () => {
+      const res = await request(app).get(chunkUrl).expect(200);
+
+      expect(res.headers.etag).toMatch(/^"[0-9a-f]{64}"$/);
+      expect(res.headers['last-modified']).toBeDefined();
+      expect(res.headers.digest).toMatch(/^sha-256=/);
+    });
+
+    it('should answer 304 when If-None-Match or If-Modified-Since match', async () => {
+      const { headers } = await request(app).head(chunkUrl).expect(200);
+
+      await request(app).get(chunkUrl).set('If-None-Match', headers.etag).expect(304);
+      await request(app).head(chunkUrl).set('If-None-Match', `"other", ${headers.etag}`).expect(304);
+      await request(app).get(chunkUrl).set('If-Modified-Since', headers['last-modified']).expect(304);
+      await request(app).get(chunkUrl).set('If-None-Match', '"other"').expect(200);
+    });
+
+    it('should only serve the range when If-Range matches', async () => {
+      const { headers } = await request(app).get(chunkUrl).expect(200);
+
+      const partial = await request(app).get(chunkUrl)
+        .set('Range', 'bytes=2-4')
+        .set('If-Range', headers.etag)
+        .expect(206);
+      expect(partial.headers['content-range']).toBe('bytes 2-4/10');
+
+      await request(app).get(chunkUrl)
+        .set('Range', 'bytes=2-4')
+        .set('If-Range', headers['last-modified'])
+        .expect(206);
+
+      const full = await request(app).get(chunkUrl)
+        .set('Range', 'bytes=2-4')
+        .set('If-Range', '"stale"')
+        .expect(200);
+      expect(full.headers['content-length']).toBe('10');
+    });
+  });
+
+  describe('metadata and manifests', () => {
+    it('should answer 304 until the metadata changes', async () => {
+      const first = await request(app).get('/api/videos/cached').expect(200);
+      expect(first.headers.etag).toMatch(/^W\//);
+
+      await request(app).get('/api/videos/cached').set('If-None-Match', first.headers.etag).expect(304);
+      await request(app).get('/api/videos/cached/master.m3u8')
+        .set('If-Modified-Since', first.headers['last-modified'])
+        .expect(304);
+
+      await request(app).patch('/api/videos/cached').send({ title: 'Renamed' }).expect(200);
+
+      const updated = await request(app).get('/api/videos/cached')
+        .set('If-None-Match', first.headers.etag)
+        .expect(200);
+      expect(updated.body.data.title).toBe('Renamed');
+    });
+
+    it('should not revalidate manifests with signed chunk URLs', async () => {
+      const metadata = await request(app).get('/api/videos/cached').expect(200);
+
+      config.security.enableAuth = true;
+      try {
+        const res = await request(app).get('/api/videos/cached/manifest')
+          .set('If-Modified-Since', metadata.headers['last-modified'])
+          .expect(200);
+
+        expect(res.headers['last-modified']).toBeUndefined();
+        expect(res.headers['cache-control']).toBe('no-store');
+        expect(res.body.data.chunks[0].url).toContain('signature=');
+      } finally {
+        config.security.enableAuth = false;
+      }
+    });
+  });
+});
\ No newline at end of file
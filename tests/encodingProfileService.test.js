@@ -0,0 +1,161 @@
+// tests/encodingProfileService.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const encodingProfileService = require('../src/services/encodingProfileService');
+
+const validDefinition = {
+  defaultProfile: 'standard',
+  profiles: {
+    standard: {
+      codec: 'h264',
+      preset: 'fast',
+      gop: 150,
+      defaultRenditions: ['720p'],
+      renditions: {
+        '720p': { resolution: '1280x720', videoBitrate: '2500k', audioBitrate: '128k' },
+        '360p': { resolution: '640x360', videoBitrate: '500k', audioBitrate: '64k', preset: 'veryfast' }
+      }
+    }
+  }
+};
+
+describe('EncodingProfileService', () => {
+  describe('validate', () => {
+    it('should accept a valid definition', () => {
+      expect(encodingProfileService.validate(validDefinition)).toEqual([]);
+    });
+
+    it('should report every problem with a profile', () => {
+      const errors = encodingProfileService.validate({
+        defaultProfile: 'missing',
+        profiles: {
+          broken: {
+            codec: 'h264',
+            preset: 'turbo',
+            gop: 0,
+            keyframeInterval: 3,
+            defaultRenditions: ['4k'],
+            renditions: {
+              '720p': { resolution: '1281x720', videoBitrate: 'fast', audioBitrate: '128k' },
+              audio: { resolution: '640x360', videoBitrate: '500k', audioBitrate: '64k' }
+            }
+          }
+        }
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'defaultProfile "missing" is not a defined profile',
+        'broken.720p: resolution must have even width and height',
+        'broken.720p: videoBitrate must look like "2500k"',
+        expect.stringMatching(/^broken\.720p: preset must be one of/),
+        'broken.720p: gop must be a positive number of frames',
+        'broken.720p: keyframeInterval must divide the 5s chunk duration',
+        'broken.audio: "audio" cannot be used as a rendition name',
+        'broken: default rendition "4k" is not defined'
+      ]));
+    });
+
+    it('should refuse to load an invalid profiles file', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+      const file = path.join(dir, 'profiles.json');
+      fs.writeFileSync(file, JSON.stringify({ defaultProfile: 'x', profiles: {} }));
+
+      expect(() => encodingProfileService.load(file)).toThrow(/Invalid encoding profiles/);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe('resolve', () => {
+    it('should use the default profile and its default renditions', () => {
+      const encoding = encodingProfileService.resolve();
+
+      expect(encoding.profile).toBe(encodingProfileService.defaultProfile);
+      expect(encoding.renditions.length).toBeGreaterThan(0);
+      for (const rendition of encoding.renditions) {
+        expect(rendition).toEqual(expect.objectContaining({
+          encoder: 'libx264',
+          codecs: 'avc1.640028',
+          keyframeInterval: 5
+        }));
+      }
+    });
+
+    it('should let renditions override profile settings and fill in rate control', () => {
+      const profile = { name: 'standard', ...validDefinition.profiles.standard };
+      const rendition = encodingProfileService.resolveRendition(profile, '360p');
+
+      expect(rendition).toEqual(expect.objectContaining({
+        name: '360p',
+        height: 360,
+        preset: 'veryfast',
+        gop: 150,
+        maxrate: '500k',
+        bufsize: '1000k'
+      }));
+    });
+
+    it('should add codec variants with scaled bitrates after each rendition', () => {
+      const profile = {
+        name: 'standard',
+        ...validDefinition.profiles.standard,
+        codecVariants: { hevc: { bitrateScale: 0.6 } }
+      };
+      const rendition = encodingProfileService.resolveRendition(profile, '720p');
+      const variant = encodingProfileService.resolveVariant(profile, rendition, 'hevc');
+
+      expect(variant).toEqual(expect.objectContaining({
+        name: '720p_hevc',
+        variantOf: '720p',
+        encoder: 'libx265',
+        codecs: 'hvc1.1.6.L120.90',
+        formats: ['cmaf'],
+        preset: 'medium',
+        videoBitrate: '1500k',
+        bufsize: '3000k'
+      }));
+    });
+
+    it('should only allow H.264 for the ladder and known encoders for variants', () => {
+      const profile = validDefinition.profiles.standard;
+      const errors = encodingProfileService.validate({
+        defaultProfile: 'standard',
+        profiles: {
+          standard: {
+            ...profile,
+            codec: 'vp9',
+            codecVariants: { av1: { encoder: 'libx265' }, vp9: { preset: 'slow' }, h263: {} }
+          }
+        }
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'standard.720p: codec must be h264 (add other codecs as codecVariants)',
+        'standard.codecVariants.av1: encoder must be one of libsvtav1, libaom-av1',
+        'standard.codecVariants.vp9: preset must be one of 0, 1, 2, 3, 4, 5',
+        'standard.codecVariants.h263: codec variants must be one of hevc, av1, vp9'
+      ]));
+    });
+
+    it('should accept qualities as a comma-separated string', () => {
+      const encoding = encodingProfileService.resolve('standard', '480p, 360p');
+      expect(encoding.renditions.map(rendition => rendition.name)).toEqual(['480p', '360p']);
+    });
+
+    it('should reject unknown profiles and qualities with 400', () => {
+      expect(() => encodingProfileService.resolve('nope')).toThrow(
+        expect.objectContaining({ status: 400, message: 'Unknown encoding profile: nope' })
+      );
+      expect(() => encodingProfileService.resolve('standard', ['4320p'])).toThrow(
+        expect.objectContaining({ status: 400 })
+      );
+    });
+  });
+
+  it('should list every quality a profile can produce, smallest first', () => {
+    const qualities = encodingProfileService.getSupportedQualities();
+
+    expect(qualities[0]).toBe('240p');
+    expect(qualities.slice(-3)).toEqual(['1080p', '1080p_hevc', '1080p_av1']);
+  });
+});
\ No newline at end of file
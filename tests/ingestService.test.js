@@ -0,0 +1,130 @@
+// tests/ingestService.test.js
+const ingestService = require('../src/services/ingestService');
+
+const limits = {
+  maxDuration: 3600,
+  maxWidth: 1920,
+  maxHeight: 1080,
+  containers: ['mov', 'mp4', 'matroska'],
+  videoCodecs: ['h264', 'hevc'],
+  audioCodecs: ['aac']
+};
+
+// ffprobe output of a rotated 10-bit HDR10 phone clip
+const probe = {
+  format: {
+    format_name: 'mov,mp4,m4a,3gp,3g2,mj2',
+    format_long_name: 'QuickTime / MOV',
+    duration: '12.345000',
+    size: '10485760',
+    bit_rate: '6795000'
+  },
+  streams: [
+    {
+      index: 0,
+      codec_type: 'video',
+      codec_name: 'hevc',
+      profile: 'Main 10',
+      width: 1920,
+      height: 1080,
+      avg_frame_rate: '30000/1001',
+      pix_fmt: 'yuv420p10le',
+      color_transfer: 'smpte2084',
+      color_primaries: 'bt2020',
+      color_space: 'bt2020nc',
+      side_data_list: [
+        { side_data_type: 'Display Matrix', rotation: -90 },
+        { side_data_type: 'Mastering display metadata' }
+      ]
+    },
+    {
+      index: 1,
+      codec_type: 'audio',
+      codec_name: 'aac',
+      channels: 2,
+      sample_rate: '48000',
+      tags: { language: 'eng' }
+    },
+    { index: 2, codec_type: 'data', codec_name: 'bin_data' }
+  ]
+};
+
+describe('IngestService', () => {
+  describe('buildReport', () => {
+    it('should report streams, frame rate, HDR and rotation', () => {
+      const report = ingestService.buildReport(probe);
+
+      expect(report).toMatchObject({
+        container: 'mov,mp4,m4a,3gp,3g2,mj2',
+        duration: 12.345,
+        video: {
+          codec: 'hevc',
+          width: 1920,
+          height: 1080,
+          displayWidth: 1080,
+          displayHeight: 1920,
+          rotation: -90,
+          frameRate: 29.97,
+          bitDepth: 10,
+          hdr: { format: 'HDR10', primaries: 'bt2020', masteringDisplay: true, contentLightLevel: false }
+        },
+        audio: [{ index: 1, codec: 'aac', channels: 2, sampleRate: 48000, language: 'eng' }]
+      });
+      expect(report.streams.map(stream => stream.type)).toEqual(['video', 'audio', 'data']);
+    });
+  });
+
+  describe('validate', () => {
+    it('should accept supported media within the limits', () => {
+      const report = ingestService.buildReport(probe);
+      expect(ingestService.validate(report, { ...limits, maxHeight: 1920, maxWidth: 1920 })).toEqual([]);
+    });
+
+    it('should apply resolution limits to the rotated size', () => {
+      const report = ingestService.buildReport(probe);
+      expect(ingestService.validate(report, limits)).toEqual(['resolution 1080x1920 exceeds 1920x1080']);
+    });
+
+    it('should reject files without video, duration or a supported container and codecs', () => {
+      const report = ingestService.buildReport({
+        format: { format_name: 'wav', duration: '0' },
+        streams: [{ index: 0, codec_type: 'audio', codec_name: 'pcm_s16le' }]
+      });
+
+      expect(ingestService.validate(report, limits)).toEqual([
+        'container "wav" is not supported',
+        'no video stream',
+        'audio codec "pcm_s16le" (stream 0) is not supported',
+        'duration is zero or unknown'
+      ]);
+    });
+
+    it('should enforce the maximum duration', () => {
+      const report = ingestService.buildReport({ ...probe, format: { ...probe.format, duration: '7200' } });
+      expect(ingestService.validate(report, { ...limits, maxHeight: 1920 })).toEqual(['duration 7200s exceeds 3600s']);
+    });
+  });
+
+  describe('inspect', () => {
+    it('should reject unusable media with its report', async () => {
+      jest.spyOn(ingestService, 'probe').mockResolvedValueOnce({
+        format: { format_name: 'mp4', duration: '10' },
+        streams: [{ index: 0, codec_type: 'audio', codec_name: 'aac' }]
+      });
+
+      await expect(ingestService.inspect('/tmp/audio.mp4', limits)).rejects.toMatchObject({
+        status: 422,
+        details: { problems: ['no video stream'], report: { video: null } }
+      });
+    });
+
+    it('should reject files ffprobe cannot read', async () => {
+      jest.spyOn(ingestService, 'probe').mockRejectedValueOnce(new Error('Invalid data found when processing input'));
+
+      await expect(ingestService.inspect('/tmp/corrupt.mp4', limits)).rejects.toMatchObject({
+        status: 422,
+        message: 'Source file is not a readable media file'
+      });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+// tests/jobEvents.test.js
+process.env.JOB_STORE = 'memory';
+
+const http = require('http');
+const express = require('express');
+const videoRoutes = require('../src/routes/videoRoutes');
+const jobStore = require('../src/services/jobStore');
+const jobEventsController = require('../src/controllers/jobEventsController');
+
+/**
+ * Open an event stream and collect parsed events until the server ends it
+ */
+const openStream = (server, path) => new Promise((resolve, reject) => {
+  const req = http.get({ port: server.address().port, path }, (res) => {
+    const events = [];
+    let buffer = '';
+
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        const event = block.match(/^event: (.+)$/m);
+        const data = block.match(/^data: (.+)$/m);
+        if (event && data) {
+          events.push({ event: event[1], data: JSON.parse(data[1]) });
+        }
+      }
+    });
+
+    resolve({
+      res,
+      events,
+      ended: new Promise(done => res.on('end', () => done(events))),
+      close: () => req.destroy()
+    });
+  });
+  req.on('error', reject);
+});
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('Job events', () => {
+  let server;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use('/api', videoRoutes);
+    server = app.listen(0, done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  it('should stream status, stage and progress changes and end with the final status', async () => {
+    await jobStore.create({ jobId: 'sse-1', videoId: 'v1', status: 'queued', stage: 'Waiting', progress: 0 });
+
+    const stream = await openStream(server, '/api/videos/jobs/sse-1/events');
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toBe('text/event-stream');
+    await tick();
+
+    await jobStore.update('sse-1', { status: 'processing', stage: 'Encoding 720p', progress: 10 });
+    await jobStore.update('sse-1', { progress: 55 });
+    await jobStore.update('sse-1', { status: 'completed', stage: 'Done', progress: 100 });
+
+    const events = await stream.ended;
+    expect(events.map(e => e.event)).toEqual([
+      'status', 'status', 'stage', 'progress', 'progress', 'status', 'stage', 'progress', 'completed'
+    ]);
+    expect(events[4].data.progress).toBe(55);
+    expect(events[8].data).toMatchObject({ jobId: 'sse-1', status: 'completed', progress: 100 });
+    expect(jobEventsController.subscribers.size).toBe(0);
+  });
+
+  it('should end immediately for finished jobs', async () => {
+    await jobStore.create({ jobId: 'sse-2', videoId: 'v2', status: 'failed', error: 'boom' });
+
+    const stream = await openStream(server, '/api/videos/jobs/sse-2/events');
+    const events = await stream.ended;
+
+    expect(events.map(e => e.event)).toEqual(['status', 'failed']);
+    expect(events[1].data.error).toBe('boom');
+  });
+
+  it('should return 404 for unknown jobs', async () => {
+    const stream = await openStream(server, '/api/videos/jobs/missing/events');
+    expect(stream.res.statusCode).toBe(404);
+    stream.close();
+  });
+
+  it('should stream changes of all jobs and stop listening on disconnect', async () => {
+    const stream = await openStream(server, '/api/videos/jobs/events?status=processing');
+    await tick();
+
+    await jobStore.create({ jobId: 'sse-3', videoId: 'v3', status: 'queued' });
+    await jobStore.update('sse-3', { status: 'processing', progress: 5 });
+    await jobStore.delete('sse-3');
+    await tick();
+
+    expect(stream.events.map(e => e.event)).toEqual(['job', 'deleted']);
+    expect(stream.events[0].data).toMatchObject({ jobId: 'sse-3', status: 'processing' });
+
+    stream.close();
+    await tick();
+    expect(jobEventsController.subscribers.size).toBe(0);
+  });
+
+  it('should share one job store listener between streams', async () => {
+    await jobStore.create({ jobId: 'sse-4', videoId: 'v4', status: 'processing', progress: 0 });
+
+    const streams = await Promise.all(
+      Array.from({ length: 12 }, () => openStream(server, '/api/videos/jobs/sse-4/events'))
+    );
+    await tick();
+
+    expect(jobStore.listenerCount('change')).toBe(1);
+    expect(jobStore.listenerCount('delete')).toBe(1);
+
+    await jobStore.update('sse-4', { status: 'completed', progress: 100 });
+    const events = await Promise.all(streams.map(stream => stream.ended));
+
+    events.forEach(list => expect(list[list.length - 1].event).toBe('completed'));
+    expect(jobEventsController.subscribers.size).toBe(0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+// tests/jobQueue.test.js
+process.env.JOB_STORE = 'memory';
+
+jest.mock('../src/services/processingService', () => ({
+  process: jest.fn()
+}));
+
+const request = require('supertest');
+const express = require('express');
+const videoRoutes = require('../src/routes/videoRoutes');
+const jobQueue = require('../src/services/jobQueue');
+const jobStore = require('../src/services/jobStore');
+const processingService = require('../src/services/processingService');
+const config = require('../src/config');
+
+const source = { type: 'url', url: 'https://example.com/video.mp4' };
+
+describe('JobQueue', () => {
+  afterEach(() => {
+    jobQueue.stop();
+  });
+
+  it('should order queued jobs by priority, then by age', async () => {
+    await jobQueue.enqueue({ jobId: 'low-1', videoId: 'v1', source }, 'low');
+    await jobQueue.enqueue({ jobId: 'normal-1', videoId: 'v2', source }, 'normal');
+    await jobQueue.enqueue({ jobId: 'high-1', videoId: 'v3', source }, 'high');
+    await jobQueue.enqueue({ jobId: 'normal-2', videoId: 'v4', source }, 'normal');
+
+    const order = (await jobQueue.getQueuedJobs()).map(job => job.jobId);
+    expect(order).toEqual(['high-1', 'normal-1', 'normal-2', 'low-1']);
+
+    const info = await jobQueue.getQueueInfo('normal-2');
+    expect(info.queuePosition).toBe(3);
+    expect(info.queueLength).toBe(4);
+    expect(new Date(info.estimatedStartAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should report the queue position without storing it in the job', async () => {
+    const app = express();
+    app.use('/api', videoRoutes);
+
+    const res = await request(app).get('/api/videos/jobs/normal-2').expect(200);
+
+    expect(res.body.data).toMatchObject({ jobId: 'normal-2', queuePosition: 3 });
+    expect(await jobStore.get('normal-2')).not.toHaveProperty('queuePosition');
+  });
+
+  it('should share one listing of the store between queue position lookups', async () => {
+    jobQueue.snapshot = null;
+    const list = jest.spyOn(jobStore, 'list');
+
+    try {
+      const infos = await Promise.all(['high-1', 'normal-1', 'normal-2', 'low-1'].map(jobId => jobQueue.getQueueInfo(jobId)));
+      expect(infos.map(info => info.queuePosition)).toEqual([1, 2, 3, 4]);
+      await jobQueue.getQueueInfo('low-1');
+
+      // All jobs, plus the completed ones for the average duration
+      expect(list).toHaveBeenCalledTimes(2);
+    } finally {
+      list.mockRestore();
+    }
+  });
+
+  it('should run no more jobs than the worker count', async () => {
+    const finishers = [];
+    processingService.process.mockImplementation(job => new Promise((resolve) => {
+      finishers.push(() => jobStore.update(job.jobId, { status: 'completed' }).then(resolve));
+    }));
+
+    jobQueue.start(2);
+    await jobQueue.drain();
+
+    expect(processingService.process).toHaveBeenCalledTimes(2);
+    expect(processingService.process.mock.calls.map(([job]) => job.jobId)).toEqual(['high-1', 'normal-1']);
+    expect((await jobStore.get('high-1')).status).toBe('initializing');
+
+    // Finishing one job frees a slot for the next
+    await finishers[0]();
+    await new Promise(resolve => setImmediate(resolve));
+    await jobQueue.drain();
+
+    expect(processingService.process).toHaveBeenCalledTimes(3);
+    expect(processingService.process.mock.calls[2][0].jobId).toBe('normal-2');
+  });
+
+  it('should keep recovering jobs that go stale after startup', async () => {
+    const { staleAfter, heartbeatInterval } = config.jobs;
+    Object.assign(config.jobs, { staleAfter: 50, heartbeatInterval: 20 });
+
+    // Its process died just before this one started: not stale yet at the first sweep
+    await jobStore.create({ jobId: 'orphan', videoId: 'v9', status: 'processing', updatedAt: new Date().toISOString() });
+
+    try {
+      await jobQueue.watchStaleJobs();
+      expect((await jobStore.get('orphan')).status).toBe('processing');
+
+      await new Promise(resolve => setTimeout(resolve, 150));
+      expect((await jobStore.get('orphan')).status).toBe('interrupted');
+    } finally {
+      clearInterval(jobQueue.staleTimer);
+      jobQueue.staleTimer = null;
+      Object.assign(config.jobs, { staleAfter, heartbeatInterval });
+    }
+  });
+});
\ No newline at end of file
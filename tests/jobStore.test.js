@@ -0,0 +1,111 @@
+// tests/jobStore.test.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const FileJobStore = require('../src/services/jobStore/fileJobStore');
+const MemoryJobStore = require('../src/services/jobStore/memoryJobStore');
+
+const makeJob = (jobId, status, startedAt) => ({
+  jobId,
+  videoId: `video-${jobId}`,
+  status,
+  progress: 0,
+  startedAt,
+  updatedAt: startedAt
+});
+
+describe.each([
+  ['FileJobStore', async () => new FileJobStore(await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-')))],
+  ['MemoryJobStore', async () => new MemoryJobStore()]
+])('%s', (name, createStore) => {
+  let store;
+
+  beforeEach(async () => {
+    store = await createStore();
+    await store.create(makeJob('a', 'completed', '2024-01-01T00:00:00.000Z'));
+    await store.create(makeJob('b', 'failed', '2024-01-02T00:00:00.000Z'));
+    await store.create(makeJob('c', 'processing', '2024-01-03T00:00:00.000Z'));
+  });
+
+  it('should get, update and delete jobs', async () => {
+    await store.update('a', { progress: 50 });
+    expect((await store.get('a')).progress).toBe(50);
+
+    expect(await store.delete('a')).toBe(true);
+    expect(await store.get('a')).toBeNull();
+    expect(await store.update('a', { progress: 60 })).toBeNull();
+  });
+
+  it('should hand out copies of stored jobs', async () => {
+    (await store.get('a')).queuePosition = 1;
+    (await store.list()).jobs[0].queuePosition = 1;
+
+    expect(await store.get('a')).not.toHaveProperty('queuePosition');
+    expect(await store.get('c')).not.toHaveProperty('queuePosition');
+  });
+
+  it('should page and filter jobs, newest first', async () => {
+    const page = await store.list({ limit: 2, offset: 0 });
+    expect(page.total).toBe(3);
+    expect(page.jobs.map(job => job.jobId)).toEqual(['c', 'b']);
+
+    const failed = await store.list({ status: 'failed' });
+    expect(failed.jobs.map(job => job.jobId)).toEqual(['b']);
+  });
+
+  it('should mark stale active jobs as interrupted', async () => {
+    const recovered = await store.recoverInterrupted(1000);
+
+    expect(recovered.map(job => job.jobId)).toEqual(['c']);
+    const job = await store.get('c');
+    expect(job.status).toBe('interrupted');
+    expect(job.previousStatus).toBe('processing');
+  });
+});
+
+describe('FileJobStore persistence', () => {
+  it('should see jobs written by another instance', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+
+    await new FileJobStore(dir).create(makeJob('x', 'processing', new Date().toISOString()));
+    const job = await new FileJobStore(dir).get('x');
+
+    expect(job.videoId).toBe('video-x');
+  });
+
+  it('should not resolve job IDs outside its directory', async () => {
+    const store = new FileJobStore(os.tmpdir());
+    expect(await store.get('../etc/passwd')).toBeNull();
+  });
+
+  it('should keep concurrent updates', async () => {
+    const store = new FileJobStore(await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-')));
+    await store.create(makeJob('y', 'processing', new Date().toISOString()));
+
+    await Promise.all([
+      store.update('y', { progress: 10 }),
+      store.update('y', { stage: 'Encoding' })
+    ]);
+
+    const job = await store.get('y');
+    expect(job.progress).toBe(10);
+    expect(job.stage).toBe('Encoding');
+  });
+
+  it('should not lose a cancel request to progress written by another process', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+    const worker = new FileJobStore(dir);
+    const api = new FileJobStore(dir);
+    await worker.create(makeJob('z', 'processing', new Date().toISOString()));
+
+    await Promise.all([
+      ...Array.from({ length: 20 }, (_, progress) => worker.update('z', { progress })),
+      api.update('z', { cancelRequested: true })
+    ]);
+
+    const job = await worker.get('z');
+    expect(job.cancelRequested).toBe(true);
+    expect(job.progress).toBe(19);
+    expect((await fs.readdir(dir)).filter(file => file.endsWith('.lock'))).toEqual([]);
+  });
+});
\ No newline at end of file
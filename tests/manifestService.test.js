@@ -0,0 +1,234 @@
+// tests/manifestService.test.js
+const manifestService = require('../src/services/manifestService');
+const chunkService = require('../src/services/chunkService');
+
+const metadata = {
+  duration: 12.5,
+  chunkDuration: 5,
+  totalChunks: 3,
+  resolutions: { '720p': '1280x720', '360p': '640x360' },
+  bitrates: { '720p': '2500k', '360p': '500k' },
+  audioBitrates: { '720p': '128k', '360p': '64k' },
+  continuousTimestamps: true
+};
+
+describe('ManifestService', () => {
+  describe('parseBitrate', () => {
+    it('should convert bitrate strings to bits per second', () => {
+      expect(manifestService.parseBitrate('2500k')).toBe(2500000);
+      expect(manifestService.parseBitrate('5M')).toBe(5000000);
+      expect(manifestService.parseBitrate(64000)).toBe(64000);
+      expect(manifestService.parseBitrate(undefined)).toBe(0);
+    });
+  });
+
+  describe('buildMasterPlaylist', () => {
+    it('should list a variant per quality with bandwidth and resolution', () => {
+      const playlist = manifestService.buildMasterPlaylist('vid', metadata, ['720p', '360p']);
+      const lines = playlist.trim().split('\n');
+
+      expect(lines[0]).toBe('#EXTM3U');
+      expect(lines).toContain('#EXT-X-STREAM-INF:BANDWIDTH=564000,RESOLUTION=640x360,NAME="360p"');
+      expect(lines).toContain('#EXT-X-STREAM-INF:BANDWIDTH=2628000,RESOLUTION=1280x720,NAME="720p"');
+      expect(lines).toContain('/api/videos/vid/hls/720p.m3u8');
+    });
+  });
+
+  describe('buildMediaPlaylist', () => {
+    it('should list every chunk with its real duration', () => {
+      const timeline = chunkService.getChunkTimeline(metadata);
+      const playlist = manifestService.buildMediaPlaylist('vid', metadata, '720p', timeline);
+
+      expect(playlist).toContain('#EXT-X-TARGETDURATION:5');
+      expect(playlist).toContain('#EXTINF:2.500000,\n/api/chunks/vid/720p/2');
+      expect(playlist).not.toContain('#EXT-X-DISCONTINUITY');
+      expect(playlist.trim().endsWith('#EXT-X-ENDLIST')).toBe(true);
+    });
+
+    it('should mark discontinuities for chunks with reset timestamps', () => {
+      const legacy = { ...metadata, continuousTimestamps: undefined };
+      const timeline = chunkService.getChunkTimeline(legacy);
+      const playlist = manifestService.buildMediaPlaylist('vid', legacy, '720p', timeline);
+
+      expect(playlist.match(/#EXT-X-DISCONTINUITY/g)).toHaveLength(2);
+    });
+  });
+
+  describe('buildMpd', () => {
+    it('should build a SegmentList MPD with CMAF segment URLs', () => {
+      const timeline = chunkService.getChunkTimeline(metadata);
+      const mpd = manifestService.buildMpd('vid', metadata, ['720p', '360p'], timeline);
+
+      expect(mpd).toContain('type="static"');
+      expect(mpd).toContain('mediaPresentationDuration="PT12.500S"');
+      expect(mpd).toContain('<Representation id="720p" bandwidth="2628000" width="1280" height="720"');
+      expect(mpd).toContain('<Initialization sourceURL="/api/chunks/vid/720p/init.mp4"/>');
+      expect(mpd).toContain('<S t="0" d="5000" r="1"/>');
+      expect(mpd).toContain('<S d="2500"/>');
+      expect(mpd).toContain('<SegmentURL media="/api/chunks/vid/360p/2.m4s"/>');
+    });
+  });
+
+  describe('seek previews', () => {
+    // 12.5s at one preview every 5s, 2x2 tiles per sheet: 3 previews on one sheet
+    const withSprites = {
+      ...metadata,
+      sprites: { interval: 5, width: 160, height: 90, columns: 2, rows: 2, count: 3, sheets: 1, bandwidth: 8000 }
+    };
+
+    it('should map time ranges to sprite regions in the WebVTT track', () => {
+      const vtt = manifestService.buildThumbnailVtt('vid', withSprites);
+
+      expect(vtt.startsWith('WEBVTT\n\n')).toBe(true);
+      expect(vtt).toContain('00:00:00.000 --> 00:00:05.000\n/api/videos/vid/sprites/0.jpg#xywh=0,0,160,90');
+      expect(vtt).toContain('00:00:05.000 --> 00:00:10.000\n/api/videos/vid/sprites/0.jpg#xywh=160,0,160,90');
+      expect(vtt).toContain('00:00:10.000 --> 00:00:12.500\n/api/videos/vid/sprites/0.jpg#xywh=0,90,160,90');
+    });
+
+    it('should reference the image playlist from the master playlist', () => {
+      const playlist = manifestService.buildMasterPlaylist('vid', withSprites, ['720p']);
+      expect(playlist).toContain(
+        '#EXT-X-IMAGE-STREAM-INF:BANDWIDTH=8000,RESOLUTION=160x90,CODECS="jpeg",URI="/api/videos/vid/hls/thumbnails.m3u8"'
+      );
+
+      const images = manifestService.buildImagePlaylist('vid', withSprites);
+      expect(images).toContain('#EXT-X-TILES:RESOLUTION=160x90,LAYOUT=2x2,DURATION=5.000');
+      expect(images).toContain('/api/videos/vid/sprites/0.jpg');
+    });
+
+    it('should add a thumbnail AdaptationSet to the MPD', () => {
+      const timeline = chunkService.getChunkTimeline(withSprites);
+      const mpd = manifestService.buildMpd('vid', withSprites, ['720p'], timeline);
+
+      expect(mpd).toContain('<AdaptationSet id="1" contentType="image" mimeType="image/jpeg">');
+      expect(mpd).toContain('media="/api/videos/vid/sprites/$Number$.jpg" duration="20"');
+      expect(mpd).toContain('value="2x2"');
+      expect(manifestService.buildMpd('vid', metadata, ['720p'], timeline)).not.toContain('contentType="image"');
+    });
+  });
+
+  describe('audio tracks', () => {
+    const withAudio = {
+      ...metadata,
+      bitrates: { ...metadata.bitrates },
+      audioBitrates: { ...metadata.audioBitrates, audio: '64k' },
+      codecs: { '720p': 'avc1.640028', '360p': 'avc1.640028', audio: 'mp4a.40.2' },
+      separateAudio: true,
+      audioTracks: [
+        { id: 'audio_eng', language: 'eng', label: 'English', default: true, channels: 2, bitrate: '128k', codecs: 'mp4a.40.2' },
+        { id: 'audio_fra', language: 'fra', label: 'Français', default: false, channels: 2, bitrate: '128k', codecs: 'mp4a.40.2' }
+      ]
+    };
+
+    it('should list alternate audio renditions and an audio-only variant in the master playlist', () => {
+      const playlist = manifestService.buildMasterPlaylist('vid', withAudio, ['720p', '360p', 'audio']);
+      const lines = playlist.trim().split('\n');
+
+      expect(lines).toContain(
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="English",LANGUAGE="eng",DEFAULT=YES,AUTOSELECT=YES,CHANNELS="2"'
+      );
+      expect(lines).toContain(
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Français",LANGUAGE="fra",DEFAULT=NO,AUTOSELECT=YES,' +
+        'CHANNELS="2",URI="/api/videos/vid/hls/audio_fra.m3u8"'
+      );
+      expect(lines).toContain(
+        '#EXT-X-STREAM-INF:BANDWIDTH=564000,RESOLUTION=640x360,CODECS="avc1.640028,mp4a.40.2",NAME="360p",AUDIO="aud"'
+      );
+
+      // Audio-only variant comes last
+      expect(lines.slice(-2)).toEqual([
+        '#EXT-X-STREAM-INF:BANDWIDTH=64000,CODECS="mp4a.40.2",NAME="audio"',
+        '/api/videos/vid/hls/audio.m3u8'
+      ]);
+    });
+
+    it('should not add an audio group for a single track', () => {
+      const single = { ...withAudio, audioTracks: withAudio.audioTracks.slice(0, 1) };
+      const playlist = manifestService.buildMasterPlaylist('vid', single, ['720p']);
+
+      expect(playlist).not.toContain('TYPE=AUDIO');
+      expect(playlist).not.toContain('AUDIO="aud"');
+    });
+
+    it('should add an audio AdaptationSet per track to the MPD', () => {
+      const timeline = chunkService.getChunkTimeline(withAudio);
+      const mpd = manifestService.buildMpd('vid', withAudio, ['720p', '360p', 'audio'], timeline);
+
+      // Video Representations no longer count audio
+      expect(mpd).toContain('<Representation id="360p" bandwidth="500000" width="640" height="360" codecs="avc1.640028">');
+      expect(mpd).toContain('contentType="audio" mimeType="audio/mp4" lang="eng"');
+      expect(mpd).toContain('<AdaptationSet id="3" contentType="audio" mimeType="audio/mp4" lang="fra"');
+      expect(mpd).toContain('<Role schemeIdUri="urn:mpeg:dash:role:2011" value="alternate"/>');
+      expect(mpd).toContain('<Representation id="audio" bandwidth="64000" codecs="mp4a.40.2">');
+      expect(mpd).toContain('<Initialization sourceURL="/api/chunks/vid/audio_fra/init.mp4"/>');
+      expect(mpd).toContain('<SegmentURL media="/api/chunks/vid/audio_eng/2.m4s"/>');
+
+      const videoSet = mpd.slice(mpd.indexOf('contentType="video"'), mpd.indexOf('contentType="audio"'));
+      expect(videoSet).not.toContain('id="audio"');
+    });
+  });
+
+  describe('codec variants', () => {
+    const withVariants = {
+      ...metadata,
+      formats: ['ts', 'cmaf'],
+      resolutions: { ...metadata.resolutions, '720p_hevc': '1280x720', '720p_av1': '1280x720' },
+      bitrates: { ...metadata.bitrates, '720p_hevc': '1500k', '720p_av1': '1250k' },
+      audioBitrates: { ...metadata.audioBitrates, '720p_hevc': '128k', '720p_av1': '128k' },
+      codecs: {
+        '720p': 'avc1.640028',
+        '360p': 'avc1.640028',
+        '720p_hevc': 'hvc1.1.6.L120.90',
+        '720p_av1': 'av01.0.08M.08'
+      },
+      variants: {
+        '720p_hevc': { codec: 'hevc', variantOf: '720p' },
+        '720p_av1': { codec: 'av1', variantOf: '720p' }
+      },
+      separateAudio: true,
+      audioTracks: [
+        { id: 'audio_eng', language: 'eng', label: 'English', default: true, channels: 2, bitrate: '128k', codecs: 'mp4a.40.2' }
+      ]
+    };
+    const qualities = ['720p', '360p', '720p_hevc', '720p_av1'];
+
+    it('should advertise fMP4 variants with their codecs after the H.264 ladder', () => {
+      const lines = manifestService.buildMasterPlaylist('vid', withVariants, qualities).trim().split('\n');
+      const variants = lines.filter(line => line.startsWith('#EXT-X-STREAM-INF'));
+
+      expect(variants[0]).toContain('NAME="360p"');
+      expect(variants[2]).toBe(
+        '#EXT-X-STREAM-INF:BANDWIDTH=1378000,RESOLUTION=1280x720,CODECS="av01.0.08M.08,mp4a.40.2",NAME="720p_av1",AUDIO="aud-fmp4"'
+      );
+      expect(variants[3]).toContain('CODECS="hvc1.1.6.L120.90,mp4a.40.2",NAME="720p_hevc"');
+
+      // Variants have no muxed audio, so even the default track needs a URI
+      expect(lines).toContain(
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud-fmp4",NAME="English",LANGUAGE="eng",DEFAULT=YES,AUTOSELECT=YES,' +
+        'CHANNELS="2",URI="/api/videos/vid/hls/audio_eng.m3u8?format=cmaf"'
+      );
+    });
+
+    it('should build fMP4 media playlists with an init segment', () => {
+      const timeline = chunkService.getChunkTimeline(withVariants);
+      const playlist = manifestService.buildMediaPlaylist('vid', withVariants, '720p_hevc', timeline, 'cmaf');
+
+      expect(playlist).toContain('#EXT-X-VERSION:7');
+      expect(playlist).toContain('#EXT-X-MAP:URI="/api/chunks/vid/720p_hevc/init.mp4"');
+      expect(playlist).toContain('#EXTINF:2.500000,\n/api/chunks/vid/720p_hevc/2.m4s');
+    });
+
+    it('should put each codec in its own video AdaptationSet', () => {
+      const timeline = chunkService.getChunkTimeline(withVariants);
+      const mpd = manifestService.buildMpd('vid', withVariants, qualities, timeline);
+      const sets = mpd.split('<AdaptationSet').slice(1);
+
+      expect(sets).toHaveLength(4);
+      expect(sets[0]).toContain('<Representation id="720p" bandwidth="2500000"');
+      expect(sets[0]).not.toContain('720p_hevc');
+      expect(sets[1]).toContain('contentType="audio"');
+      expect(sets[2]).toContain('<Representation id="720p_av1" bandwidth="1250000" width="1280" height="720" codecs="av01.0.08M.08">');
+      expect(sets[3]).toContain('codecs="hvc1.1.6.L120.90"');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+// tests/metadataCache.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'videos-'));
+process.env.STORAGE_PATH = storagePath;
+process.env.JOB_STORE = 'memory';
+
+const request = require('supertest');
+const express = require('express');
+const videoRoutes = require('../src/routes/videoRoutes');
+const storageService = require('../src/services/storageService');
+const jobStore = require('../src/services/jobStore');
+const LruCache = require('../src/utils/lruCache');
+
+const writeMetadata = (videoId, metadata) => {
+  fs.mkdirSync(path.join(storagePath, videoId), { recursive: true });
+  fs.writeFileSync(path.join(storagePath, videoId, 'metadata.json'), JSON.stringify(metadata));
+};
+
+const waitFor = async (check, timeout = 3000) => {
+  const deadline = Date.now() + timeout;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out');
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+};
+
+describe('LruCache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should evict the least recently used entry', () => {
+    const cache = new LruCache({ maxEntries: 2 });
+    cache.set('a', 1).set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.has('b')).toBe(false);
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('c')).toBe(3);
+    expect(cache.getStats()).toMatchObject({ entries: 2, evictions: 1, hits: 3, misses: 0 });
+  });
+
+  it('should expire entries after the ttl', () => {
+    jest.useFakeTimers({ now: 0 });
+    const cache = new LruCache({ maxEntries: 10, ttl: 1000 });
+    cache.set('a', null);
+
+    jest.setSystemTime(999);
+    expect(cache.get('a')).toBeNull();
+
+    jest.setSystemTime(1000);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.getStats()).toMatchObject({ entries: 0, expirations: 1, hits: 1, misses: 1 });
+  });
+});
+
+describe('Metadata cache', () => {
+  const app = express();
+  app.use('/api', videoRoutes);
+
+  beforeAll(() => {
+    storageService.watch();
+  });
+
+  afterAll(() => {
+    storageService.unwatch();
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  });
+
+  it('should see videos completed by a worker in another process', async () => {
+    writeMetadata('watched', { title: 'Before' });
+    await jobStore.create({ jobId: 'watched-job', videoId: 'watched', status: 'processing' });
+    expect((await storageService.getMetadata('watched')).title).toBe('Before');
+
+    // Written by the worker, which then completes the job
+    writeMetadata('watched', { title: 'After' });
+    expect((await storageService.getMetadata('watched')).title).toBe('Before');
+    await jobStore.update('watched-job', { status: 'completed' });
+
+    await waitFor(async () => (await storageService.getMetadata('watched')).title === 'After');
+  });
+
+  it('should report cache stats in the health check', async () => {
+    const res = await request(app).get('/api/health').expect(200);
+
+    expect(res.body.data.metadataCache).toMatchObject({
+      metadata: { maxEntries: 1000, ttl: 300000 },
+      watching: true
+    });
+    expect(res.body.data.metadataCache.metadata.hits).toBeGreaterThan(0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,119 @@
+// tests/playlists.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'videos-'));
+process.env.STORAGE_PATH = storagePath;
+process.env.JOB_STORE = 'memory';
+
+const request = require('supertest');
+const express = require('express');
+const routes = require('../src/routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+const writeVideo = (videoId, metadata) => {
+  fs.mkdirSync(path.join(storagePath, videoId), { recursive: true });
+  fs.writeFileSync(path.join(storagePath, videoId, 'metadata.json'), JSON.stringify({
+    duration: 90,
+    qualities: ['720p'],
+    ...metadata
+  }));
+};
+
+describe('Playlists API', () => {
+  let playlistId;
+
+  beforeAll(() => {
+    writeVideo('lesson-1', { title: 'Lesson 1' });
+    writeVideo('lesson-2', { title: 'Lesson 2' });
+    writeVideo('lesson-3', { title: 'Lesson 3', visibility: 'unlisted' });
+    writeVideo('draft', { title: 'Draft', visibility: 'private' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  });
+
+  it('should create a playlist and return its items in order with autoplay hints', async () => {
+    const created = await request(app)
+      .post('/api/playlists')
+      .send({ title: ' Course ', videoIds: ['lesson-2', 'lesson-1', 'draft', 'lesson-3'] })
+      .expect(201);
+
+    playlistId = created.body.data.id;
+    expect(created.body.data).toMatchObject({ title: 'Course', autoplay: true });
+
+    const res = await request(app).get(`/api/playlists/${playlistId}`).expect(200);
+
+    // Private videos are left out, unlisted ones stay
+    expect(res.body.data.items.map(item => [item.id, item.nextVideoId])).toEqual([
+      ['lesson-2', 'lesson-1'],
+      ['lesson-1', 'lesson-3'],
+      ['lesson-3', null]
+    ]);
+    expect(res.body.data.items[0]).toMatchObject({
+      title: 'Lesson 2',
+      formattedDuration: '01:30',
+      thumbnailUrl: '/api/videos/lesson-2/thumbnail?size=small',
+      position: 0
+    });
+
+    expect(res.headers['cache-control']).toContain('no-store');
+
+    const list = await request(app).get('/api/playlists').expect(200);
+    expect(list.body.data.playlists).toEqual([expect.objectContaining({ id: playlistId, itemCount: 4 })]);
+  });
+
+  it('should reject invalid playlists', async () => {
+    const res = await request(app)
+      .post('/api/playlists')
+      .send({ videoIds: ['lesson-1', 'missing'], owner: 'me' })
+      .expect(400);
+
+    expect(res.body.error.details.map(error => error.field).sort()).toEqual(['owner', 'title', 'videoIds']);
+
+    await request(app).post('/api/playlists').send({ title: 'Twice', videoIds: ['lesson-1', 'lesson-1'] }).expect(400);
+    await request(app).get('/api/playlists/unknown').expect(404);
+  });
+
+  it('should update and reorder a playlist', async () => {
+    await request(app)
+      .patch(`/api/playlists/${playlistId}`)
+      .send({ title: 'Course, part 1', autoplay: false })
+      .expect(200);
+
+    const reordered = await request(app)
+      .put(`/api/playlists/${playlistId}/order`)
+      .send({ videoIds: ['lesson-1', 'lesson-3', 'draft', 'lesson-2'] })
+      .expect(200);
+
+    expect(reordered.body.data).toMatchObject({ title: 'Course, part 1', autoplay: false });
+    expect(reordered.body.data.items.map(item => item.id)).toEqual(['lesson-1', 'lesson-3', 'lesson-2']);
+
+    // The order must name every video of the playlist once
+    await request(app)
+      .put(`/api/playlists/${playlistId}/order`)
+      .send({ videoIds: ['lesson-1', 'lesson-2'] })
+      .expect(400);
+  });
+
+  it('should drop deleted videos from playlists', async () => {
+    await request(app).delete('/api/videos/lesson-3').expect(200);
+
+    const res = await request(app).get(`/api/playlists/${playlistId}`).expect(200);
+    expect(res.body.data.items.map(item => item.id)).toEqual(['lesson-1', 'lesson-2']);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(storagePath, '.playlists.json'), 'utf-8'));
+    expect(stored.playlists[0].videoIds).toEqual(['lesson-1', 'draft', 'lesson-2']);
+  });
+
+  it('should delete a playlist', async () => {
+    await request(app).delete(`/api/playlists/${playlistId}`).expect(200);
+    await request(app).get(`/api/playlists/${playlistId}`).expect(404);
+    await request(app).delete(`/api/playlists/${playlistId}`).expect(404);
+  });
+});
\ No newline at end of file
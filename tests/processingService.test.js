@@ -0,0 +1,108 @@
+// tests/processingService.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JOB_STORE = 'memory';
+
+jest.mock('../scripts/segmentVideo', () => ({
+  segmentVideo: jest.fn()
+}));
+
+const { segmentVideo } = require('../scripts/segmentVideo');
+const processingService = require('../src/services/processingService');
+const jobStore = require('../src/services/jobStore');
+const config = require('../src/config');
+
+describe('ProcessingService uploads', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const runUpload = async (jobId, fields = {}) => {
+    const filePath = path.join(dir, `${jobId}.mp4`);
+    fs.writeFileSync(filePath, 'video');
+    await jobStore.create({ jobId, videoId: `${jobId}-video`, status: 'queued', source: { type: 'upload', filePath }, ...fields });
+
+    await processingService.process(await jobStore.get(jobId));
+    return filePath;
+  };
+
+  it('should keep the uploaded source of a failed job for a retry', async () => {
+    segmentVideo.mockRejectedValueOnce(new Error('ffmpeg exited with code 1'));
+
+    const filePath = await runUpload('failing');
+
+    expect((await jobStore.get('failing')).status).toBe('failed');
+    expect(fs.existsSync(filePath)).toBe(true);
+  });
+
+  it('should remove the uploaded source once the job completes', async () => {
+    segmentVideo.mockResolvedValueOnce({ metadata: {} });
+
+    const filePath = await runUpload('passing');
+
+    expect((await jobStore.get('passing')).status).toBe('completed');
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('should keep a running job fresh while a stage reports no progress', async () => {
+    const heartbeatInterval = config.jobs.heartbeatInterval;
+    config.jobs.heartbeatInterval = 20;
+
+    let recovered;
+    segmentVideo.mockImplementationOnce(async () => {
+      await new Promise(resolve => setTimeout(resolve, 150));
+      // Another instance starting now must not take the job for a crashed one
+      recovered = await jobStore.recoverInterrupted(100);
+      return { metadata: {} };
+    });
+
+    try {
+      // Claimed a while ago, nothing reported since
+      await runUpload('silent', { status: 'processing', startedAt: new Date(Date.now() - 60000).toISOString() });
+    } finally {
+      config.jobs.heartbeatInterval = heartbeatInterval;
+    }
+
+    expect(recovered).toEqual([]);
+    expect((await jobStore.get('silent'))).toMatchObject({ status: 'completed', heartbeatAt: expect.any(String) });
+  });
+});
+
+describe('ProcessingService shutdown', () => {
+  it('should stop running jobs before marking them interrupted', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    const filePath = path.join(dir, 'running.mp4');
+    fs.writeFileSync(filePath, 'video');
+
+    // Stands in for ffmpeg: reports progress until killed, and once more on its way out
+    segmentVideo.mockImplementationOnce((input, basePath, videoId, { signal, onProgress }) => new Promise((resolve, reject) => {
+      onProgress({ quality: '720p', overallProgress: 10 });
+      signal.addEventListener('abort', () => {
+        onProgress({ quality: '720p', overallProgress: 20 });
+        reject(new Error('ffmpeg was killed with signal SIGKILL'));
+      });
+    }));
+
+    await jobStore.create({ jobId: 'running', videoId: 'running-video', status: 'processing', source: { type: 'upload', filePath } });
+    const task = processingService.process(await jobStore.get('running'));
+
+    expect(await processingService.interruptActiveJobs()).toEqual(['running']);
+    await task;
+
+    expect(segmentVideo.mock.calls[segmentVideo.mock.calls.length - 1][3].signal.aborted).toBe(true);
+    expect((await jobStore.get('running')).status).toBe('interrupted');
+    expect(processingService.activeJobs.size).toBe(0);
+    // Kept for a retry
+    expect(fs.existsSync(filePath)).toBe(true);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
\ No newline at end of file
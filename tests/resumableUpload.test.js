@@ -0,0 +1,139 @@
+// tests/resumableUpload.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tus-'));
+process.env.TEMP_PATH = tempDir;
+process.env.JOB_STORE = 'memory';
+
+const request = require('supertest');
+const express = require('express');
+const videoRoutes = require('../src/routes/videoRoutes');
+const jobStore = require('../src/services/jobStore');
+const ingestService = require('../src/services/ingestService');
+const uploadController = require('../src/controllers/uploadController');
+
+const app = express();
+app.use('/api', videoRoutes);
+
+const encode = value => Buffer.from(value).toString('base64');
+
+describe('Resumable uploads (tus)', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const createUpload = (length, metadata = `filename ${encode('clip.mp4')},filetype ${encode('video/mp4')}`) =>
+    request(app)
+      .post('/api/videos/uploads')
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Length', String(length))
+      .set('Upload-Metadata', metadata);
+
+  const patch = (location, offset, body) =>
+    request(app)
+      .patch(location)
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Offset', String(offset))
+      .set('Content-Type', 'application/offset+octet-stream')
+      .send(body);
+
+  it('should resume from the stored offset and queue the finished upload', async () => {
+    const report = { container: 'mov,mp4,m4a,3gp,3g2,mj2', duration: 12 };
+    jest.spyOn(ingestService, 'inspect').mockResolvedValueOnce(report);
+    const data = Buffer.from('0123456789abcdefghij');
+
+    const created = await createUpload(data.length).expect(201);
+    const location = created.headers.location;
+    expect(location).toMatch(/^\/api\/videos\/uploads\/[\w-]+$/);
+    expect(created.headers['tus-resumable']).toBe('1.0.0');
+
+    await patch(location, 0, data.subarray(0, 8)).expect(204);
+
+    const head = await request(app).head(location).set('Tus-Resumable', '1.0.0').expect(200);
+    expect(head.headers['upload-offset']).toBe('8');
+    expect(head.headers['upload-length']).toBe(String(data.length));
+
+    // A stale offset is rejected with the current one
+    const conflict = await patch(location, 0, data.subarray(0, 8)).expect(409);
+    expect(conflict.headers['upload-offset']).toBe('8');
+
+    const done = await patch(location, 8, data.subarray(8)).expect(204);
+    expect(done.headers['upload-offset']).toBe(String(data.length));
+
+    const job = await jobStore.get(done.headers['x-job-id']);
+    expect(job).toMatchObject({
+      status: 'queued',
+      videoId: done.headers['x-video-id'],
+      filename: 'clip.mp4',
+      options: { title: 'clip.mp4' },
+      ingest: report
+    });
+    expect(fs.readFileSync(job.source.filePath)).toEqual(data);
+  });
+
+  it('should finish an upload once when the final request is retried', async () => {
+    let finishIngest;
+    const inspect = jest.spyOn(ingestService, 'inspect')
+      .mockImplementationOnce(() => new Promise(resolve => { finishIngest = resolve; }));
+    const queueUpload = jest.spyOn(uploadController, 'queueUpload');
+    const data = Buffer.from('0123456789');
+
+    const created = await createUpload(data.length).expect(201);
+    const location = created.headers.location;
+
+    const final = patch(location, 0, data).then(res => res);
+    while (inspect.mock.calls.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    // The client gave up waiting and sends the request again while the upload is being finished
+    await patch(location, data.length, Buffer.alloc(0)).expect(423);
+
+    finishIngest({ container: 'mov,mp4,m4a,3gp,3g2,mj2', duration: 1 });
+    const done = await final;
+    expect(done.status).toBe(204);
+
+    const retried = await patch(location, data.length, Buffer.alloc(0)).expect(204);
+    expect(retried.headers['x-job-id']).toBe(done.headers['x-job-id']);
+    expect(inspect).toHaveBeenCalledTimes(1);
+    expect(queueUpload).toHaveBeenCalledTimes(1);
+  });
+
+  it('should discard a finished upload that is not usable media', async () => {
+    jest.spyOn(ingestService, 'inspect').mockRejectedValueOnce({
+      status: 422,
+      message: 'Unsupported source media: no video stream',
+      details: { problems: ['no video stream'] }
+    });
+
+    const created = await createUpload(4).expect(201);
+    const rejected = await patch(created.headers.location, 0, Buffer.from('junk')).expect(422);
+
+    expect(rejected.body.error.details.problems).toEqual(['no video stream']);
+    await request(app).head(created.headers.location).set('Tus-Resumable', '1.0.0').expect(404);
+  });
+
+  it('should reject data beyond Upload-Length', async () => {
+    const created = await createUpload(4).expect(201);
+    await patch(created.headers.location, 0, Buffer.from('too long')).expect(413);
+  });
+
+  it('should terminate uploads', async () => {
+    const created = await createUpload(10).expect(201);
+
+    await request(app).delete(created.headers.location).set('Tus-Resumable', '1.0.0').expect(204);
+    await request(app).head(created.headers.location).set('Tus-Resumable', '1.0.0').expect(404);
+  });
+
+  it('should validate protocol version, length and file type', async () => {
+    await request(app).post('/api/videos/uploads').set('Upload-Length', '10').expect(412);
+    await request(app).post('/api/videos/uploads').set('Tus-Resumable', '1.0.0').expect(400);
+    await createUpload(10, `filetype ${encode('text/plain')}`).expect(415);
+  });
+});
\ No newline at end of file
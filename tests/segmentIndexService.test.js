@@ -0,0 +1,98 @@
+// tests/segmentIndexService.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const segmentIndexService = require('../src/services/segmentIndexService');
+const chunkService = require('../src/services/chunkService');
+const TimeUtils = require('../src/utils/timeUtils');
+
+const metadata = {
+  duration: 12.5,
+  chunkDuration: 5,
+  totalChunks: 3,
+  audioTracks: [{ id: 'audio_eng' }]
+};
+
+describe('SegmentIndexService', () => {
+  describe('parseSegmentList', () => {
+    it('should read real chunk times relative to the first chunk', () => {
+      const csv = 'chunk_000000.ts,1.400000,6.405000\nchunk_000001.ts,6.405000,9.010000\nchunk_000002.ts,9.010000,13.900000\n';
+
+      expect(segmentIndexService.parseSegmentList(csv)).toEqual([
+        { index: 0, startTime: 0, duration: 5.005 },
+        { index: 1, startTime: 5.005, duration: 2.605 },
+        { index: 2, startTime: 7.61, duration: 4.89 }
+      ]);
+    });
+  });
+
+  describe('planSceneCuts', () => {
+    it('should cut on the scene change closest to the target duration', () => {
+      expect(segmentIndexService.planSceneCuts([1, 4.2, 7, 13.1], 20, 5)).toEqual([4.2, 7, 13.1]);
+    });
+
+    it('should cut at the target duration when no scene change fits', () => {
+      expect(segmentIndexService.planSceneCuts([], 22, 5)).toEqual([5, 10, 15]);
+      expect(segmentIndexService.planSceneCuts([0.5, 30], 22, 5)).toEqual([5, 10, 15]);
+    });
+
+    it('should not cut short videos', () => {
+      expect(segmentIndexService.planSceneCuts([2], 4, 5)).toEqual([]);
+    });
+  });
+
+  describe('writeIndex', () => {
+    it('should build the index from the segment lists and remove them', async () => {
+      const videoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'segments-'));
+      for (const [quality, csv] of [
+        ['720p', 'chunk_000000.ts,0,4.2\nchunk_000001.ts,4.2,9\n'],
+        ['360p', 'chunk_000000.ts,0,4.2\nchunk_000001.ts,4.2,9\n'],
+        ['audio_eng', 'chunk_000000.ts,0,5\nchunk_000001.ts,5,9\n']
+      ]) {
+        fs.mkdirSync(path.join(videoDir, 'chunks', quality), { recursive: true });
+        fs.writeFileSync(path.join(videoDir, 'chunks', quality, 'segments.csv'), csv);
+      }
+
+      const index = await segmentIndexService.writeIndex(videoDir, {
+        segmentation: 'scene', videoQuality: '720p', audioQuality: 'audio_eng'
+      });
+
+      expect(index.chunks.map(chunk => chunk.duration)).toEqual([4.2, 4.8]);
+      expect(index.audioChunks.map(chunk => chunk.duration)).toEqual([5, 4]);
+      expect(JSON.parse(fs.readFileSync(path.join(videoDir, 'segments.json'), 'utf-8'))).toEqual(index);
+      expect(fs.existsSync(path.join(videoDir, 'chunks', '360p', 'segments.csv'))).toBe(false);
+
+      fs.rmSync(videoDir, { recursive: true, force: true });
+    });
+  });
+});
+
+describe('Chunk timeline with a segment index', () => {
+  const segmentIndex = {
+    segmentation: 'scene',
+    chunks: [
+      { index: 0, startTime: 0, duration: 4.2 },
+      { index: 1, startTime: 4.2, duration: 6.3 },
+      { index: 2, startTime: 10.5, duration: 2 }
+    ],
+    audioChunks: [
+      { index: 0, startTime: 0, duration: 5 },
+      { index: 1, startTime: 5, duration: 5 },
+      { index: 2, startTime: 10, duration: 2.5 }
+    ]
+  };
+
+  it('should use the indexed chunk times instead of chunkDuration', () => {
+    expect(chunkService.getChunkTimeline(metadata, segmentIndex, '720p')).toBe(segmentIndex.chunks);
+    expect(chunkService.getChunkTimeline(metadata, segmentIndex, 'audio_eng')).toBe(segmentIndex.audioChunks);
+    expect(chunkService.getChunkTimeline(metadata)[1]).toEqual({ index: 1, startTime: 5, duration: 5 });
+  });
+
+  it('should find the chunk playing at a timestamp', () => {
+    expect(TimeUtils.findChunkIndex(segmentIndex.chunks, 0)).toBe(0);
+    expect(TimeUtils.findChunkIndex(segmentIndex.chunks, 4.5)).toBe(1);
+    expect(TimeUtils.findChunkIndex(segmentIndex.chunks, 10.5)).toBe(2);
+    expect(TimeUtils.findChunkIndex(segmentIndex.chunks, 12.5)).toBe(-1);
+    expect(TimeUtils.findChunkIndex(segmentIndex.chunks, -1)).toBe(-1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+// tests/segmentVideo.test.js
+const { runEncodes } = require('../scripts/segmentVideo');
+
+// Fake encode that reports 50% then waits to be finished (or fails) by the test
+function fakeEncode(name, { weight = 1, threads = 1 } = {}) {
+  const encode = { name, weight, threads, started: false };
+
+  encode.run = (report, signal) => new Promise((resolve, reject) => {
+    encode.started = true;
+    encode.report = report;
+    encode.finish = resolve;
+    encode.fail = reject;
+    signal.addEventListener('abort', () => reject(new Error('killed')));
+  });
+
+  return encode;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('runEncodes', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('should run encodes one after another by default', async () => {
+    const encodes = [fakeEncode('720p'), fakeEncode('480p')];
+    const running = runEncodes(encodes);
+
+    await tick();
+    expect(encodes.map(encode => encode.started)).toEqual([true, false]);
+
+    encodes[0].finish();
+    await tick();
+    expect(encodes[1].started).toBe(true);
+
+    encodes[1].finish();
+    await running;
+  });
+
+  it('should run encodes in parallel within the CPU budget', async () => {
+    const encodes = [
+      fakeEncode('1080p', { threads: 2 }),
+      fakeEncode('720p', { threads: 2 }),
+      fakeEncode('audio_eng', { threads: 1 })
+    ];
+    const running = runEncodes(encodes, { parallel: true, cpuBudget: 4 });
+
+    await tick();
+    expect(encodes.map(encode => encode.started)).toEqual([true, true, false]);
+
+    encodes[1].finish();
+    await tick();
+    expect(encodes[2].started).toBe(true);
+
+    encodes[0].finish();
+    encodes[2].finish();
+    await running;
+  });
+
+  it('should weigh overall progress by the renditions each encode writes', async () => {
+    const onProgress = jest.fn();
+    const encodes = [fakeEncode('single-pass', { weight: 3, threads: 4 }), fakeEncode('720p_hevc', { threads: 2 })];
+    const running = runEncodes(encodes, { parallel: true, cpuBudget: 4, onProgress });
+
+    await tick();
+    encodes[0].report({ progress: 50 });
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({
+      quality: 'single-pass',
+      qualityProgress: 50,
+      overallProgress: 38,
+      currentQuality: 1,
+      totalQualities: 2
+    }));
+
+    encodes[0].finish();
+    await tick();
+    encodes[1].report({ progress: 50 });
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({
+      quality: '720p_hevc',
+      overallProgress: 88,
+      currentQuality: 2
+    }));
+
+    encodes[1].finish();
+    await running;
+  });
+
+  it('should kill running encodes when one fails', async () => {
+    const encodes = [fakeEncode('720p'), fakeEncode('480p'), fakeEncode('360p')];
+    const running = runEncodes(encodes, { parallel: true, cpuBudget: 2 });
+
+    await tick();
+    encodes[0].fail(new Error('encoder crashed'));
+
+    await expect(running).rejects.toThrow('encoder crashed');
+    expect(encodes[2].started).toBe(false);
+  });
+
+  it('should stop when the job is cancelled', async () => {
+    const controller = new AbortController();
+    const encodes = [fakeEncode('720p'), fakeEncode('480p')];
+    const running = runEncodes(encodes, { signal: controller.signal });
+
+    await tick();
+    controller.abort();
+
+    await expect(running).rejects.toThrow('killed');
+    expect(encodes[1].started).toBe(false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,156 @@
+// tests/subtitles.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'subtitles-'));
+process.env.STORAGE_PATH = storagePath;
+
+const request = require('supertest');
+const express = require('express');
+const videoRoutes = require('../src/routes/videoRoutes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const SubtitleUtils = require('../src/utils/subtitleUtils');
+
+const app = express();
+app.use('/api', videoRoutes);
+app.use(errorHandler);
+
+const SRT = [
+  '1',
+  '00:00:01,000 --> 00:00:04,500',
+  '<font color="red">Hello</font>',
+  '',
+  '2',
+  '00:00:06,000 --> 00:00:11,000',
+  'Across a chunk boundary',
+  ''
+].join('\r\n');
+
+describe('Subtitles', () => {
+  describe('SubtitleUtils', () => {
+    it('should convert SRT to WebVTT', () => {
+      const vtt = SubtitleUtils.srtToVtt(SRT);
+
+      expect(vtt).toBe([
+        'WEBVTT',
+        '',
+        '00:00:01.000 --> 00:00:04.500',
+        'Hello',
+        '',
+        '00:00:06.000 --> 00:00:11.000',
+        'Across a chunk boundary',
+        ''
+      ].join('\n'));
+    });
+
+    it('should put cues in every segment they overlap', () => {
+      const cues = SubtitleUtils.parseVtt(SubtitleUtils.srtToVtt(SRT));
+
+      const first = SubtitleUtils.buildVttSegment(cues, { startTime: 5, duration: 5 });
+      const second = SubtitleUtils.buildVttSegment(cues, { startTime: 10, duration: 5 }, false);
+
+      expect(first).toContain('X-TIMESTAMP-MAP=MPEGTS:126000,LOCAL:00:00:00.000');
+      expect(first).toContain('Across a chunk boundary');
+      expect(first).not.toContain('Hello');
+      expect(second).toContain('LOCAL:00:00:10.000');
+      expect(second).toContain('Across a chunk boundary');
+    });
+  });
+
+  describe('API', () => {
+    beforeAll(() => {
+      fs.mkdirSync(path.join(storagePath, 'vid', 'chunks', '720p'), { recursive: true });
+      fs.writeFileSync(path.join(storagePath, 'vid', 'metadata.json'), JSON.stringify({
+        title: 'Video',
+        duration: 12,
+        chunkDuration: 5,
+        totalChunks: 3,
+        continuousTimestamps: true
+      }));
+    });
+
+    afterAll(() => {
+      fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+
+    it('should store an uploaded SRT as WebVTT and list it', async () => {
+      const res = await request(app)
+        .post('/api/videos/vid/subtitles')
+        .field('language', 'en')
+        .field('label', 'English')
+        .field('default', 'true')
+        .attach('subtitle', Buffer.from(SRT), 'captions.srt')
+        .expect(201);
+
+      expect(res.body.data).toMatchObject({ id: 'en', label: 'English', url: '/api/videos/vid/subtitles/en.vtt' });
+
+      const vtt = await request(app).get('/api/videos/vid/subtitles/en.vtt').expect(200);
+      expect(vtt.headers['content-type']).toContain('text/vtt');
+      expect(vtt.text.startsWith('WEBVTT')).toBe(true);
+
+      const video = await request(app).get('/api/videos/vid').expect(200);
+      expect(video.body.data.subtitles).toEqual([
+        { id: 'en', language: 'en', label: 'English', default: true, url: '/api/videos/vid/subtitles/en.vtt' }
+      ]);
+    });
+
+    it('should expose subtitles as an HLS rendition', async () => {
+      const master = await request(app).get('/api/videos/vid/master.m3u8').expect(200);
+      expect(master.text).toContain(
+        '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",LANGUAGE="en",DEFAULT=YES,AUTOSELECT=YES,' +
+        'URI="/api/videos/vid/hls/subtitles/en.m3u8"'
+      );
+
+      const playlist = await request(app).get('/api/videos/vid/hls/subtitles/en.m3u8').expect(200);
+      expect(playlist.text).toContain('/api/videos/vid/subtitles/en/2.vtt');
+
+      const segment = await request(app).get('/api/videos/vid/subtitles/en/2.vtt').expect(200);
+      expect(segment.text).toContain('Across a chunk boundary');
+      await request(app).get('/api/videos/vid/subtitles/en/3.vtt').expect(404);
+    });
+
+    it('should validate uploads', async () => {
+      await request(app)
+        .post('/api/videos/vid/subtitles')
+        .field('language', 'not a language')
+        .attach('subtitle', Buffer.from(SRT), 'captions.srt')
+        .expect(400);
+
+      await request(app)
+        .post('/api/videos/vid/subtitles')
+        .field('language', 'fr')
+        .attach('subtitle', Buffer.from('just text'), 'captions.srt')
+        .expect(400);
+
+      await request(app)
+        .post('/api/videos/vid/subtitles')
+        .field('language', 'fr')
+        .attach('subtitle', Buffer.from(SRT), 'captions.txt')
+        .expect(400);
+    });
+
+    it('should keep every track of concurrent uploads', async () => {
+      await Promise.all(['de', 'fr', 'es'].map(language => request(app)
+        .post('/api/videos/vid/subtitles')
+        .field('language', language)
+        .attach('subtitle', Buffer.from(SRT), 'captions.srt')
+        .expect(201)));
+
+      const list = await request(app).get('/api/videos/vid/subtitles').expect(200);
+      expect(list.body.data.subtitles.map(track => track.id).sort()).toEqual(['de', 'en', 'es', 'fr']);
+
+      await Promise.all(['de', 'fr', 'es'].map(language => request(app)
+        .delete(`/api/videos/vid/subtitles/${language}`)
+        .expect(200)));
+    });
+
+    it('should delete tracks', async () => {
+      await request(app).delete('/api/videos/vid/subtitles/en').expect(200);
+      await request(app).get('/api/videos/vid/subtitles/en.vtt').expect(404);
+
+      const list = await request(app).get('/api/videos/vid/subtitles').expect(200);
+      expect(list.body.data.subtitles).toEqual([]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,203 @@
+// tests/videoMetadata.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'videos-'));
+process.env.STORAGE_PATH = storagePath;
+process.env.JOB_STORE = 'memory';
+
+const request = require('supertest');
+const express = require('express');
+const videoRoutes = require('../src/routes/videoRoutes');
+const chunkRoutes = require('../src/routes/chunkRoutes');
+const storageService = require('../src/services/storageService');
+const posterService = require('../src/services/posterService');
+const jobStore = require('../src/services/jobStore');
+const tokenService = require('../src/services/tokenService');
+const config = require('../src/config');
+
+const app = express();
+app.use(express.json());
+app.use('/api', videoRoutes);
+app.use('/api/chunks', chunkRoutes);
+
+const createVideo = (videoId) => {
+  fs.mkdirSync(path.join(storagePath, videoId, 'chunks', '720p'), { recursive: true });
+  fs.writeFileSync(path.join(storagePath, videoId, 'metadata.json'), JSON.stringify({
+    title: 'Original',
+    description: '',
+    duration: 10,
+    chunkDuration: 5,
+    totalChunks: 2
+  }));
+};
+
+describe('Video metadata API', () => {
+  afterAll(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  });
+
+  it('should update metadata and serve the new values from the cache', async () => {
+    createVideo('edit-me');
+
+    // Populate the metadata cache first
+    await request(app).get('/api/videos/edit-me').expect(200);
+
+    const res = await request(app)
+      .patch('/api/videos/edit-me')
+      .send({ title: '  New title ', tags: ['Music', 'music', 'live'], visibility: 'unlisted' })
+      .expect(200);
+
+    expect(res.body.data).toMatchObject({ title: 'New title', tags: ['music', 'live'], visibility: 'unlisted' });
+
+    const fetched = await request(app).get('/api/videos/edit-me').expect(200);
+    expect(fetched.body.data.title).toBe('New title');
+
+    const onDisk = JSON.parse(fs.readFileSync(path.join(storagePath, 'edit-me', 'metadata.json'), 'utf-8'));
+    expect(onDisk.visibility).toBe('unlisted');
+
+    // Unlisted videos are left out of the listing
+    const list = await request(app).get('/api/videos').expect(200);
+    expect(list.body.data.videos.map(video => video.id)).not.toContain('edit-me');
+  });
+
+  it('should reject invalid or unknown fields', async () => {
+    createVideo('validate-me');
+
+    const res = await request(app)
+      .patch('/api/videos/validate-me')
+      .send({ title: '', visibility: 'secret', duration: 1 })
+      .expect(400);
+
+    expect(res.body.error.details.map(error => error.field).sort()).toEqual(['duration', 'title', 'visibility']);
+    await request(app).patch('/api/videos/validate-me').send({}).expect(400);
+    await request(app).patch('/api/videos/missing').send({ title: 'x' }).expect(404);
+  });
+
+  it('should only serve private videos to authenticated clients', async () => {
+    createVideo('private-me');
+
+    // Without auth there is nobody to restrict them to
+    await request(app).patch('/api/videos/private-me').send({ visibility: 'private' }).expect(400);
+
+    config.security.enableAuth = true;
+    try {
+      const token = tokenService.generateAccessToken({ userId: 'owner' });
+      await request(app)
+        .patch('/api/videos/private-me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ visibility: 'private' })
+        .expect(200);
+
+      await request(app).get('/api/videos/private-me').expect(401);
+      await request(app).get('/api/videos/private-me/master.m3u8').expect(401);
+      await request(app).get('/api/chunks/private-me/720p/range').expect(401);
+
+      const res = await request(app)
+        .get('/api/videos/private-me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(res.headers['cache-control']).toBe('private, no-cache');
+    } finally {
+      config.security.enableAuth = false;
+    }
+  });
+
+  it('should delete the video directory and its cached metadata', async () => {
+    createVideo('delete-me');
+    await storageService.getMetadata('delete-me');
+
+    await request(app).delete('/api/videos/delete-me').expect(200);
+
+    expect(fs.existsSync(path.join(storagePath, 'delete-me'))).toBe(false);
+    expect(storageService.metadataCache.has('delete-me')).toBe(false);
+    await request(app).get('/api/videos/delete-me').expect(404);
+  });
+
+  it('should not delete videos that are still being processed', async () => {
+    createVideo('busy');
+    await jobStore.create({ jobId: 'busy-job', videoId: 'busy', status: 'processing' });
+
+    const res = await request(app).delete('/api/videos/busy').expect(409);
+    expect(res.body.error.details.jobId).toBe('busy-job');
+    expect(fs.existsSync(path.join(storagePath, 'busy'))).toBe(true);
+  });
+
+  describe('Thumbnails', () => {
+    beforeAll(() => {
+      createVideo('posters');
+      const posterDir = path.join(storagePath, 'posters', 'posters');
+      fs.mkdirSync(posterDir);
+      fs.writeFileSync(path.join(posterDir, 'poster_small.jpg'), 'jpeg');
+      fs.writeFileSync(path.join(posterDir, 'poster_small.webp'), 'webp');
+
+      const metadataPath = path.join(storagePath, 'posters', 'metadata.json');
+      const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf-8'));
+      fs.writeFileSync(metadataPath, JSON.stringify({
+        ...metadata,
+        posters: { sizes: ['small', 'medium', 'large'], formats: ['jpg', 'webp'] },
+        posterVersion: 123
+      }));
+    });
+
+    it('should serve WebP to clients that accept it and JPEG otherwise', async () => {
+      const webp = await request(app)
+        .get('/api/videos/posters/thumbnail')
+        .set('Accept', 'image/avif,image/webp,*/*')
+        .expect(200);
+      expect(webp.headers['content-type']).toBe('image/webp');
+      expect(webp.headers.vary).toContain('Accept');
+
+      const jpeg = await request(app).get('/api/videos/posters/thumbnail').expect(200);
+      expect(jpeg.headers['content-type']).toBe('image/jpeg');
+      expect(jpeg.headers['cache-control']).toContain('max-age=300');
+    });
+
+    it('should cache versioned thumbnail URLs as immutable', async () => {
+      const { body } = await request(app).get('/api/videos/posters').expect(200);
+      expect(body.data.thumbnailUrl).toBe('/api/videos/posters/thumbnail?size=small&v=123');
+
+      const res = await request(app).get(body.data.thumbnailUrl).expect(200);
+      expect(res.headers['cache-control']).toContain('immutable');
+    });
+
+    it('should validate size and report missing posters', async () => {
+      await request(app).get('/api/videos/posters/thumbnail?size=huge').expect(400);
+      await request(app).get('/api/videos/posters/thumbnail?size=large&format=jpg').expect(404);
+      await request(app).get('/api/videos/missing/thumbnail').expect(404);
+    });
+
+    it('should re-extract posters from the chunk containing the chosen time', async () => {
+      fs.writeFileSync(storageService.getChunkPath('posters', '720p', 1, 'ts'), 'second chunk');
+
+      // Frames come from a copy of the chunk fetched through the storage driver
+      let source;
+      const generatePosters = jest.spyOn(posterService, 'generatePosters')
+        .mockImplementation(async (inputPath, videoDir) => {
+          source = fs.readFileSync(inputPath, 'utf-8');
+          fs.mkdirSync(path.join(videoDir, 'posters'), { recursive: true });
+          for (const size of ['small', 'medium', 'large']) {
+            fs.writeFileSync(path.join(videoDir, 'posters', `poster_${size}.jpg`), `new ${size}`);
+          }
+          return { sizes: ['small', 'medium', 'large'], formats: ['jpg'] };
+        });
+
+      const res = await request(app)
+        .patch('/api/videos/posters')
+        .send({ posterTime: 7.5 })
+        .expect(200);
+
+      // 5s chunks: 7.5s is 2.5s into chunk 1
+      const [, , seekTime] = generatePosters.mock.calls[0];
+      expect(source).toBe('second chunk');
+      expect(seekTime).toBe(2.5);
+      expect(fs.readFileSync(path.join(storagePath, 'posters', 'posters', 'poster_large.jpg'), 'utf-8')).toBe('new large');
+      expect(res.body.data.posterTime).toBe(7.5);
+      expect(res.body.data.thumbnailUrl).not.toContain('v=123');
+
+      await request(app).patch('/api/videos/posters').send({ posterTime: 60 }).expect(400);
+      generatePosters.mockRestore();
+    });
+  });
+});
\ No newline at end of file